@@ -0,0 +1,160 @@
+/**
+ * VigiSaúde Brasil — Service Worker
+ * Offline support for field teams:
+ * - Precaches the Vite build (listed in precache-manifest.json), the Brazil UF mesh
+ *   and the static datasets (/data), which get a cache of their own so runtime
+ *   entries can never evict them
+ * - Keeps recently viewed state meshes, IBGE lists, InfoDengue responses and map tiles
+ * - Cached copies carry CACHE_HEADER ('hit', or 'offline' when served because the
+ *   network failed), so the page knows it is offline even when navigator.onLine
+ *   says otherwise
+ *
+ * National overviews are fetched with POST /api/alerts/batch, which the Cache API
+ * cannot store; they persist in IndexedDB instead (src/services/cache.js).
+ */
+const VERSION = 'v1';
+const SHELL_CACHE = `vsb-shell-${VERSION}`;
+const MESH_CACHE = `vsb-meshes-${VERSION}`;
+const DATA_CACHE = `vsb-data-${VERSION}`;
+const DATASET_CACHE = `vsb-datasets-${VERSION}`;
+const TILE_CACHE = `vsb-tiles-${VERSION}`;
+const CURRENT_CACHES = [SHELL_CACHE, MESH_CACHE, DATA_CACHE, DATASET_CACHE, TILE_CACHE];
+
+// Versioned files in public/data (SANITATION_DATASET_URL and
+// POPULATION_DATASET_URL in src/services/api.js)
+const STATIC_DATASETS = ['/data/saneamento-municipios.v1.json', '/data/populacao-municipios.v1.json'];
+
+// Also read by src/services/network.js
+const CACHE_HEADER = 'X-VSB-Cache';
+
+const BRAZIL_MESH_URL = 'https://servicodados.ibge.gov.br/api/v3/malhas/paises/BR?formato=application/vnd.geo+json&qualidade=minima&intrarregiao=UF';
+const LEAFLET_CSS_URL = 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css';
+
+// Max entries per runtime cache (oldest evicted first)
+const LIMITS = {
+    [MESH_CACHE]: 12,
+    [DATA_CACHE]: 300,
+    [TILE_CACHE]: 600,
+};
+
+// ===== Install: precache app shell + national mesh =====
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        let assets = [];
+        try {
+            const res = await fetch('/precache-manifest.json', { cache: 'no-store' });
+            if (res.ok) assets = await res.json();
+        } catch { /* manifest only exists in production builds */ }
+        await shell.addAll(['/', ...assets.map(a => `/${a}`)]);
+        const datasets = await caches.open(DATASET_CACHE);
+        await Promise.allSettled([
+            shell.add(new Request(LEAFLET_CSS_URL, { mode: 'no-cors' })),
+            shell.add(BRAZIL_MESH_URL),
+            ...STATIC_DATASETS.map(url => datasets.add(url)),
+        ]);
+        await self.skipWaiting();
+    })());
+});
+
+// ===== Activate: drop caches from previous versions =====
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(k => k.startsWith('vsb-') && !CURRENT_CACHES.includes(k))
+            .map(k => caches.delete(k)));
+        await self.clients.claim();
+    })());
+});
+
+// ===== Strategies =====
+async function trimCache(cacheName) {
+    const limit = LIMITS[cacheName];
+    if (!limit) return;
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    for (let i = 0; i < keys.length - limit; i++) await cache.delete(keys[i]);
+}
+
+async function putInCache(cacheName, request, response) {
+    const cache = await caches.open(cacheName);
+    // Delete first so the entry moves to the end of the eviction order
+    await cache.delete(request);
+    await cache.put(request, response);
+    await trimCache(cacheName);
+}
+
+async function cacheFirst(cacheName, request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') putInCache(cacheName, request, response.clone());
+    return response;
+}
+
+// Cached copy tagged with where it came from (see CACHE_HEADER)
+function tagged(cached, source) {
+    if (cached.type === 'opaque') return cached;
+    const headers = new Headers(cached.headers);
+    headers.set(CACHE_HEADER, source);
+    return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers });
+}
+
+async function networkFirst(cacheName, request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) putInCache(cacheName, request, response.clone());
+        return response;
+    } catch (err) {
+        const cached = await caches.match(request);
+        if (cached) return tagged(cached, 'offline');
+        throw err;
+    }
+}
+
+async function staleWhileRevalidate(cacheName, request) {
+    const cached = await caches.match(request);
+    const network = fetch(request).then(response => {
+        if (response.ok) putInCache(cacheName, request, response.clone());
+        return response;
+    });
+    if (cached) {
+        network.catch(() => { /* offline — keep cached copy */ });
+        return tagged(cached, 'hit');
+    }
+    return network;
+}
+
+// ===== Fetch routing =====
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    // SPA navigations: network first, cached shell when offline
+    if (request.mode === 'navigate') {
+        event.respondWith(fetch(request).catch(() => caches.match('/')));
+        return;
+    }
+
+    if (url.origin === self.location.origin) {
+        if (url.pathname.startsWith('/api/infodengue/')) {
+            event.respondWith(networkFirst(DATA_CACHE, request));
+        } else if (url.pathname.startsWith('/data/')) {
+            event.respondWith(staleWhileRevalidate(DATASET_CACHE, request));
+        } else if (url.pathname.startsWith('/assets/')) {
+            event.respondWith(cacheFirst(SHELL_CACHE, request));
+        }
+        return;
+    }
+
+    if (url.hostname === 'servicodados.ibge.gov.br') {
+        const cacheName = url.pathname.includes('/malhas/') ? MESH_CACHE : DATA_CACHE;
+        event.respondWith(staleWhileRevalidate(cacheName, request));
+    } else if (url.hostname.endsWith('basemaps.cartocdn.com')) {
+        event.respondWith(cacheFirst(TILE_CACHE, request));
+    } else if (url.hostname === 'fonts.googleapis.com' || url.hostname === 'fonts.gstatic.com' || url.hostname === 'unpkg.com') {
+        event.respondWith(cacheFirst(SHELL_CACHE, request));
+    }
+});
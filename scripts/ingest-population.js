@@ -0,0 +1,116 @@
+/**
+ * VigiSaúde Brasil — IBGE population ingestion CLI
+ *
+ *   npm run ingest:populacao [-- options]
+ *
+ * Builds the municipal population dataset from the SIDRA API: the yearly
+ * estimates (table 6579) and the 2022 Census (table 4709), which takes the
+ * place of the estimate for its year.
+ *
+ * Options:
+ *   --input <arquivo>   SIDRA "values" JSON saved beforehand (repeatable, applied
+ *                       in order — later files win); downloaded when omitted
+ *   --out <arquivo>     dataset to write (default: public/data/populacao-municipios.v1.json)
+ *   --dry-run           validate and summarize without writing the dataset
+ *
+ * Exits with 1 on invalid input.
+ */
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { serializeDataset } from './snis.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_OUT = path.join(__dirname, '..', 'public', 'data', 'populacao-municipios.v1.json');
+const SIDRA_TABLES = [
+    { name: 'Estimativas (tabela 6579)', url: 'https://apisidra.ibge.gov.br/values/t/6579/n6/all/v/9324/p/all' },
+    { name: 'Censo 2022 (tabela 4709)', url: 'https://apisidra.ibge.gov.br/values/t/4709/n6/all/v/93/p/all' },
+];
+const SOURCE = 'IBGE — Estimativas da População (SIDRA 6579) e Censo Demográfico 2022 (SIDRA 4709)';
+
+function fail(message) {
+    console.error(`Erro: ${message}`);
+    process.exit(1);
+}
+
+async function loadTables(inputs) {
+    if (inputs?.length) return inputs.map(file => ({ name: file, rows: JSON.parse(fs.readFileSync(file, 'utf8')) }));
+    const tables = [];
+    for (const { name, url } of SIDRA_TABLES) {
+        const res = await fetch(url);
+        if (!res.ok) fail(`SIDRA respondeu ${res.status} para ${name}; use --input com o JSON salvo`);
+        tables.push({ name, rows: await res.json() });
+    }
+    return tables;
+}
+
+/**
+ * SIDRA "values" responses start with a header row naming each column
+ * ("Município (Código)", "Ano (Código)", "Valor"); columns are found by name.
+ * @returns {{ values: Array<[geocode, year, population]>, skipped: number }}
+ */
+function parseSidra(rows) {
+    if (!Array.isArray(rows) || rows.length < 2) throw new Error('resposta vazia ou fora do formato SIDRA');
+    const [header, ...data] = rows;
+    const keyOf = label => Object.keys(header).find(k => header[k] === label);
+    const geocodeKey = keyOf('Município (Código)');
+    const yearKey = keyOf('Ano (Código)');
+    if (!geocodeKey || !yearKey || header.V !== 'Valor') throw new Error('colunas "Município (Código)", "Ano (Código)" e "Valor" não encontradas');
+
+    const values = [];
+    let skipped = 0;
+    data.forEach(row => {
+        const geocode = String(row[geocodeKey]);
+        const year = Number(row[yearKey]);
+        const population = Number(row.V);
+        // SIDRA marks missing values with "-", "..." or "X"
+        if (!/^\d{7}$/.test(geocode) || !Number.isInteger(year) || !Number.isInteger(population) || population <= 0) {
+            skipped++;
+            return;
+        }
+        values.push([geocode, year, population]);
+    });
+    return { values, skipped };
+}
+
+async function main() {
+    const { values: opts } = parseArgs({
+        options: {
+            input: { type: 'string', multiple: true },
+            out: { type: 'string', default: DEFAULT_OUT },
+            'dry-run': { type: 'boolean', default: false },
+        },
+    });
+
+    const municipios = {};
+    for (const { name, rows } of await loadTables(opts.input)) {
+        let parsed;
+        try {
+            parsed = parseSidra(rows);
+        } catch (err) {
+            fail(`${name}: ${err.message}`);
+        }
+        parsed.values.forEach(([geocode, year, population]) => {
+            municipios[geocode] = { ...municipios[geocode], [year]: population };
+        });
+        const years = [...new Set(parsed.values.map(([, year]) => year))].sort();
+        console.log(`${name}: ${parsed.values.length} valores, anos ${years.join(', ')} (${parsed.skipped} ignorados)`);
+    }
+
+    const geocodes = Object.keys(municipios);
+    if (geocodes.length === 0) fail('nenhum valor válido');
+    const years = [...new Set(geocodes.flatMap(g => Object.keys(municipios[g]).map(Number)))].sort((a, b) => a - b);
+    const dataset = { schema: 1, source: SOURCE, updated: new Date().toISOString().slice(0, 10), years, municipios };
+    console.log(`${geocodes.length} municípios, anos ${years[0]}–${years[years.length - 1]}`);
+
+    if (opts['dry-run']) {
+        console.log('--dry-run: base não alterada');
+        return;
+    }
+    fs.mkdirSync(path.dirname(opts.out), { recursive: true });
+    fs.writeFileSync(opts.out, serializeDataset(dataset));
+    console.log(`Base atualizada: ${opts.out}`);
+}
+
+main().catch(err => fail(err.message));
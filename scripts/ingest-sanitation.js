@@ -0,0 +1,122 @@
+/**
+ * VigiSaúde Brasil — SNIS/SINISA ingestion CLI
+ *
+ *   npm run ingest:saneamento -- <export.csv|xlsx> --edition "SNIS 2022" [options]
+ *
+ * Options:
+ *   --edition <nome>        release the file comes from (required)
+ *   --year <ano>            reference year, when the file has no year column
+ *   --column IN015=<título> indicator column with a non-standard header (repeatable)
+ *   --municipios <arquivo>  IBGE municipality list (JSON from the localidades API);
+ *                           downloaded from IBGE when omitted
+ *   --out <arquivo>         dataset to update (default: public/data/saneamento-municipios.v1.json)
+ *   --report <arquivo>      write every changed value as CSV
+ *   --dry-run               validate and report without writing the dataset
+ *
+ * Exits with 1 on invalid input; row-level problems are listed as warnings.
+ */
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import {
+    INDICATOR_CODES, readTable, normalizeRows, createGeocodeResolver,
+    emptyDataset, mergeEdition, summarizeChanges, serializeDataset,
+} from './snis.js';
+import { toCSV } from '../src/services/export.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_OUT = path.join(__dirname, '..', 'public', 'data', 'saneamento-municipios.v1.json');
+const IBGE_MUNICIPIOS_URL = 'https://servicodados.ibge.gov.br/api/v1/localidades/municipios';
+const MAX_LISTED = 20;
+
+function fail(message) {
+    console.error(`Erro: ${message}`);
+    process.exit(1);
+}
+
+function parseColumns(list = []) {
+    return Object.fromEntries(list.map(entry => {
+        const [code, ...header] = entry.split('=');
+        if (!INDICATOR_CODES.includes(code.toUpperCase()) || header.length === 0) {
+            fail(`--column espera ${INDICATOR_CODES.join('|')}=<título da coluna>, recebido "${entry}"`);
+        }
+        return [code.toUpperCase(), header.join('=')];
+    }));
+}
+
+async function loadIBGEGeocodes(file) {
+    let municipios;
+    if (file) {
+        municipios = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } else {
+        const res = await fetch(IBGE_MUNICIPIOS_URL);
+        if (!res.ok) fail(`IBGE respondeu ${res.status}; use --municipios com a lista salva`);
+        municipios = await res.json();
+    }
+    return municipios.map(m => m.id ?? m);
+}
+
+function loadDataset(file) {
+    if (!fs.existsSync(file)) return emptyDataset();
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+async function main() {
+    const { values: opts, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            edition: { type: 'string' },
+            year: { type: 'string' },
+            column: { type: 'string', multiple: true },
+            municipios: { type: 'string' },
+            out: { type: 'string', default: DEFAULT_OUT },
+            report: { type: 'string' },
+            'dry-run': { type: 'boolean', default: false },
+        },
+    });
+
+    const [input] = positionals;
+    if (!input) fail('informe o arquivo exportado do SNIS/SINISA (CSV ou XLSX)');
+    if (!opts.edition) fail('informe a edição com --edition (ex.: "SNIS 2022")');
+    const year = opts.year ? Number(opts.year) : undefined;
+    if (opts.year && !Number.isInteger(year)) fail(`--year inválido: ${opts.year}`);
+
+    const rows = readTable(input);
+    const resolveGeocode = createGeocodeResolver(await loadIBGEGeocodes(opts.municipios));
+    const parsed = normalizeRows(rows, { resolveGeocode, year, columns: parseColumns(opts.column) });
+
+    parsed.issues.slice(0, MAX_LISTED).forEach(({ line, message }) => console.warn(`  linha ${line}: ${message}`));
+    if (parsed.issues.length > MAX_LISTED) console.warn(`  … e mais ${parsed.issues.length - MAX_LISTED} avisos`);
+    if (parsed.records.size === 0) fail('nenhuma linha válida no arquivo');
+    console.log(`${input}: ${parsed.records.size} municípios, anos ${parsed.years.join(', ')} (${parsed.issues.length} avisos)`);
+
+    const { dataset, changes, missing } = mergeEdition(loadDataset(opts.out), parsed, {
+        edition: opts.edition,
+        file: path.basename(input),
+    });
+
+    // Diff report: what this edition changed in the stored history
+    const summary = summarizeChanges(changes);
+    if (changes.length === 0) console.log('Nenhum valor alterado.');
+    Object.entries(summary).forEach(([ano, counts]) => {
+        console.log(`  ${ano}: ${counts.novo} novos, ${counts.alterado} alterados, ${counts.removido} removidos`);
+    });
+    if (missing.length > 0) {
+        console.log(`  ${missing.length} município(s)/ano já na base e ausentes nesta edição (valores mantidos)`);
+    }
+    if (opts.report) {
+        fs.writeFileSync(opts.report, toCSV(changes));
+        console.log(`Relatório de diferenças: ${opts.report}`);
+    }
+
+    if (opts['dry-run']) {
+        console.log('--dry-run: base não alterada');
+        return;
+    }
+    fs.mkdirSync(path.dirname(opts.out), { recursive: true });
+    fs.writeFileSync(opts.out, serializeDataset(dataset));
+    console.log(`Base atualizada: ${opts.out} (${Object.keys(dataset.municipios).length} municípios)`);
+}
+
+main().catch(err => fail(err.message));
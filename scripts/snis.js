@@ -0,0 +1,358 @@
+/**
+ * VigiSaúde Brasil — SNIS/SINISA ingestion
+ * Reads the official spreadsheet exports (CSV or XLSX), normalizes geocodes,
+ * years and indicator columns, and merges them into the municipal dataset
+ * loaded by the dashboard (public/data/saneamento-municipios.v1.json).
+ *
+ * Used by scripts/ingest-sanitation.js; everything here is pure except
+ * readTable, which only reads the given file.
+ */
+import fs from 'fs';
+import { unzipSync, strFromU8 } from 'fflate';
+import { SANITATION_INDICATORS, SANITATION_SCHEMA, getUFAbbreviation } from '../src/services/api.js';
+
+export const INDICATOR_CODES = Object.keys(SANITATION_INDICATORS);
+const MIN_YEAR = 1995;          // first SNIS collection
+const VALUE_EPSILON = 0.005;    // values are stored with 2 decimals
+
+// ===== Reading =====
+// Official exports are Latin-1 or UTF-8, separated by ';' (sometimes ',')
+function decodeText(bytes) {
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes).replace(/^\uFEFF/, '');
+    } catch {
+        return new TextDecoder('latin1').decode(bytes);
+    }
+}
+
+export function parseCSV(text) {
+    const head = text.split('\n', 5).join('\n');
+    const delimiter = (head.match(/;/g) || []).length >= (head.match(/,/g) || []).length ? ';' : ',';
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXML(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) => {
+        if (e[0] === '#') return String.fromCodePoint(e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+        return XML_ENTITIES[e] ?? m;
+    });
+}
+
+// Text of a shared/inline string, including rich-text runs
+function xmlText(xml) {
+    return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(m => decodeXML(m[1])).join('');
+}
+
+function columnIndex(ref) {
+    const letters = ref.match(/^[A-Z]+/)[0];
+    return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+// First worksheet of a workbook, as rows of cell values — the counterpart of
+// toXLSX in src/services/export.js, so no spreadsheet library is needed
+export function parseXLSX(bytes) {
+    const files = unzipSync(bytes);
+    const read = name => (files[name] ? strFromU8(files[name]) : null);
+
+    const workbook = read('xl/workbook.xml');
+    const rels = read('xl/_rels/workbook.xml.rels');
+    if (!workbook || !rels) throw new Error('Arquivo XLSX inválido');
+    const firstSheetRel = workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/)?.[1];
+    const target = [...rels.matchAll(/<Relationship\b[^>]*>/g)]
+        .map(m => m[0])
+        .find(tag => tag.includes(`Id="${firstSheetRel}"`))
+        ?.match(/Target="([^"]+)"/)?.[1];
+    const sheet = target && read(target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+    if (!sheet) throw new Error('Planilha não encontrada no arquivo XLSX');
+
+    const shared = [...(read('xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(m => xmlText(m[1]));
+
+    return [...sheet.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)].map(([, rowXml]) => {
+        const row = [];
+        for (const [, attrs, body] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const ref = attrs.match(/\br="([A-Z]+)\d+"/)?.[1];
+            const type = attrs.match(/\bt="([^"]+)"/)?.[1];
+            const raw = body?.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+            let value = null;
+            if (type === 's') value = shared[Number(raw)] ?? null;
+            else if (type === 'inlineStr') value = xmlText(body || '');
+            else if (type === 'str') value = raw === undefined ? null : decodeXML(raw);
+            else if (raw !== undefined) value = Number(raw);
+            row[ref ? columnIndex(ref) : row.length] = value;
+        }
+        return Array.from(row, v => v ?? null);
+    });
+}
+
+export function readTable(file) {
+    const bytes = fs.readFileSync(file);
+    if (/\.xlsx$/i.test(file)) return parseXLSX(new Uint8Array(bytes));
+    if (/\.xls$/i.test(file)) throw new Error('Planilhas .xls não são suportadas; exporte como CSV ou XLSX');
+    return parseCSV(decodeText(bytes));
+}
+
+// ===== Normalization =====
+const GEOCODE_HEADER = /c[óo]d(igo|\.)?.*(munic|ibge)|^geoc[óo]d|^id_?munic/i;
+const YEAR_HEADER = /^ano\b|ano de refer/i;
+const UF_HEADER = /^(uf|estado|sigla.?uf)$/i;
+
+function normalizeHeader(value) {
+    return String(value ?? '').trim().replace(/\s+/g, ' ');
+}
+
+// Indicator code of a header: "IN015", "IN015_AE", "IN015_AE - Índice de coleta de esgoto"
+function headerIndicator(header) {
+    const code = header.match(/^(IN\d{3})(?:_[A-Z]{2})?\b/i)?.[1]?.toUpperCase();
+    return INDICATOR_CODES.includes(code) ? code : null;
+}
+
+/**
+ * Locates the header row (exports often start with title lines) and the
+ * column of each field. `columns` overrides indicator columns by header
+ * text, for SINISA exports that use other names: { IN015: 'Header', ... }.
+ */
+export function findColumns(rows, columns = {}) {
+    for (let r = 0; r < Math.min(rows.length, 30); r++) {
+        const headers = rows[r].map(normalizeHeader);
+        const geocode = headers.findIndex(h => GEOCODE_HEADER.test(h));
+        if (geocode === -1) continue;
+
+        const indicators = {};
+        headers.forEach((h, i) => {
+            const code = headerIndicator(h);
+            if (code && indicators[code] === undefined) indicators[code] = i;
+        });
+        Object.entries(columns).forEach(([code, header]) => {
+            const i = headers.findIndex(h => h.toLowerCase() === normalizeHeader(header).toLowerCase());
+            if (i !== -1) indicators[code] = i;
+        });
+        if (Object.keys(indicators).length === 0) continue;
+
+        return {
+            headerRow: r,
+            geocode,
+            year: headers.findIndex(h => YEAR_HEADER.test(h)),
+            uf: headers.findIndex(h => UF_HEADER.test(h)),
+            indicators,
+        };
+    }
+    throw new Error(`Cabeçalho não encontrado: é preciso uma coluna de código do município e ao menos um indicador (${INDICATOR_CODES.join(', ')})`);
+}
+
+// "1.234,56" / "1,234.56" / "80,5" / "80.5" / 80.5 → number; blanks and
+// placeholders → null. With both separators the last one is the decimal mark.
+export function parseValue(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+    const text = String(value).trim();
+    if (text === '' || /^[-–.…]+$/.test(text) || /^(nd|n\/d|na)$/i.test(text)) return null;
+    const normalized = text.lastIndexOf(',') > text.lastIndexOf('.')
+        ? text.replace(/\./g, '').replace(',', '.')
+        : text.replace(/,/g, '');
+    return /^-?\d+(\.\d+)?$/.test(normalized) ? Number(normalized) : NaN;
+}
+
+/**
+ * SNIS uses the 6-digit IBGE code (no check digit); SINISA and IBGE use 7.
+ * Resolved against the IBGE municipality list so both map to the same key.
+ */
+export function createGeocodeResolver(ibgeGeocodes) {
+    const full = new Set(ibgeGeocodes.map(String));
+    const byPrefix = new Map([...full].map(g => [g.slice(0, 6), g]));
+    return (value) => {
+        const digits = String(value ?? '').trim().replace(/\.0+$/, '');
+        if (/^\d{7}$/.test(digits)) return full.has(digits) ? digits : null;
+        if (/^\d{6}$/.test(digits)) return byPrefix.get(digits) ?? null;
+        return null;
+    };
+}
+
+/**
+ * @param {Array<Array>} rows – table from readTable
+ * @param {Object} opts
+ * @param {Function} opts.resolveGeocode – from createGeocodeResolver
+ * @param {number} [opts.year] – reference year when the file has no year column
+ * @param {Object} [opts.columns] – indicator header overrides (see findColumns)
+ * @param {number} [opts.maxYear] – latest accepted year (default: current year)
+ * @returns {{ records: Map<geocode, Map<year, Object>>, issues: Array<{ line, message }>, years: number[] }}
+ */
+export function normalizeRows(rows, { resolveGeocode, year, columns = {}, maxYear = new Date().getFullYear() }) {
+    const cols = findColumns(rows, columns);
+    if (cols.year === -1 && !year) throw new Error('O arquivo não tem coluna de ano; informe --year');
+
+    const records = new Map();
+    const issues = [];
+    const years = new Set();
+    const warn = (r, message) => issues.push({ line: r + 1, message });
+
+    for (let r = cols.headerRow + 1; r < rows.length; r++) {
+        const row = rows[r];
+        const rawGeocode = row[cols.geocode];
+        // Blank lines, totals and "Fonte: ..." footers have no code
+        if (!/\d{6}/.test(String(rawGeocode ?? ''))) continue;
+
+        const geocode = resolveGeocode(rawGeocode);
+        if (!geocode) {
+            warn(r, `código de município desconhecido: ${rawGeocode}`);
+            continue;
+        }
+        if (cols.uf !== -1) {
+            const uf = String(row[cols.uf] ?? '').trim().toUpperCase();
+            if (uf.length === 2 && uf !== getUFAbbreviation(Number(geocode.slice(0, 2)))) {
+                warn(r, `UF ${uf} não corresponde ao município ${geocode}`);
+                continue;
+            }
+        }
+
+        const rowYear = cols.year === -1 ? year : Number(parseValue(row[cols.year]));
+        if (!Number.isInteger(rowYear) || rowYear < MIN_YEAR || rowYear > maxYear) {
+            warn(r, `ano inválido: ${row[cols.year]}`);
+            continue;
+        }
+
+        // Invalid cells are left out of `values`, so merging keeps the stored
+        // value instead of reading them as a removal
+        const values = {};
+        for (const [code, i] of Object.entries(cols.indicators)) {
+            const value = parseValue(row[i]);
+            if (Number.isNaN(value) || value < 0) {
+                warn(r, `${code} inválido para ${geocode}: ${row[i]}`);
+            } else {
+                if (value > 100) warn(r, `${code} acima de 100% para ${geocode}: ${value}`);
+                values[code] = value === null ? null : Math.round(value * 100) / 100;
+            }
+        }
+
+        // Several rows per municipality and year (one per provider): keep the
+        // first value of each indicator and flag disagreements
+        if (!records.has(geocode)) records.set(geocode, new Map());
+        const byYear = records.get(geocode);
+        const existing = byYear.get(rowYear);
+        if (existing) {
+            for (const [code, value] of Object.entries(values)) {
+                if (existing[code] === null || existing[code] === undefined) existing[code] = value;
+                else if (value !== null && Math.abs(existing[code] - value) > VALUE_EPSILON) {
+                    warn(r, `${code} duplicado para ${geocode}/${rowYear}: ${existing[code]} × ${value} (mantido o primeiro)`);
+                }
+            }
+        } else {
+            byYear.set(rowYear, values);
+        }
+        years.add(rowYear);
+    }
+
+    return { records, issues, years: [...years].sort((a, b) => a - b) };
+}
+
+// ===== Dataset =====
+export function emptyDataset() {
+    return { schema: SANITATION_SCHEMA, edition: null, source: 'SNIS/SINISA — Série Histórica (Ministério das Cidades)', indicators: INDICATOR_CODES, editions: [], municipios: {} };
+}
+
+function rowValues(dataset, row) {
+    return row ? Object.fromEntries(dataset.indicators.map((code, i) => [code, row[i] ?? null])) : null;
+}
+
+/**
+ * Adds an edition to the dataset. Years in the edition replace the stored
+ * ones (new editions revise past years); other years are kept, so the file
+ * builds up a multi-year history. Returns the new dataset and what changed.
+ */
+export function mergeEdition(dataset, { records, years }, { edition, file, importedAt = new Date().toISOString() }) {
+    if (dataset.schema !== SANITATION_SCHEMA) {
+        throw new Error(`Base com versão ${dataset.schema}; este script gera a versão ${SANITATION_SCHEMA}`);
+    }
+    const indicators = dataset.indicators;
+    const municipios = structuredClone(dataset.municipios);
+    const changes = [];
+
+    for (const [geocode, byYear] of records) {
+        for (const [year, values] of byYear) {
+            const previous = rowValues(dataset, dataset.municipios[geocode]?.[year]);
+            // Indicators missing from this file keep their stored value
+            const merged = indicators.map(code => (code in values ? values[code] : previous?.[code] ?? null));
+            indicators.forEach((code, i) => {
+                const before = previous?.[code] ?? null;
+                const after = merged[i];
+                if (before === after) return;
+                if (before !== null && after !== null && Math.abs(before - after) <= VALUE_EPSILON) return;
+                const kind = before === null ? 'novo' : after === null ? 'removido' : 'alterado';
+                changes.push({ geocode, ano: year, indicador: code, anterior: before, novo: after, tipo: kind });
+            });
+            municipios[geocode] = { ...municipios[geocode], [year]: merged };
+        }
+    }
+
+    // Municipalities stored for a year this edition covers but absent from it
+    const missing = [];
+    const covered = new Set(years.map(String));
+    for (const [geocode, byYear] of Object.entries(dataset.municipios)) {
+        for (const year of Object.keys(byYear)) {
+            if (covered.has(year) && !records.get(geocode)?.has(Number(year))) missing.push({ geocode, ano: Number(year) });
+        }
+    }
+
+    return {
+        dataset: {
+            ...dataset,
+            edition,
+            editions: [...(dataset.editions || []), { edition, file, years, importedAt }],
+            municipios,
+        },
+        changes,
+        missing,
+    };
+}
+
+// Counts per year and kind, for the console summary
+export function summarizeChanges(changes) {
+    const summary = {};
+    changes.forEach(({ ano, tipo }) => {
+        summary[ano] ??= { novo: 0, alterado: 0, removido: 0 };
+        summary[ano][tipo]++;
+    });
+    return summary;
+}
+
+// One municipality per line, geocodes and years sorted, so editions diff well in git
+export function serializeDataset(dataset) {
+    const { municipios, ...header } = dataset;
+    const lines = Object.keys(municipios).sort().map(geocode => {
+        const byYear = municipios[geocode];
+        const sorted = Object.fromEntries(Object.keys(byYear).sort().map(y => [y, byYear[y]]));
+        return `    ${JSON.stringify(geocode)}: ${JSON.stringify(sorted)}`;
+    });
+    const head = JSON.stringify(header, null, 2).slice(0, -2);
+    return `${head},\n  "municipios": {${lines.length ? `\n${lines.join(',\n')}\n  ` : ''}}\n}\n`;
+}
@@ -1,43 +1,49 @@
 /**
  * VigiSaúde Brasil — Production server
- * Serves the Vite build (dist/) and proxies InfoDengue API to avoid CORS.
+ * Serves the Vite build (dist/) and proxies InfoDengue API to avoid CORS,
+ * caching upstream responses (see server/infodengue.js).
  */
 import express from 'express';
-import https from 'https';
 import { fileURLToPath } from 'url';
 import path from 'path';
+import { fetchInfoDengue, getCacheAge, wantsRevalidation } from './server/infodengue.js';
+import { createAlertsRouter } from './server/alerts.js';
+import { startMunicipioPrefetch } from './server/prefetch.js';
+import { createWatchRouter, startWatchScheduler } from './server/watch.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Proxy /api/infodengue/* → https://info.dengue.mat.br/api/*
-app.use('/api/infodengue', (req, res) => {
-    const targetPath = '/api' + req.url;
-    const options = {
-        hostname: 'info.dengue.mat.br',
-        port: 443,
-        path: targetPath,
-        method: req.method,
-        headers: { Accept: 'application/json' },
-    };
-
-    const proxyReq = https.request(options, (proxyRes) => {
-        res.status(proxyRes.statusCode);
-        for (const [key, val] of Object.entries(proxyRes.headers)) {
-            if (key.toLowerCase() !== 'transfer-encoding') res.setHeader(key, val);
+// GET responses are cached (memory + disk) and served stale if upstream fails.
+// `Cache-Control: no-cache` asks for a fresh copy (auto-refresh).
+app.get('/api/infodengue/*', async (req, res) => {
+    const apiPath = req.url.slice('/api/infodengue'.length);
+    try {
+        const { entry, cacheStatus } = await fetchInfoDengue(apiPath, { revalidate: wantsRevalidation(req.get('Cache-Control')) });
+        res.set({
+            'Content-Type': entry.contentType,
+            'X-Cache': cacheStatus,
+            Age: String(getCacheAge(entry)),
+        });
+        res.status(entry.status).send(entry.body);
+    } catch (err) {
+        if (err.response) {
+            res.set('Content-Type', err.response.contentType);
+            return res.status(err.response.status).send(err.response.body);
         }
-        proxyRes.pipe(res);
-    });
-
-    proxyReq.on('error', (err) => {
         console.error('Proxy error:', err.message);
         res.status(502).json({ error: 'Proxy error', detail: err.message });
-    });
-
-    proxyReq.end();
+    }
 });
 
+// Batch alerts (server-side fan-out)
+app.use('/api/alerts', createAlertsRouter());
+
+// Scheduled watch rules + webhook delivery log (token-protected)
+app.use('/api/watch', createWatchRouter());
+
 // Serve Vite build
 app.use(express.static(path.join(__dirname, 'dist')));
 
@@ -48,4 +54,8 @@ app.get('*', (_req, res) => {
 
 app.listen(PORT, () => {
     console.log(`VSB Dashboard running on port ${PORT}`);
+    // Warm the cache for the full municipal choropleth (opt-in)
+    startMunicipioPrefetch(Number(process.env.ALERTS_PREFETCH_HOURS) || 0);
+    // Evaluate watch rules and POST matches to webhooks (opt-in)
+    startWatchScheduler(Number(process.env.WATCH_INTERVAL_MINUTES) || 0);
 });
@@ -0,0 +1,59 @@
+/**
+ * VigiSaúde Brasil — Alerts API
+ * POST /api/alerts/batch — fetch InfoDengue alert series for many
+ * municipalities in one round trip (fan-out happens server-side).
+ * `Cache-Control: no-cache` revalidates the cached series, as on the proxy.
+ */
+import express from 'express';
+import { fetchAlertBatch, wantsRevalidation } from './infodengue.js';
+
+const DISEASES = ['dengue', 'chikungunya', 'zika'];
+const MAX_BATCH_SIZE = 600;
+const BATCH_CONCURRENCY = Number(process.env.ALERTS_BATCH_CONCURRENCY) || 8;
+
+function isGeocode(value) {
+    return Number.isInteger(value) && value >= 1000000 && value <= 9999999;
+}
+
+function isWeek(value) {
+    return Number.isInteger(value) && value >= 1 && value <= 53;
+}
+
+function isYear(value) {
+    return Number.isInteger(value) && value >= 2010 && value <= 2100;
+}
+
+// Returns an error message, or null when the body is valid
+function validateBatchRequest(body) {
+    const { geocodes, disease, ewStart, ewEnd, eyStart, eyEnd } = body || {};
+    if (!Array.isArray(geocodes) || geocodes.length === 0) return '`geocodes` must be a non-empty array';
+    if (geocodes.length > MAX_BATCH_SIZE) return `\`geocodes\` accepts at most ${MAX_BATCH_SIZE} items`;
+    if (!geocodes.every(g => isGeocode(Number(g)))) return '`geocodes` must contain 7-digit IBGE codes';
+    if (!DISEASES.includes(disease)) return `\`disease\` must be one of: ${DISEASES.join(', ')}`;
+    if (!isWeek(ewStart) || !isWeek(ewEnd)) return '`ewStart`/`ewEnd` must be weeks between 1 and 53';
+    if (!isYear(eyStart) || !isYear(eyEnd)) return '`eyStart`/`eyEnd` must be valid years';
+    return null;
+}
+
+export function createAlertsRouter() {
+    const router = express.Router();
+
+    router.post('/batch', express.json({ limit: '64kb' }), async (req, res) => {
+        const error = validateBatchRequest(req.body);
+        if (error) return res.status(400).json({ error });
+
+        const { geocodes, disease, ewStart, ewEnd, eyStart, eyEnd } = req.body;
+        try {
+            const result = await fetchAlertBatch(
+                geocodes.map(Number), disease, { ewStart, ewEnd, eyStart, eyEnd }, BATCH_CONCURRENCY,
+                { revalidate: wantsRevalidation(req.get('Cache-Control')) }
+            );
+            res.json(result);
+        } catch (err) {
+            console.error('Batch alerts error:', err.message);
+            res.status(502).json({ error: 'Batch alerts error', detail: err.message });
+        }
+    });
+
+    return router;
+}
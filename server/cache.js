@@ -0,0 +1,89 @@
+/**
+ * VigiSaúde Brasil — Response Cache
+ * Two-tier (memory + disk) store for upstream API responses.
+ * Entries survive restarts and can be served stale when upstream fails.
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// ===== Epidemiological week boundary =====
+// InfoDengue publishes once per SE (Sunday → Saturday), so nothing cached
+// before Sunday 00:00 can still be considered fresh after it.
+export function nextWeekBoundary(timestamp) {
+    const d = new Date(timestamp);
+    d.setHours(0, 0, 0, 0);
+    d.setDate(d.getDate() + (7 - d.getDay()));
+    return d.getTime();
+}
+
+/**
+ * Create a response cache.
+ * @param {Object} options
+ * @param {string} options.dir    – directory for the disk tier (created on demand)
+ * @param {number} options.ttlMs  – max freshness; also capped at the next SE boundary
+ * @param {number} [options.maxMemoryEntries=500]
+ */
+export function createResponseCache({ dir, ttlMs, maxMemoryEntries = 500 }) {
+    const memory = new Map();
+
+    function fileFor(key) {
+        const hash = crypto.createHash('sha1').update(key).digest('hex');
+        return path.join(dir, `${hash}.json`);
+    }
+
+    function remember(key, entry) {
+        memory.delete(key);
+        memory.set(key, entry);
+        // Map keeps insertion order — drop the oldest entry when full
+        if (memory.size > maxMemoryEntries) {
+            memory.delete(memory.keys().next().value);
+        }
+    }
+
+    async function get(key) {
+        if (memory.has(key)) return memory.get(key);
+        try {
+            const raw = await fs.promises.readFile(fileFor(key), 'utf8');
+            const entry = JSON.parse(raw);
+            if (entry.key !== key) return null;
+            remember(key, entry);
+            return entry;
+        } catch {
+            return null;
+        }
+    }
+
+    async function set(key, { status, contentType, body }) {
+        const storedAt = Date.now();
+        const entry = {
+            key,
+            status,
+            contentType,
+            body,
+            storedAt,
+            expiresAt: Math.min(storedAt + ttlMs, nextWeekBoundary(storedAt)),
+        };
+        remember(key, entry);
+        try {
+            await fs.promises.mkdir(dir, { recursive: true });
+            const file = fileFor(key);
+            const tmp = `${file}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmp, JSON.stringify(entry));
+            await fs.promises.rename(tmp, file);
+        } catch (err) {
+            console.error('Cache write error:', err.message);
+        }
+        return entry;
+    }
+
+    function isFresh(entry, now = Date.now()) {
+        return !!entry && now < entry.expiresAt;
+    }
+
+    function ageSeconds(entry, now = Date.now()) {
+        return Math.max(0, Math.floor((now - entry.storedAt) / 1000));
+    }
+
+    return { get, set, isFresh, ageSeconds };
+}
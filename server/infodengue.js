@@ -0,0 +1,145 @@
+/**
+ * VigiSaúde Brasil — InfoDengue upstream client
+ * Cached GET requests against the InfoDengue API with in-flight deduplication
+ * and stale fallback when upstream is slow or down. Clients that need a newly
+ * published SE (auto-refresh) can ask for revalidation with
+ * `Cache-Control: no-cache`; entries younger than
+ * INFODENGUE_REVALIDATE_MINUTES are still served from the cache.
+ */
+import http from 'http';
+import https from 'https';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createResponseCache } from './cache.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const UPSTREAM_URL = new URL(process.env.INFODENGUE_URL || 'https://info.dengue.mat.br');
+const UPSTREAM_TIMEOUT_MS = Number(process.env.INFODENGUE_TIMEOUT_MS) || 15000;
+const CACHE_TTL_MS = (Number(process.env.INFODENGUE_CACHE_TTL_HOURS) || 12) * 3600000;
+const REVALIDATE_MIN_AGE_MS = (Number(process.env.INFODENGUE_REVALIDATE_MINUTES) || 5) * 60000;
+const CACHE_DIR = process.env.INFODENGUE_CACHE_DIR || path.join(__dirname, '..', '.cache', 'infodengue');
+
+const cache = createResponseCache({ dir: CACHE_DIR, ttlMs: CACHE_TTL_MS });
+const inFlight = new Map();
+
+// True when a Cache-Control request header asks to skip fresh cache entries
+export function wantsRevalidation(cacheControl) {
+    return /\bno-cache\b/i.test(cacheControl || '');
+}
+
+// ===== Raw upstream request =====
+function requestUpstream(apiPath) {
+    const client = UPSTREAM_URL.protocol === 'http:' ? http : https;
+    return new Promise((resolve, reject) => {
+        const req = client.request({
+            hostname: UPSTREAM_URL.hostname,
+            port: UPSTREAM_URL.port || (UPSTREAM_URL.protocol === 'http:' ? 80 : 443),
+            path: '/api' + apiPath,
+            method: 'GET',
+            headers: { Accept: 'application/json' },
+            timeout: UPSTREAM_TIMEOUT_MS,
+        }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({
+                status: res.statusCode,
+                contentType: res.headers['content-type'] || 'application/json',
+                body: Buffer.concat(chunks).toString('utf8'),
+            }));
+            res.on('error', reject);
+        });
+        req.on('timeout', () => req.destroy(new Error(`Upstream timeout after ${UPSTREAM_TIMEOUT_MS}ms`)));
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+/**
+ * Fetch an InfoDengue API path (e.g. "/alertcity?geocode=...") through the cache.
+ * Resolves to { entry, cacheStatus } where cacheStatus is HIT, MISS or STALE.
+ * Rejects only when upstream fails and nothing usable is cached.
+ * With `revalidate`, a fresh entry older than INFODENGUE_REVALIDATE_MINUTES
+ * is requested again (and still served stale if upstream fails).
+ */
+export async function fetchInfoDengue(apiPath, { revalidate = false } = {}) {
+    const cached = await cache.get(apiPath);
+    const recheck = revalidate && cached && Date.now() - cached.storedAt >= REVALIDATE_MIN_AGE_MS;
+    if (cache.isFresh(cached) && !recheck) return { entry: cached, cacheStatus: 'HIT' };
+
+    // Concurrent misses for the same query share one upstream request
+    let pending = inFlight.get(apiPath);
+    if (!pending) {
+        pending = requestUpstream(apiPath)
+            .then(res => {
+                if (res.status !== 200) {
+                    const err = new Error(`Upstream responded ${res.status}`);
+                    err.response = res;
+                    throw err;
+                }
+                return cache.set(apiPath, res);
+            })
+            .finally(() => inFlight.delete(apiPath));
+        inFlight.set(apiPath, pending);
+    }
+
+    try {
+        return { entry: await pending, cacheStatus: 'MISS' };
+    } catch (err) {
+        if (cached) {
+            console.warn(`InfoDengue unavailable, serving stale cache: ${err.message}`);
+            return { entry: cached, cacheStatus: 'STALE' };
+        }
+        throw err;
+    }
+}
+
+export function getCacheAge(entry) {
+    return cache.ageSeconds(entry);
+}
+
+// ===== Alert series (alertcity) =====
+// Same query layout as fetchDiseaseData in src/services/api.js so browser
+// requests and server-side batches share cache entries.
+export function alertcityPath(geocode, disease, { ewStart, ewEnd, eyStart, eyEnd }) {
+    return `/alertcity?geocode=${geocode}&disease=${disease}&format=json&ew_start=${ewStart}&ew_end=${ewEnd}&ey_start=${eyStart}&ey_end=${eyEnd}`;
+}
+
+export async function fetchAlertSeries(geocode, disease, period, options) {
+    const { entry } = await fetchInfoDengue(alertcityPath(geocode, disease, period), options);
+    const data = JSON.parse(entry.body);
+    return Array.isArray(data) ? data.sort((a, b) => a.SE - b.SE) : [];
+}
+
+// Run fn over items with at most `limit` promises pending at once
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    async function worker() {
+        while (next < items.length) {
+            const idx = next++;
+            results[idx] = await fn(items[idx], idx);
+        }
+    }
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Fetch alert series for many geocodes at once.
+ * @param {{ revalidate?: boolean }} [options] - see fetchInfoDengue
+ * @returns {Promise<{ alerts: Object<string, Object[]>, errors: Object<string, string> }>}
+ */
+export async function fetchAlertBatch(geocodes, disease, period, concurrency = 8, options = {}) {
+    const alerts = {};
+    const errors = {};
+    await mapWithConcurrency([...new Set(geocodes)], concurrency, async (geocode) => {
+        try {
+            alerts[geocode] = await fetchAlertSeries(geocode, disease, period, options);
+        } catch (err) {
+            alerts[geocode] = [];
+            errors[geocode] = err.message;
+        }
+    });
+    return { alerts, errors };
+}
@@ -0,0 +1,60 @@
+/**
+ * VigiSaúde Brasil — Municipal alerts prefetch job
+ * Periodically fetches the current alert window for every Brazilian
+ * municipality so the disk cache is warm when users zoom into the
+ * municipal choropleth. Opt-in via ALERTS_PREFETCH_HOURS.
+ */
+import { fetchAlertBatch } from './infodengue.js';
+import { recentEpiWeeks } from '../src/services/epiweek.js';
+
+const IBGE_MUNICIPIOS_URL = 'https://servicodados.ibge.gov.br/api/v1/localidades/municipios';
+const DISEASES = ['dengue', 'chikungunya', 'zika'];
+const PREFETCH_CONCURRENCY = Number(process.env.ALERTS_PREFETCH_CONCURRENCY) || 4;
+
+// Mirrors the window requested by fetchBulkMunicipioAlerts (src/services/api.js)
+// so prefetched entries share the browser's cache keys.
+export function municipioAlertWindow(date = new Date()) {
+    return recentEpiWeeks(3, date);
+}
+
+async function fetchAllGeocodes() {
+    const res = await fetch(IBGE_MUNICIPIOS_URL);
+    if (!res.ok) throw new Error(`IBGE responded ${res.status}`);
+    const municipios = await res.json();
+    return municipios.map(m => m.id);
+}
+
+export async function prefetchMunicipioAlerts() {
+    const started = Date.now();
+    const geocodes = await fetchAllGeocodes();
+    const period = municipioAlertWindow();
+
+    for (const disease of DISEASES) {
+        const { errors } = await fetchAlertBatch(geocodes, disease, period, PREFETCH_CONCURRENCY);
+        const failed = Object.keys(errors).length;
+        console.log(`Prefetch ${disease}: ${geocodes.length - failed}/${geocodes.length} municipalities`);
+    }
+    console.log(`Prefetch finished in ${Math.round((Date.now() - started) / 1000)}s`);
+}
+
+export function startMunicipioPrefetch(intervalHours) {
+    if (!intervalHours || intervalHours <= 0) return null;
+
+    let running = false;
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await prefetchMunicipioAlerts();
+        } catch (err) {
+            console.error('Prefetch error:', err.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    run();
+    const timer = setInterval(run, intervalHours * 3600000);
+    timer.unref();
+    return timer;
+}
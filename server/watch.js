@@ -0,0 +1,273 @@
+/**
+ * VigiSaúde Brasil — Scheduled watch rules
+ * Server-side counterpart of the dashboard's alert rules: the same rule
+ * format (src/services/alertrules.js) plus optional `webhooks`, evaluated
+ * every WATCH_INTERVAL_MINUTES. Each new (rule, place, SE) match is POSTed
+ * to the rule's webhooks and to WATCH_WEBHOOK_URLS, so chat bots get the
+ * alert without anyone keeping the dashboard open. A webhook counts as
+ * notified only once it accepts the payload (or rejects it with a 4xx);
+ * failed deliveries are tried again on later runs while the match lasts.
+ *
+ * /api/watch (Bearer WATCH_API_TOKEN):
+ *   GET    /rules              list rules
+ *   POST   /rules              add one rule, or a rule set exported by the dashboard
+ *   DELETE /rules/:id          remove a rule
+ *   POST   /run                evaluate now
+ *   GET    /deliveries         delivery log (?status=failed|delivered|pending)
+ */
+import crypto from 'crypto';
+import path from 'path';
+import express from 'express';
+import { fileURLToPath } from 'url';
+import { createWatchStore } from './watchstore.js';
+import { deliverWebhook, isRetryable } from './webhooks.js';
+import { fetchAlertBatch, mapWithConcurrency } from './infodengue.js';
+import { validateRule, matchSeries, RULE_METRICS, MAX_RULE_WEEKS } from '../src/services/alertrules.js';
+import { STATE_CAPITALS } from '../src/services/api.js';
+import { recentEpiWeeks } from '../src/services/epiweek.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const WATCH_DATA_DIR = process.env.WATCH_DATA_DIR || path.join(__dirname, '..', '.data', 'watch');
+const WATCH_API_TOKEN = process.env.WATCH_API_TOKEN || '';
+const GLOBAL_WEBHOOKS = (process.env.WATCH_WEBHOOK_URLS || '').split(',').map(u => u.trim()).filter(Boolean);
+const WEBHOOK_ATTEMPTS = Number(process.env.WATCH_WEBHOOK_ATTEMPTS) || 4;
+const WEBHOOK_BACKOFF_MS = Number(process.env.WATCH_WEBHOOK_BACKOFF_MS) || 2000;
+const FETCH_CONCURRENCY = 4;
+const DELIVERY_CONCURRENCY = 4;
+const RULESET_FORMAT = 'vigisaude-alert-rules';
+
+const store = createWatchStore({ dir: WATCH_DATA_DIR });
+
+// ===== Rules =====
+function isWebhookUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+// Dashboard rule validation + the server-only `webhooks` list
+export function validateWatchRule(input) {
+    const webhooks = input?.webhooks ?? [];
+    if (!Array.isArray(webhooks) || !webhooks.every(isWebhookUrl)) {
+        throw new Error('`webhooks` must be a list of http(s) URLs');
+    }
+    return { ...validateRule(input), webhooks };
+}
+
+// ===== Evaluation =====
+function formatSE(se) {
+    return `SE ${se % 100}/${Math.floor(se / 100)}`;
+}
+
+function buildPayload(rule, place, row, key) {
+    const value = row[rule.metric];
+    return {
+        event: 'alert.triggered',
+        id: key,
+        text: `[VigiSaúde] ${place.name}: ${rule.name} — ${RULE_METRICS[rule.metric]} ${value} na ${formatSE(row.SE)}`,
+        rule: {
+            id: rule.id,
+            name: rule.name,
+            disease: rule.disease,
+            metric: rule.metric,
+            operator: rule.operator,
+            value: rule.value,
+            weeks: rule.weeks,
+        },
+        place,
+        SE: row.SE,
+        value,
+        data: {
+            casos: row.casos ?? null,
+            casos_est: row.casos_est ?? null,
+            Rt: row.Rt ?? null,
+            nivel: row.nivel ?? null,
+            p_inc100k: row.p_inc100k ?? null,
+        },
+        triggeredAt: new Date().toISOString(),
+    };
+}
+
+function targetsFor(rule) {
+    if (rule.scope.type === 'capitals') return STATE_CAPITALS.map(c => ({ geocode: c.geocode, name: c.name }));
+    return [{ geocode: rule.scope.id, name: rule.scope.name }];
+}
+
+// Fired-set key of one webhook for one match; also the delivery log id
+function deliveryKey(eventKey, url) {
+    return `${eventKey}|${url}`;
+}
+
+// `previous` is the logged delivery of an earlier run, whose attempts carry over
+async function deliver(payload, url, previous = null) {
+    const delivery = {
+        id: deliveryKey(payload.id, url),
+        event: payload.id,
+        ruleId: payload.rule.id,
+        url,
+        status: 'pending',
+        attempts: [...(previous?.attempts || [])],
+        createdAt: previous?.createdAt ?? Date.now(),
+    };
+    await store.logDelivery(delivery);
+    const result = await deliverWebhook(url, payload, {
+        attempts: WEBHOOK_ATTEMPTS,
+        backoffMs: WEBHOOK_BACKOFF_MS,
+        onAttempt: (attempt) => {
+            delivery.attempts.push(attempt);
+            return store.logDelivery(delivery);
+        },
+    });
+    delivery.status = result.ok ? 'delivered' : 'failed';
+    // Rejected payloads (4xx) would fail again; anything else waits for the next run
+    delivery.willRetry = !result.ok && isRetryable(result.status);
+    await store.logDelivery(delivery);
+    if (!result.ok) console.warn(`Webhook ${url} failed after ${result.attempts} attempt(s): ${result.error}`);
+    return delivery;
+}
+
+/**
+ * Evaluate every enabled rule and deliver the matches not notified before.
+ * @returns {Promise<{ rules: number, triggered: number, delivered: number, failed: number, errors: string[] }>}
+ */
+export async function evaluateWatchRules() {
+    const rules = (await store.getRules()).filter(r => r.enabled);
+    const fired = await store.getFired();
+    const period = recentEpiWeeks(MAX_RULE_WEEKS);
+    const summary = { rules: rules.length, triggered: 0, delivered: 0, failed: 0, errors: [] };
+    const outbox = [];
+
+    // Fired keys: one per webhook that took the match (deliveryKey), or the
+    // match key alone when there was no webhook to deliver to
+    const silent = [];
+
+    for (const rule of rules) {
+        const targets = targetsFor(rule);
+        const { alerts, errors } = await fetchAlertBatch(targets.map(t => t.geocode), rule.disease, period, FETCH_CONCURRENCY);
+        Object.entries(errors).forEach(([geocode, message]) => summary.errors.push(`${rule.name} (${geocode}): ${message}`));
+
+        targets.forEach(place => {
+            const row = matchSeries(rule, alerts[place.geocode] || []);
+            if (!row) return;
+            const key = `${rule.id}|${place.geocode}|${row.SE}`;
+            if (fired.has(key)) return;
+            const urls = [...new Set([...rule.webhooks, ...GLOBAL_WEBHOOKS])];
+            const pending = urls.filter(url => !fired.has(deliveryKey(key, url)));
+            if (urls.length === 0) silent.push(key);
+            else if (pending.length === 0) return;
+            const payload = buildPayload(rule, place, row, key);
+            pending.forEach(url => outbox.push({ payload, url }));
+            summary.triggered++;
+        });
+    }
+
+    const previous = outbox.length > 0 ? new Map((await store.getDeliveries()).map(d => [d.id, d])) : new Map();
+    const deliveries = await mapWithConcurrency(outbox, DELIVERY_CONCURRENCY, ({ payload, url }) =>
+        deliver(payload, url, previous.get(deliveryKey(payload.id, url))));
+    deliveries.forEach(d => { summary[d.status === 'delivered' ? 'delivered' : 'failed']++; });
+
+    // Marked only after delivery, so a webhook that is down gets the match on a later run
+    const done = [...silent, ...deliveries.filter(d => !d.willRetry).map(d => d.id)];
+    if (done.length > 0) await store.addFired(done);
+    return summary;
+}
+
+// ===== Scheduler =====
+let running = null;
+
+// Runs never overlap; a call during a run waits for it instead of starting another
+function runOnce() {
+    if (!running) {
+        running = evaluateWatchRules().finally(() => { running = null; });
+    }
+    return running;
+}
+
+export function startWatchScheduler(intervalMinutes) {
+    if (!intervalMinutes || intervalMinutes <= 0) return null;
+
+    const run = async () => {
+        try {
+            const { rules, triggered, delivered, failed } = await runOnce();
+            if (triggered > 0) console.log(`Watch: ${rules} rule(s), ${triggered} triggered, ${delivered} delivered, ${failed} failed`);
+        } catch (err) {
+            console.error('Watch error:', err.message);
+        }
+    };
+
+    run();
+    const timer = setInterval(run, intervalMinutes * 60000);
+    timer.unref();
+    return timer;
+}
+
+// ===== API =====
+function requireToken(req, res, next) {
+    if (!WATCH_API_TOKEN) return res.status(503).json({ error: 'Watch API disabled: set WATCH_API_TOKEN' });
+    const expected = Buffer.from(`Bearer ${WATCH_API_TOKEN}`);
+    const given = Buffer.from(req.get('Authorization') || '');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+}
+
+export function createWatchRouter() {
+    const router = express.Router();
+    router.use(requireToken);
+
+    router.get('/rules', async (_req, res) => {
+        res.json(await store.getRules());
+    });
+
+    // A single rule → 201 with the rule; a dashboard rule set → { added, errors }
+    router.post('/rules', express.json({ limit: '256kb' }), async (req, res) => {
+        const isRuleSet = req.body?.format === RULESET_FORMAT;
+        const inputs = isRuleSet ? (Array.isArray(req.body.rules) ? req.body.rules : []) : [req.body];
+        const added = [];
+        const errors = [];
+        inputs.forEach((input, idx) => {
+            try {
+                added.push(validateWatchRule({ ...input, id: null }));
+            } catch (err) {
+                errors.push(isRuleSet ? `Rule ${idx + 1}: ${err.message}` : err.message);
+            }
+        });
+
+        if (!isRuleSet && errors.length > 0) return res.status(400).json({ error: errors[0] });
+        if (added.length > 0) await store.saveRules(rules => [...rules, ...added]);
+        if (isRuleSet) return res.json({ added: added.length, errors });
+        res.status(201).json(added[0]);
+    });
+
+    router.delete('/rules/:id', async (req, res) => {
+        let found = false;
+        await store.saveRules(rules => rules.filter(r => {
+            if (r.id !== req.params.id) return true;
+            found = true;
+            return false;
+        }));
+        if (!found) return res.status(404).json({ error: 'Rule not found' });
+        res.status(204).end();
+    });
+
+    router.post('/run', async (_req, res) => {
+        try {
+            res.json(await runOnce());
+        } catch (err) {
+            console.error('Watch run error:', err.message);
+            res.status(500).json({ error: 'Watch run error', detail: err.message });
+        }
+    });
+
+    router.get('/deliveries', async (req, res) => {
+        const { status } = req.query;
+        const log = await store.getDeliveries();
+        res.json(status ? log.filter(d => d.status === status) : log);
+    });
+
+    return router;
+}
@@ -0,0 +1,81 @@
+/**
+ * VigiSaúde Brasil — Watch rule store
+ * JSON files on disk for the server-side watch rules, the (rule, place, SE)
+ * keys already notified and the webhook delivery log. Writes go through a
+ * temp file + rename, like the response cache, so a crash never leaves a
+ * half-written file behind.
+ */
+import fs from 'fs';
+import path from 'path';
+
+const MAX_FIRED_KEYS = 5000;
+const MAX_DELIVERIES = 500;
+
+/**
+ * @param {Object} options
+ * @param {string} options.dir – directory for rules.json, fired.json and deliveries.json
+ */
+export function createWatchStore({ dir }) {
+    const files = {
+        rules: path.join(dir, 'rules.json'),
+        fired: path.join(dir, 'fired.json'),
+        deliveries: path.join(dir, 'deliveries.json'),
+    };
+    // Serialize writes per file so concurrent updates don't interleave
+    const queues = new Map();
+
+    async function read(name, fallback) {
+        try {
+            return JSON.parse(await fs.promises.readFile(files[name], 'utf8'));
+        } catch {
+            return fallback;
+        }
+    }
+
+    async function write(name, value) {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const tmp = `${files[name]}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(value, null, 2));
+        await fs.promises.rename(tmp, files[name]);
+    }
+
+    // Read-modify-write under the file's queue; `fn` returns the new value
+    function update(name, fallback, fn) {
+        const previous = queues.get(name) || Promise.resolve();
+        const next = previous.then(async () => {
+            const value = await fn(await read(name, fallback));
+            await write(name, value);
+            return value;
+        });
+        queues.set(name, next.catch(() => {}));
+        return next;
+    }
+
+    // ===== Rules =====
+    const getRules = () => read('rules', []);
+
+    function saveRules(fn) {
+        return update('rules', [], fn);
+    }
+
+    // ===== Fired keys =====
+    async function getFired() {
+        return new Set(await read('fired', []));
+    }
+
+    function addFired(keys) {
+        return update('fired', [], fired => [...new Set([...fired, ...keys])].slice(-MAX_FIRED_KEYS));
+    }
+
+    // ===== Delivery log =====
+    const getDeliveries = () => read('deliveries', []);
+
+    // Insert or replace a delivery by id, newest first
+    function logDelivery(delivery) {
+        return update('deliveries', [], log =>
+            [delivery, ...log.filter(d => d.id !== delivery.id)].slice(0, MAX_DELIVERIES)
+        );
+    }
+
+    return { getRules, saveRules, getFired, addFired, getDeliveries, logDelivery };
+}
@@ -0,0 +1,49 @@
+/**
+ * VigiSaúde Brasil — Webhook delivery
+ * POSTs JSON payloads with exponential backoff. Network errors, timeouts,
+ * 429 and 5xx responses are retried; other 4xx responses fail at once (the
+ * receiver rejected the payload, retrying won't help). Every attempt is
+ * reported through `onAttempt` so callers can keep a delivery log.
+ */
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WATCH_WEBHOOK_TIMEOUT_MS) || 10000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// null = no response (network error or timeout)
+export function isRetryable(status) {
+    return status === null || status === 429 || status >= 500;
+}
+
+/**
+ * @param {string} url
+ * @param {Object} payload – sent as the JSON body
+ * @param {Object} [options]
+ * @param {number} [options.attempts=4]     – total tries, including the first
+ * @param {number} [options.backoffMs=2000] – wait before the 2nd try; doubles after each failure
+ * @param {Function} [options.onAttempt]    – called with { at, status, error } after each try
+ * @returns {Promise<{ ok: boolean, attempts: number, status: number|null, error: string|null }>}
+ */
+export async function deliverWebhook(url, payload, { attempts = 4, backoffMs = 2000, onAttempt = () => {} } = {}) {
+    const body = JSON.stringify(payload);
+    let last = { status: null, error: null };
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        try {
+            const res = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'User-Agent': 'VigiSaude-Brasil-Watch/1' },
+                body,
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+            });
+            last = { status: res.status, error: res.ok ? null : `HTTP ${res.status}` };
+        } catch (err) {
+            last = { status: null, error: err.name === 'TimeoutError' ? `Timeout after ${WEBHOOK_TIMEOUT_MS}ms` : err.message };
+        }
+        await onAttempt({ at: Date.now(), ...last });
+
+        if (!last.error) return { ok: true, attempts: attempt, ...last };
+        if (!isRetryable(last.status)) return { ok: false, attempts: attempt, ...last };
+        if (attempt < attempts) await sleep(backoffMs * 2 ** (attempt - 1));
+    }
+    return { ok: false, attempts, ...last };
+}
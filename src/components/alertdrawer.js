@@ -0,0 +1,249 @@
+/**
+ * VigiSaúde Brasil — Alert Drawer Component
+ * Bell button + side drawer: triggered notifications, the rule list, the
+ * "Nova regra" form, rule set import/export and browser notifications.
+ */
+import { fetchAllMunicipios, getDiseaseInfo } from '../services/api.js';
+import {
+    RULE_METRICS, RULE_OPERATORS, getRules, saveRule, removeRule, setRuleEnabled,
+    exportRuleSet, importRuleSet, evaluateRules, getNotifications,
+    markNotificationsRead, clearNotifications,
+} from '../services/alertrules.js';
+import { downloadBlob } from '../services/export.js';
+
+let municipioOptions = null;   // "Nome - UF" → { id, name }
+
+function setStatus(text) {
+    const el = document.getElementById('alert-status');
+    if (el) el.textContent = text;
+}
+
+function formatValue(metric, value) {
+    if (value === null || value === undefined) return '--';
+    if (metric === 'Rt') return Number(value).toFixed(2);
+    if (metric === 'p_inc100k') return Number(value).toFixed(1);
+    return Math.round(value).toLocaleString('pt-BR');
+}
+
+// ===== Rendering =====
+function renderBadge() {
+    const badge = document.getElementById('alerts-badge');
+    if (!badge) return;
+    const unread = getNotifications().filter(n => !n.read).length;
+    badge.textContent = unread > 99 ? '99+' : String(unread);
+    badge.classList.toggle('hidden', unread === 0);
+}
+
+function renderNotifications() {
+    const list = document.getElementById('alert-notifications');
+    if (!list) return;
+    const notifications = getNotifications();
+    if (notifications.length === 0) {
+        list.innerHTML = '<li class="alert-list__empty">Nenhum alerta disparado.</li>';
+        return;
+    }
+    list.innerHTML = notifications.map(n => `
+        <li class="alert-list__item ${n.read ? '' : 'alert-list__item--unread'}">
+            <strong>${n.place}</strong> · ${getDiseaseInfo(n.disease).name} · SE ${n.SE % 100}/${Math.floor(n.SE / 100)}
+            <span class="alert-list__detail">${RULE_METRICS[n.metric]}: ${formatValue(n.metric, n.value)} — ${n.ruleName}</span>
+            <span class="alert-list__time">${new Date(n.at).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' })}</span>
+        </li>
+    `).join('');
+}
+
+function renderRules() {
+    const list = document.getElementById('alert-rules');
+    if (!list) return;
+    const rules = getRules();
+    if (rules.length === 0) {
+        list.innerHTML = '<li class="alert-list__empty">Nenhuma regra. Crie uma abaixo ou importe um conjunto.</li>';
+        return;
+    }
+    list.innerHTML = rules.map(r => `
+        <li class="alert-list__item alert-list__item--rule" data-rule-id="${r.id}">
+            <label class="compare-toggle">
+                <input type="checkbox" data-action="toggle" ${r.enabled ? 'checked' : ''} />
+                <span>${r.name}</span>
+            </label>
+            <button class="location-chip__remove" data-action="remove" title="Excluir regra">&times;</button>
+        </li>
+    `).join('');
+}
+
+function renderAll() {
+    renderBadge();
+    renderNotifications();
+    renderRules();
+}
+
+// ===== Browser notifications =====
+function notifyBrowser(triggered) {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    triggered.slice(0, 5).forEach(n => {
+        new Notification(`VigiSaúde: ${n.place}`, {
+            body: `${n.ruleName}\n${RULE_METRICS[n.metric]}: ${formatValue(n.metric, n.value)} (SE ${n.SE % 100})`,
+            tag: n.id,
+        });
+    });
+    if (triggered.length > 5) {
+        new Notification('VigiSaúde', { body: `Mais ${triggered.length - 5} alertas no painel.` });
+    }
+}
+
+function updatePermissionButton() {
+    const btn = document.getElementById('alert-permission');
+    if (!btn) return;
+    if (typeof Notification === 'undefined') {
+        btn.disabled = true;
+        btn.textContent = 'Navegador sem notificações';
+    } else if (Notification.permission === 'granted') {
+        btn.disabled = true;
+        btn.textContent = 'Notificações do navegador ativas';
+    } else if (Notification.permission === 'denied') {
+        btn.disabled = true;
+        btn.textContent = 'Notificações bloqueadas no navegador';
+    }
+}
+
+/**
+ * Evaluate the rules against the latest data. Call after every data refresh.
+ * @returns {Promise<Array>} notifications triggered by this run
+ */
+export async function runAlertRules() {
+    const triggered = await evaluateRules();
+    if (triggered.length > 0) {
+        renderAll();
+        notifyBrowser(triggered);
+    }
+    return triggered;
+}
+
+// ===== Rule form =====
+async function loadMunicipioOptions() {
+    if (municipioOptions) return;
+    municipioOptions = new Map();
+    try {
+        const municipios = await fetchAllMunicipios();
+        const datalist = document.getElementById('alert-municipios');
+        municipios.forEach(m => {
+            const uf = m.microrregiao?.mesorregiao?.UF?.sigla || '';
+            municipioOptions.set(`${m.nome} - ${uf}`, { id: m.id, name: `${m.nome}, ${uf}` });
+        });
+        if (datalist) datalist.innerHTML = [...municipioOptions.keys()].map(k => `<option value="${k}"></option>`).join('');
+    } catch {
+        municipioOptions = null;
+    }
+}
+
+function initRuleForm() {
+    const form = document.getElementById('alert-rule-form');
+    if (!form) return;
+    const errorEl = document.getElementById('alert-rule-error');
+    const municipioField = form.querySelector('.alert-rule-form__municipio');
+    const field = form.elements;
+
+    field.metric.innerHTML = Object.entries(RULE_METRICS).map(([k, label]) => `<option value="${k}">${label}</option>`).join('');
+    field.operator.innerHTML = RULE_OPERATORS.map(op => `<option value="${op}">${op}</option>`).join('');
+
+    field.scope.addEventListener('change', () => {
+        const isMunicipio = field.scope.value === 'municipio';
+        municipioField.classList.toggle('hidden', !isMunicipio);
+        if (isMunicipio) loadMunicipioOptions();
+    });
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        errorEl.classList.add('hidden');
+        try {
+            let scope = { type: 'capitals' };
+            if (field.scope.value === 'municipio') {
+                const match = municipioOptions?.get(field.municipio.value.trim());
+                if (!match) throw new Error('Escolha um município da lista');
+                scope = { type: 'municipio', ...match };
+            }
+            saveRule({
+                name: field.name.value,
+                disease: field.disease.value,
+                scope,
+                metric: field.metric.value,
+                operator: field.operator.value,
+                value: field.value.value,
+                weeks: field.weeks.value,
+            });
+            field.name.value = '';
+            renderRules();
+            runAlertRules();
+        } catch (err) {
+            errorEl.textContent = err.message;
+            errorEl.classList.remove('hidden');
+        }
+    });
+}
+
+// ===== Init =====
+export function initAlertDrawer() {
+    const drawer = document.getElementById('alert-drawer');
+    if (!drawer) return;
+
+    const toggle = (open) => {
+        drawer.classList.toggle('hidden', !open);
+        document.getElementById('nav-alerts')?.classList.toggle('active', open);
+    };
+    document.getElementById('nav-alerts')?.addEventListener('click', () => toggle(drawer.classList.contains('hidden')));
+    document.getElementById('alert-drawer-close')?.addEventListener('click', () => toggle(false));
+
+    document.getElementById('alert-mark-read')?.addEventListener('click', () => {
+        markNotificationsRead();
+        renderAll();
+    });
+    document.getElementById('alert-clear')?.addEventListener('click', () => {
+        clearNotifications();
+        renderAll();
+    });
+
+    document.getElementById('alert-rules')?.addEventListener('change', (e) => {
+        const item = e.target.closest('[data-rule-id]');
+        if (item && e.target.dataset.action === 'toggle') {
+            setRuleEnabled(item.dataset.ruleId, e.target.checked);
+            if (e.target.checked) runAlertRules();
+        }
+    });
+    document.getElementById('alert-rules')?.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-rule-id]');
+        if (item && e.target.dataset.action === 'remove') {
+            removeRule(item.dataset.ruleId);
+            renderRules();
+        }
+    });
+
+    // Rule sets
+    document.getElementById('alert-export')?.addEventListener('click', () => {
+        const stamp = new Date().toISOString().slice(0, 10);
+        downloadBlob(new Blob([exportRuleSet()], { type: 'application/json' }), `vigisaude-regras-${stamp}.json`);
+    });
+    const fileInput = document.getElementById('alert-import-file');
+    document.getElementById('alert-import')?.addEventListener('click', () => fileInput?.click());
+    fileInput?.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        try {
+            const { added, skipped, errors } = importRuleSet(await file.text());
+            setStatus(`${added} regra(s) importada(s), ${skipped} repetida(s)${errors.length ? `, ${errors.length} inválida(s): ${errors.join('; ')}` : ''}.`);
+            renderRules();
+            if (added > 0) runAlertRules();
+        } catch (err) {
+            setStatus(`Falha na importação: ${err.message}`);
+        }
+    });
+
+    document.getElementById('alert-permission')?.addEventListener('click', async () => {
+        if (typeof Notification === 'undefined') return;
+        await Notification.requestPermission();
+        updatePermissionButton();
+    });
+
+    initRuleForm();
+    updatePermissionButton();
+    renderAll();
+}
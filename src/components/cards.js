@@ -3,15 +3,103 @@
  * Sidebar cards showing disease status with alert levels and mini stats
  */
 import { getDiseaseInfo, getAlertLevel } from '../services/api.js';
+import { dateToEpiWeek } from '../services/epiweek.js';
+import { MEASURES, per100k, formatMeasure, municipalPopulation, rowMeasure } from '../services/population.js';
 
 let activeDisease = 'dengue';
 let onDiseaseChange = null;
+let measure = 'casos';      // key of MEASURES
+let population = null;      // IBGE population dataset (fetchPopulation)
+
+// Headline figure of a card and of the national summary, per measure
+const MEASURE_LABELS = {
+    casos: { card: 'Casos totais', summary: 'Casos totais (ano corrente)' },
+    incidencia: { card: 'Incidência/100k', summary: 'Incidência/100k na última SE (capitais)' },
+    acumulada: { card: 'Inc. acumulada/100k', summary: 'Incidência acumulada/100k no ano (capitais)' },
+};
 
 export function initCards(container, callback) {
     onDiseaseChange = callback;
     renderCards(container);
 }
 
+// Card figures for one disease's national overview (also used by the PDF report).
+// Rates pool the capitals (cases over their summed population) and Rt is
+// weighted by population, so large and small capitals count in proportion.
+// Capitals without a population are left out of the weighted Rt and of
+// validRtCount; only when none has one is Rt the plain mean of all of them.
+export function summarizeDisease(nationalData, dataset = population) {
+    let totalCases = 0;
+    let maxLevel = 1;
+    let dataYear = dateToEpiWeek().year;
+    let totalPop = 0;
+    let pooledCases = 0;
+    let weekCases = 0;
+    let rtSum = 0;
+    let rtCount = 0;
+    let rtWeighted = 0;
+    let rtWeight = 0;
+    let weightedRtCount = 0;
+
+    if (nationalData && Array.isArray(nationalData)) {
+        nationalData.forEach(cap => {
+            if (cap.latest) {
+                const cases = cap.latest.notif_accum_year || 0;
+                const pop = municipalPopulation(dataset, cap.geocode, cap.latest);
+                totalCases += cases;
+                if (pop) {
+                    totalPop += pop;
+                    pooledCases += cases;
+                    weekCases += cap.latest.casos_est || cap.latest.casos || 0;
+                }
+                if (cap.latest.Rt) {
+                    rtSum += cap.latest.Rt;
+                    rtCount++;
+                    if (pop) {
+                        rtWeighted += cap.latest.Rt * pop;
+                        rtWeight += pop;
+                        weightedRtCount++;
+                    }
+                }
+                if (cap.latest.nivel > maxLevel) maxLevel = cap.latest.nivel;
+            }
+            if (cap.dataYear) dataYear = cap.dataYear;
+        });
+    }
+
+    // Without any population the plain mean is the best we have
+    const rtIsWeighted = rtWeight > 0;
+    const validRtCount = rtIsWeighted ? weightedRtCount : rtCount;
+    let avgRt = 0;
+    if (rtIsWeighted) avgRt = rtWeighted / rtWeight;
+    else if (rtCount > 0) avgRt = rtSum / rtCount;
+
+    return {
+        totalCases,
+        avgRt,
+        rtIsWeighted,
+        maxLevel,
+        validRtCount,
+        dataYear,
+        population: totalPop || null,
+        incidence: per100k(weekCases, totalPop),
+        cumulativeIncidence: per100k(pooledCases, totalPop),
+    };
+}
+
+// Headline value of a summary in the current measure
+function headline(summary) {
+    if (measure === 'incidencia') return summary.incidence;
+    if (measure === 'acumulada') return summary.cumulativeIncidence;
+    return summary.totalCases;
+}
+
+// Cards and the national summary follow the measure picked on the map/tracker
+export function setCardMeasure(value, dataset = population) {
+    measure = MEASURES[value] ? value : 'casos';
+    population = dataset;
+}
+
 /**
  * Render disease cards.
  * @param {HTMLElement} container
@@ -30,29 +118,10 @@ export function renderCards(container, diseaseDataMap = null) {
             ? diseaseDataMap[disease]
             : null;
 
-        // Aggregate data from national overview
-        let totalCases = 0;
-        let avgRt = 0;
-        let maxLevel = 1;
-        let validRtCount = 0;
-        let dataYear = new Date().getFullYear();
-
-        if (nationalData && Array.isArray(nationalData)) {
-            nationalData.forEach(cap => {
-                if (cap.latest) {
-                    totalCases += cap.latest.notif_accum_year || 0;
-                    if (cap.latest.Rt) {
-                        avgRt += cap.latest.Rt;
-                        validRtCount++;
-                    }
-                    if (cap.latest.nivel > maxLevel) maxLevel = cap.latest.nivel;
-                }
-                if (cap.dataYear) dataYear = cap.dataYear;
-            });
-            if (validRtCount > 0) avgRt /= validRtCount;
-        }
+        const summary = summarizeDisease(nationalData);
+        const { avgRt, maxLevel, validRtCount, dataYear } = summary;
 
-        const currentYear = new Date().getFullYear();
+        const currentYear = dateToEpiWeek().year;
         const isOldData = dataYear < currentYear;
 
         const alertInfo = getAlertLevel(maxLevel);
@@ -69,12 +138,12 @@ export function renderCards(container, diseaseDataMap = null) {
       </div>
       <div class="disease-card__stats">
         <div class="disease-card__stat">
-          <span class="disease-card__stat-value">${totalCases.toLocaleString('pt-BR')}</span>
-          <span class="disease-card__stat-label">Casos totais</span>
+          <span class="disease-card__stat-value">${formatMeasure(headline(summary), measure)}</span>
+          <span class="disease-card__stat-label">${MEASURE_LABELS[measure].card}</span>
         </div>
         <div class="disease-card__stat">
           <span class="disease-card__stat-value">${validRtCount > 0 ? avgRt.toFixed(2) : '0.00'}</span>
-          <span class="disease-card__stat-label">Rt médio</span>
+          <span class="disease-card__stat-label" title="Média das capitais ponderada pela população">Rt médio</span>
         </div>
       </div>
       ${isOldData ? `<div class="disease-card__year-note">⚠ Dados de ${dataYear}</div>` : ''}
@@ -99,29 +168,29 @@ export function setActiveDisease(disease) {
 }
 
 // ===== Update National Summary Stats =====
+// Returns the computed figures (null without data) so they can be exported
 export function updateNationalSummary(nationalData) {
     const totalCasesEl = document.getElementById('total-cases');
+    const totalCasesLabelEl = document.getElementById('total-cases-label');
     const totalCitiesEl = document.getElementById('total-cities');
     const avgRtEl = document.getElementById('avg-rt');
     const maxIncEl = document.getElementById('max-inc');
     const maxIncLabelEl = document.getElementById('max-inc-label');
     const distEl = document.getElementById('alert-distribution');
 
-    if (!nationalData || nationalData.length === 0) return;
+    if (!nationalData || nationalData.length === 0) return null;
 
-    let totalCases = 0;
+    const summary = summarizeDisease(nationalData);
     let alertCities = 0;
-    let avgRt = 0;
-    let rtCount = 0;
     let maxInc = 0;
     let maxIncCity = '';
+    let maxCumInc = 0;
+    let maxCumIncCity = '';
     let level1 = 0, level2 = 0, level3 = 0, level4 = 0;
 
     nationalData.forEach(cap => {
         if (cap.latest) {
-            totalCases += cap.latest.notif_accum_year || 0;
             if (cap.latest.nivel >= 3) alertCities++;
-            if (cap.latest.Rt) { avgRt += cap.latest.Rt; rtCount++; }
 
             const nivel = cap.latest.nivel || 1;
             if (nivel === 1) level1++;
@@ -131,16 +200,23 @@ export function updateNationalSummary(nationalData) {
 
             const inc = cap.latest.p_inc100k || 0;
             if (inc > maxInc) { maxInc = inc; maxIncCity = cap.name; }
+            const cumInc = rowMeasure(cap.latest, 'acumulada', municipalPopulation(population, cap.geocode, cap.latest)) || 0;
+            if (cumInc > maxCumInc) { maxCumInc = cumInc; maxCumIncCity = cap.name; }
         }
     });
 
-    if (rtCount > 0) avgRt /= rtCount;
+    const cumulative = measure === 'acumulada';
+    const shownMax = cumulative ? maxCumInc : maxInc;
+    const shownMaxCity = cumulative ? maxCumIncCity : maxIncCity;
 
-    if (totalCasesEl) totalCasesEl.textContent = totalCases.toLocaleString('pt-BR');
+    if (totalCasesEl) totalCasesEl.textContent = formatMeasure(headline(summary), measure);
+    if (totalCasesLabelEl) totalCasesLabelEl.textContent = MEASURE_LABELS[measure].summary;
     if (totalCitiesEl) totalCitiesEl.textContent = alertCities;
-    if (avgRtEl) avgRtEl.textContent = avgRt.toFixed(2);
-    if (maxIncEl) maxIncEl.textContent = maxInc > 0 ? maxInc.toFixed(1) : '--';
-    if (maxIncLabelEl && maxIncCity) maxIncLabelEl.textContent = `Maior incidência/100k (${maxIncCity})`;
+    if (avgRtEl) avgRtEl.textContent = summary.avgRt.toFixed(2);
+    if (maxIncEl) maxIncEl.textContent = shownMax > 0 ? shownMax.toFixed(1) : '--';
+    if (maxIncLabelEl && shownMaxCity) {
+        maxIncLabelEl.textContent = `${cumulative ? 'Maior inc. acumulada/100k' : 'Maior incidência/100k'} (${shownMaxCity})`;
+    }
 
     // Alert level distribution
     const n1El = document.getElementById('alert-n1');
@@ -152,4 +228,19 @@ export function updateNationalSummary(nationalData) {
     if (n3El) n3El.textContent = `● ${level3} alerta`;
     if (n4El) n4El.textContent = `● ${level4} emergência`;
     if (distEl) distEl.style.display = 'flex';
+
+    return {
+        totalCases: summary.totalCases,
+        alertCities,
+        avgRt: summary.avgRt,
+        rtIsWeighted: summary.rtIsWeighted,
+        maxInc,
+        maxIncCity,
+        maxCumInc,
+        maxCumIncCity,
+        population: summary.population,
+        incidence: summary.incidence,
+        cumulativeIncidence: summary.cumulativeIncidence,
+        levels: { 1: level1, 2: level2, 3: level3, 4: level4 },
+    };
 }
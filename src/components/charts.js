@@ -1,9 +1,10 @@
 /**
  * VigiSaúde Brasil — Charts Component
- * Chart.js visualizations: Cases, Rt, Incidence, Climate, Sanitation correlation
+ * Chart.js visualizations: Cases, Nowcasting, Rt, Incidence, Climate, Sanitation correlation
  */
 import { Chart, registerables } from 'chart.js';
-import { CHART_COLORS, getSanitationData, getDiseaseInfo } from '../services/api.js';
+import { CHART_COLORS, getSanitationFor, getDiseaseInfo, SANITATION_INDICATORS } from '../services/api.js';
+import { fromSECode, seCodeToMonth } from '../services/epiweek.js';
 
 Chart.register(...registerables);
 
@@ -25,12 +26,27 @@ Chart.defaults.plugins.tooltip.borderColor = 'rgba(0, 0, 0, 0.12)';
 Chart.defaults.plugins.tooltip.borderWidth = 1;
 Chart.defaults.animation = { duration: 600, easing: 'easeOutQuart' };
 
+// Kiosk mode: larger axis/legend text for charts rendered from now on
+const BASE_FONT_SIZE = Chart.defaults.font.size;
+export function setChartFontScale(scale = 1) {
+    Chart.defaults.font.size = Math.round(BASE_FONT_SIZE * scale);
+}
+
 let mainChart = null;
 let rtChart = null;
 let incidenceChart = null;
 let climateChart = null;
 let epidemicChart = null;
 let climateWeeklyChart = null;
+let nowcastChart = null;
+
+// Underlying rows of each rendered chart (canvas id → flat rows), so exports
+// contain exactly what is plotted
+const chartSeries = new Map();
+
+export function getChartSeries(canvasId) {
+    return chartSeries.get(canvasId) || [];
+}
 
 function destroyChart(chart) {
     if (chart) chart.destroy();
@@ -38,8 +54,7 @@ function destroyChart(chart) {
 }
 
 function formatSE(se) {
-    const year = Math.floor(se / 100);
-    const week = se % 100;
+    const { year, week } = fromSECode(se);
     return `SE ${week}/${year}`;
 }
 
@@ -47,20 +62,11 @@ function formatSEShort(se) {
     return `SE ${se % 100}`;
 }
 
-// Helper to convert Epidemiological Week (1-52) to Month (0-11) approx
-function weekToMonth(week) {
-    if (week <= 4) return 0; // Jan
-    if (week <= 9) return 1; // Feb
-    if (week <= 13) return 2; // Mar
-    if (week <= 17) return 3; // Apr
-    if (week <= 22) return 4; // May
-    if (week <= 26) return 5; // Jun
-    if (week <= 30) return 6; // Jul
-    if (week <= 35) return 7; // Aug
-    if (week <= 39) return 8; // Sep
-    if (week <= 43) return 9; // Oct
-    if (week <= 48) return 10;// Nov
-    return 11;                // Dec
+// Short labels ("SE 12") for single-year series; "SE 12/2025" when a
+// period spans more than one year so weeks don't collide
+function seLabelFormatter(seCodes) {
+    const years = new Set(seCodes.map(se => Math.floor(se / 100)));
+    return years.size > 1 ? formatSE : formatSEShort;
 }
 
 const MONTH_LABELS = ['Jan', 'Fev', 'Mar', 'Abr', 'Mai', 'Jun', 'Jul', 'Ago', 'Set', 'Out', 'Nov', 'Dez'];
@@ -98,7 +104,7 @@ export function renderCorrelationChart(datasetsMap, disease = 'dengue', year = n
         }));
 
         data.forEach(d => {
-            const m = weekToMonth(d.SE % 100);
+            const m = seCodeToMonth(d.SE).month;
             monthlyData[m].casos += (d.casos || 0);
             if (d.tempmed > 0) { monthlyData[m].tempSum += d.tempmed; monthlyData[m].tempCount++; }
             if (d.umidmed > 0) { monthlyData[m].umidSum += d.umidmed; monthlyData[m].umidCount++; }
@@ -210,89 +216,207 @@ export function renderCorrelationChart(datasetsMap, disease = 'dengue', year = n
 }
 
 // ===== Sanitation Correlation Scatter (view Info) =====
-export function renderSanitationCorrelation(containerId, capitalData, disease = 'dengue') {
+// Names the outliers (studentized residual or Cook's distance) next to their point
+const outlierLabels = {
+    id: 'outlierLabels',
+    afterDatasetsDraw(chart) {
+        const meta = chart.getDatasetMeta(0);
+        const points = chart.data.datasets[0]?.data || [];
+        const { ctx } = chart;
+        ctx.save();
+        ctx.font = "10px 'Ubuntu Mono', monospace";
+        ctx.fillStyle = '#8c2d3c';
+        ctx.textBaseline = 'bottom';
+        points.forEach((p, i) => {
+            if (!p.outlier || !meta.data[i]) return;
+            ctx.fillText(p.label, meta.data[i].x + 7, meta.data[i].y - 3);
+        });
+        ctx.restore();
+    },
+};
+
+/**
+ * @param {string} containerId – canvas id
+ * @param {Object} analysis – from analyzeSanitation (services/correlation.js)
+ * @param {string} disease
+ * @param {Object} options
+ * @param {string} options.xMetric – 'coletaEsgoto' | 'tratamentoEsgoto'
+ * @param {boolean} [options.logScale] – y values are log10(1 + incidence)
+ * @param {string[]} [options.controls] – confounders the line is adjusted for
+ */
+export function renderSanitationCorrelation(containerId, analysis, disease = 'dengue', { xMetric = 'coletaEsgoto', logScale = false, controls = [] } = {}) {
     const existing = Chart.getChart(containerId);
     if (existing) existing.destroy();
 
     const canvas = document.getElementById(containerId);
-    if (!canvas || !capitalData || capitalData.length === 0) return;
+    chartSeries.delete(containerId);
+    if (!canvas || !analysis || analysis.points.length === 0) return;
 
-    const sanitationData = getSanitationData();
     const info = getDiseaseInfo(disease);
+    const xLabel = xMetric === 'tratamentoEsgoto' ? 'Tratamento de Esgoto (%)' : 'Coleta de Esgoto (%)';
+    const { points, model, line } = analysis;
+
+    chartSeries.set(containerId, points.map(({ obs, outlier }, i) => ({
+        capital: obs.name,
+        uf: obs.uf,
+        geocode: obs.geocode,
+        SE: obs.SE,
+        coletaEsgoto: obs.coletaEsgoto,
+        tratamentoEsgoto: obs.tratamentoEsgoto,
+        saneamento_escopo: obs.escopo,
+        idh: obs.idh,
+        tempmed: obs.tempmed === null ? null : parseFloat(obs.tempmed.toFixed(1)),
+        umidmed: obs.umidmed === null ? null : parseFloat(obs.umidmed.toFixed(1)),
+        p_inc100k: obs.p_inc100k,
+        ajustado: model ? model.fitted[i] : null,
+        residuo_padronizado: model ? model.studentized[i] : null,
+        cook: model ? model.cooks[i] : null,
+        outlier,
+    })));
+
+    const datasets = [{
+        label: `${xLabel} vs Incidência`,
+        data: points.map(({ obs, x, y, outlier }) => ({ x, y, label: obs.name, uf: obs.uf, inc: obs.p_inc100k, escopo: obs.escopo, outlier })),
+        backgroundColor: points.map(p => (p.outlier ? '#c0585899' : info.colorHex + '80')),
+        borderColor: points.map(p => (p.outlier ? '#8c2d3c' : info.colorHex)),
+        borderWidth: 1.5,
+        pointRadius: 6,
+        pointHoverRadius: 9,
+        order: 1,
+    }];
+    if (line) {
+        const adjusted = controls.length > 0 ? ' (ajustada)' : '';
+        datasets.push(
+            {
+                label: `Regressão linear${adjusted}`,
+                data: line.map(p => ({ x: p.x, y: p.fit })),
+                type: 'line',
+                borderColor: '#1e1e2e',
+                borderWidth: 1.5,
+                pointRadius: 0,
+                fill: false,
+                order: 0,
+            },
+            {
+                label: 'IC 95%',
+                data: line.map(p => ({ x: p.x, y: p.upper })),
+                type: 'line',
+                borderColor: 'transparent',
+                backgroundColor: 'rgba(30, 30, 46, 0.08)',
+                pointRadius: 0,
+                fill: '+1',
+                order: 2,
+            },
+            {
+                label: 'IC 95% (inferior)',
+                data: line.map(p => ({ x: p.x, y: p.lower })),
+                type: 'line',
+                borderColor: 'transparent',
+                pointRadius: 0,
+                fill: false,
+                order: 2,
+            },
+        );
+    }
 
-    // Scatter: X = coleta esgoto %, Y = incidência/100k
-    const scatterColeta = capitalData
-        .filter(c => c.latest && sanitationData[c.uf])
-        .map(c => ({
-            x: sanitationData[c.uf].coletaEsgoto,
-            y: c.latest.p_inc100k || 0,
-            label: c.name,
-            uf: c.uf,
-            tratamento: sanitationData[c.uf].tratamentoEsgoto,
-        }));
-
-    // Second dataset: X = tratamento esgoto %, Y = incidência/100k
-    const scatterTratamento = capitalData
-        .filter(c => c.latest && sanitationData[c.uf])
-        .map(c => ({
-            x: sanitationData[c.uf].tratamentoEsgoto,
-            y: c.latest.p_inc100k || 0,
-            label: c.name,
-            uf: c.uf,
-        }));
-
+    const formatInc = v => (logScale ? 10 ** v - 1 : v);
     const ctx = canvas.getContext('2d');
     new Chart(ctx, {
         type: 'scatter',
-        data: {
-            datasets: [
-                {
-                    label: 'Coleta de Esgoto (%) vs Incidência',
-                    data: scatterColeta,
-                    backgroundColor: '#6baed680',
-                    borderColor: '#6baed6',
-                    borderWidth: 1.5,
-                    pointRadius: 6,
-                    pointHoverRadius: 9,
-                },
-                {
-                    label: 'Tratamento de Esgoto (%) vs Incidência',
-                    data: scatterTratamento,
-                    backgroundColor: info.colorHex + '80',
-                    borderColor: info.colorHex,
-                    borderWidth: 1.5,
-                    pointRadius: 5,
-                    pointHoverRadius: 8,
-                    pointStyle: 'triangle',
-                },
-            ],
-        },
+        data: { datasets },
+        plugins: [outlierLabels],
         options: {
             responsive: true,
             maintainAspectRatio: false,
             plugins: {
-                legend: { position: 'top', align: 'start', labels: { boxWidth: 12, font: { size: 11 } } },
+                legend: {
+                    position: 'top',
+                    align: 'start',
+                    labels: { boxWidth: 12, font: { size: 11 }, filter: item => item.text !== 'IC 95% (inferior)' },
+                },
                 tooltip: {
+                    filter: item => item.datasetIndex === 0,
                     callbacks: {
                         label: (ctx) => {
                             const d = ctx.raw;
-                            const metrica = ctx.dataset.label.includes('Coleta') ? 'Coleta' : 'Tratamento';
-                            return `${d.label} (${d.uf}): ${metrica} ${d.x}% · Inc ${d.y.toFixed(1)}/100k`;
+                            const escopo = d.escopo === 'estadual' ? ' (média da UF)' : '';
+                            const flag = d.outlier ? ' · atípico' : '';
+                            return `${d.label} (${d.uf}): ${d.x}%${escopo} · Inc ${d.inc.toFixed(1)}/100k${flag}`;
                         },
                     },
                 },
             },
             scales: {
                 x: {
-                    title: { display: true, text: 'Cobertura de Esgoto (%)', font: { size: 12 } },
+                    title: { display: true, text: xLabel, font: { size: 12 } },
                     grid: { color: 'rgba(148, 163, 184, 0.08)' },
                     min: 0,
                     max: 100,
                 },
                 y: {
-                    title: { display: true, text: `Incidência ${info.name}/100k hab.`, font: { size: 12 } },
+                    title: { display: true, text: `Incidência ${info.name}/100k hab.${logScale ? ' (escala log)' : ''}`, font: { size: 12 } },
                     grid: { color: 'rgba(148, 163, 184, 0.08)' },
                     min: 0,
+                    ticks: { callback: v => formatInc(v).toLocaleString('pt-BR', { maximumFractionDigits: logScale ? 1 : 0 }) },
+                },
+            },
+        },
+    });
+}
+
+// ===== Sanitation Indicators by Year (view Info) =====
+// trend: { years, series: { IN015: [median per year], ... } } (services/lagcorr.js)
+const SANITATION_TREND_COLORS = { IN015: '#6baed6', IN016: '#74c496', IN046: '#9e9ac8', IN055: '#e8a87c' };
+
+export function renderSanitationTrend(canvasId, trend, { unitLabel = '' } = {}) {
+    const existing = Chart.getChart(canvasId);
+    if (existing) existing.destroy();
+
+    const canvas = document.getElementById(canvasId);
+    chartSeries.delete(canvasId);
+    if (!canvas || !trend || trend.years.length === 0) return;
+
+    chartSeries.set(canvasId, trend.years.map((ano, i) => ({
+        unidades: unitLabel,
+        ano,
+        ...Object.fromEntries(Object.entries(trend.series).map(([code, values]) => [code, values[i]])),
+    })));
+
+    new Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: trend.years.map(String),
+            datasets: Object.entries(trend.series).map(([code, values]) => ({
+                label: `${code} — ${SANITATION_INDICATORS[code]}`,
+                data: values,
+                borderColor: SANITATION_TREND_COLORS[code],
+                backgroundColor: 'transparent',
+                borderWidth: 2,
+                pointRadius: 3,
+                tension: 0.2,
+                spanGaps: true,
+            })),
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'index', intersect: false },
+            plugins: {
+                legend: { position: 'top', align: 'start', labels: { boxWidth: 12, font: { size: 11 } } },
+                tooltip: {
+                    callbacks: {
+                        label: (ctx) => (ctx.parsed.y === null ? null : `${ctx.dataset.label}: ${ctx.parsed.y.toFixed(1)}% (mediana)`),
+                    },
+                },
+            },
+            scales: {
+                x: { grid: { display: false } },
+                y: {
+                    min: 0,
+                    max: 100,
+                    title: { display: true, text: 'Mediana das unidades (%)', font: { size: 11, weight: '500' } },
+                    grid: { color: 'rgba(148,163,184,0.08)' },
+                    ticks: { callback: v => `${v}%` },
                 },
             },
         },
@@ -300,7 +424,9 @@ export function renderSanitationCorrelation(containerId, capitalData, disease =
 }
 
 // ===== Rt Over Time Chart (tracker view) =====
-export function renderRtChart(datasetsMap, disease = 'dengue') {
+// options.colors: { locationName: color } so each location keeps its color
+// across charts; unlisted locations fall back to CHART_COLORS order
+export function renderRtChart(datasetsMap, disease = 'dengue', { colors = {} } = {}) {
     const canvas = document.getElementById('rt-chart');
     if (!canvas) return;
 
@@ -308,6 +434,7 @@ export function renderRtChart(datasetsMap, disease = 'dengue') {
     if (existing) existing.destroy();
 
     const panel = document.getElementById('rt-chart-panel');
+    chartSeries.delete('rt-chart');
 
     if (!datasetsMap || datasetsMap.size === 0) {
         if (panel) panel.classList.add('hidden');
@@ -331,7 +458,11 @@ export function renderRtChart(datasetsMap, disease = 'dengue') {
         data.forEach(d => allSEs.add(d.SE));
     }
     const seArray = [...allSEs].sort((a, b) => a - b);
-    const labels = seArray.map(se => formatSEShort(se));
+    const labels = seArray.map(seLabelFormatter(seArray));
+
+    chartSeries.set('rt-chart', [...datasetsMap].flatMap(([serie, data]) =>
+        data.map(d => ({ serie, SE: d.SE, Rt: d.Rt > 0 ? d.Rt : null }))
+    ));
 
     const datasets = [];
 
@@ -353,7 +484,7 @@ export function renderRtChart(datasetsMap, disease = 'dengue') {
     let colorIdx = 0;
     for (const [locationName, data] of datasetsMap) {
         if (data.length === 0) continue;
-        const color = CHART_COLORS[colorIdx % CHART_COLORS.length];
+        const color = colors[locationName] || CHART_COLORS[colorIdx % CHART_COLORS.length];
         const seToRt = new Map(data.map(d => [d.SE, d.Rt]));
         const rtData = seArray.map(se => {
             const rt = seToRt.get(se);
@@ -421,34 +552,40 @@ export function renderRtChart(datasetsMap, disease = 'dengue') {
 }
 
 // ===== Sanitation vs Incidence Comparison (tracker view) =====
-// Shows coleta/tratamento % per selected location alongside incidência média
-export function renderSanitationComparison(canvasId, datasetsMap, disease = 'dengue') {
+// Shows coleta/tratamento % per selected location alongside incidência média.
+// options.ufs: { locationName: 'SP' } — otherwise parsed from "City, UF" names
+// options.geocodes: { locationName: geocode } for municipalities, looked up in
+// options.sanitation (the municipal dataset) before falling back to the UF
+export function renderSanitationComparison(canvasId, datasetsMap, disease = 'dengue', { ufs = {}, geocodes = {}, sanitation = null } = {}) {
     const existing = Chart.getChart(canvasId);
     if (existing) existing.destroy();
 
     const panel = document.getElementById('sanitation-chart-panel');
     const canvas = document.getElementById(canvasId);
+    chartSeries.delete(canvasId);
 
     if (!canvas || !datasetsMap || datasetsMap.size === 0) {
         if (panel) panel.classList.add('hidden');
         return;
     }
 
-    const sanitationData = getSanitationData();
     const info = getDiseaseInfo(disease);
 
     const labels = [];
     const coletaData = [];
     const tratamentoData = [];
     const incidenciaData = [];
+    const escopos = [];
+    const rows = [];
 
     for (const [locationName, data] of datasetsMap) {
         if (data.length === 0) continue;
 
         // Name format: "CityName, UF"
         const parts = locationName.split(', ');
-        const uf = parts.length > 1 ? parts[parts.length - 1].trim() : null;
-        const san = uf ? sanitationData[uf] : null;
+        const uf = ufs[locationName] || (parts.length > 1 ? parts[parts.length - 1].trim() : null);
+        const lastSE = data[data.length - 1].SE;
+        const san = getSanitationFor({ geocode: geocodes[locationName], uf }, sanitation, Math.floor(lastSE / 100));
 
         const avgInc = data.length > 0
             ? data.reduce((sum, d) => sum + (d.p_inc100k || 0), 0) / data.length
@@ -457,7 +594,17 @@ export function renderSanitationComparison(canvasId, datasetsMap, disease = 'den
         labels.push(parts[0]); // city name only
         coletaData.push(san ? san.coletaEsgoto : null);
         tratamentoData.push(san ? san.tratamentoEsgoto : null);
+        escopos.push(san?.escopo);
         incidenciaData.push(parseFloat(avgInc.toFixed(2)));
+        rows.push({
+            serie: locationName,
+            uf,
+            coletaEsgoto: san ? san.coletaEsgoto : null,
+            tratamentoEsgoto: san ? san.tratamentoEsgoto : null,
+            saneamento_escopo: san ? san.escopo : null,
+            saneamento_ano: san?.ano ?? null,
+            p_inc100k_media: parseFloat(avgInc.toFixed(2)),
+        });
     }
 
     if (labels.length === 0) {
@@ -466,6 +613,8 @@ export function renderSanitationComparison(canvasId, datasetsMap, disease = 'den
     }
 
     if (panel) panel.classList.remove('hidden');
+    chartSeries.set(canvasId, rows);
+    const stateLevel = escopos.filter(e => e === 'estadual').length;
 
     const ctx = canvas.getContext('2d');
     new Chart(ctx, {
@@ -514,13 +663,24 @@ export function renderSanitationComparison(canvasId, datasetsMap, disease = 'den
             interaction: { mode: 'index', intersect: false },
             plugins: {
                 legend: { position: 'top', align: 'start', labels: { boxWidth: 12, font: { size: 11 } } },
+                subtitle: {
+                    display: stateLevel > 0,
+                    text: stateLevel === labels.length
+                        ? 'Sem dado municipal na base SNIS/SINISA: cobertura = média da UF'
+                        : `${stateLevel} de ${labels.length} localidades sem dado municipal: cobertura = média da UF`,
+                    align: 'start',
+                    color: '#94a3b8',
+                    font: { size: 10 },
+                },
                 tooltip: {
                     callbacks: {
                         label: (ctx) => {
                             const label = ctx.dataset.label || '';
                             const val = ctx.parsed.y;
                             if (val === null || val === undefined) return `${label}: sem dados`;
-                            if (label.includes('Esgoto')) return `${label}: ${val.toFixed(1)}%`;
+                            if (label.includes('Esgoto')) {
+                                return `${label}: ${val.toFixed(1)}%${escopos[ctx.dataIndex] === 'estadual' ? ' (média da UF)' : ''}`;
+                            }
                             return `${label}: ${val.toFixed(1)}/100k`;
                         },
                     },
@@ -550,45 +710,191 @@ export function renderSanitationComparison(canvasId, datasetsMap, disease = 'den
 }
 
 // ===== Epidemic Curve — Weekly Cases (tracker profile) =====
+const ENDEMIC_ALERT_COLOR = '#c05858';
+
+const EPIDEMIC_Y_TITLES = {
+    casos: 'Casos por Semana Epidemiológica',
+    incidencia: 'Casos por 100 mil hab. por Semana Epidemiológica',
+    acumulada: 'Casos acumulados por 100 mil hab.',
+};
+const MEASURE_COLUMNS = { incidencia: 'incidencia_100k', acumulada: 'incidencia_acumulada_100k' };
+
 // datasetsMap: { 'City Name (2025)': data[], 'City Name (2024)': data[] }
-export function renderEpidemicCurve(datasetsMap, disease = 'dengue') {
+// options.overlays: labels drawn as dashed lines (e.g. previous year, with SE
+// codes already shifted onto the main period so weeks line up)
+// (rows may keep their real week in `SE_original`, used for export)
+// options.colors: { label: color } — an overlay usually shares its location's color
+// options.forecasts: { label: [{ SE, casos, lower, upper }] } — projection drawn
+// after the label's series, with its uncertainty band (services/forecast.js)
+// options.channels: { label: { points: [{ SE, lower, center, upper }], flagged: SE[] } } —
+// endemic channel drawn behind the label's bars; flagged weeks are outlined in red
+// (services/endemic.js)
+// options.measure: 'casos' | 'incidencia' | 'acumulada' (services/population.js),
+// with options.populations: { label: population }. Series without a known
+// population are left out of per-capita measures; the cumulative curve has
+// no channel or projection.
+export function renderEpidemicCurve(datasetsMap, disease = 'dengue', { overlays = [], colors = {}, forecasts = {}, channels = {}, measure = 'casos', populations = {} } = {}) {
     epidemicChart = destroyChart(epidemicChart);
+    if (measure === 'acumulada') {
+        forecasts = {};
+        channels = {};
+    }
 
     const canvas = document.getElementById('epidemic-curve-chart');
+    chartSeries.delete('epidemic-curve-chart');
     if (!canvas) return;
 
+    // Build unified week labels from all datasets, in SE order
+    const allSEs = [...new Set([
+        ...Object.values(datasetsMap).flatMap(d => (d || []).map(r => r.SE)),
+        ...Object.values(forecasts).flatMap(points => points.map(p => p.SE)),
+    ])].sort((a, b) => a - b);
+    const formatLabel = seLabelFormatter(allSEs);
+
     const ctx = canvas.getContext('2d');
     const datasets = [];
     let colorIdx = 0;
 
+    const perCapita = measure !== 'casos';
+    const round = perCapita ? v => Math.round(v * 10) / 10 : Math.round;
+    const format = v => v.toLocaleString('pt-BR', { maximumFractionDigits: perCapita ? 1 : 0 });
+    const unit = perCapita ? '/100k' : ' casos';
+    const measured = {};   // label → values in the measure
+
     for (const [label, data] of Object.entries(datasetsMap)) {
         if (!data || data.length === 0) continue;
-        const color = CHART_COLORS[colorIdx % CHART_COLORS.length];
-        const isPrevYear = label.includes('(') && !label.includes(String(new Date().getFullYear()));
+        const values = seriesMeasure(data, measure, populations[label]);
+        if (!values) continue;
+        measured[label] = values;
+        // Channel and projection are weekly case counts, scaled like the bars
+        const factor = measure === 'incidencia' ? per100k(1, populations[label]) : 1;
+        const color = colors[label] || CHART_COLORS[colorIdx % CHART_COLORS.length];
+        const isOverlay = overlays.includes(label);
+        const flagged = new Set(channels[label]?.flagged || []);
 
         datasets.push({
             label,
-            data: data.map(d => ({ x: formatSEShort(d.SE), y: d.casos || 0 })),
-            backgroundColor: isPrevYear ? color + '44' : color + 'bb',
-            borderColor: color,
-            borderWidth: isPrevYear ? 1 : 1.5,
-            borderDash: isPrevYear ? [4, 4] : [],
+            data: data.map((d, i) => ({ x: formatLabel(d.SE), y: values[i] })),
+            backgroundColor: isOverlay ? color + '44' : color + 'bb',
+            borderColor: flagged.size > 0 ? data.map(d => (flagged.has(d.SE) ? ENDEMIC_ALERT_COLOR : color)) : color,
+            borderWidth: flagged.size > 0 ? data.map(d => (flagged.has(d.SE) ? 2.5 : 1.5)) : (isOverlay ? 1 : 1.5),
+            borderDash: isOverlay ? [4, 4] : [],
             borderRadius: 3,
-            type: isPrevYear ? 'line' : 'bar',
+            type: isOverlay ? 'line' : 'bar',
             tension: 0.3,
-            pointRadius: isPrevYear ? 0 : undefined,
+            pointRadius: isOverlay ? 0 : undefined,
             yAxisID: 'y',
-            order: isPrevYear ? 2 : 1,
+            order: isOverlay ? 2 : 1,
         });
         colorIdx++;
+
+        // Endemic channel: band between lower and upper limits, center dotted
+        const channel = channels[label];
+        if (channel && channel.points.length > 0) {
+            const channelLabel = `${label} — canal endêmico`;
+            const toPoints = key => channel.points.map(p => ({ x: formatLabel(p.SE), y: round(p[key] * factor) }));
+            datasets.push({
+                label: `${channelLabel} (limite inferior)`,
+                data: toPoints('lower'),
+                type: 'line',
+                borderWidth: 0,
+                pointRadius: 0,
+                fill: false,
+                order: 10,
+            }, {
+                label: `${channelLabel} (limiar)`,
+                data: toPoints('upper'),
+                type: 'line',
+                borderColor: ENDEMIC_ALERT_COLOR + '99',
+                borderWidth: 1,
+                pointRadius: 0,
+                backgroundColor: 'rgba(148, 163, 184, 0.18)',
+                fill: '-1',
+                tension: 0.3,
+                order: 10,
+            }, {
+                label: `${channelLabel} (esperado)`,
+                data: toPoints('center'),
+                type: 'line',
+                borderColor: 'rgba(100, 116, 139, 0.7)',
+                borderWidth: 1,
+                borderDash: [1, 3],
+                pointRadius: 0,
+                tension: 0.3,
+                order: 9,
+            });
+        }
+
+        const points = forecasts[label];
+        if (!points || points.length === 0) continue;
+        // Start the projection at the last observed week so the lines join
+        const lastRow = data.reduce((a, b) => (b.SE > a.SE ? b : a));
+        const anchor = { x: formatLabel(lastRow.SE), y: (lastRow.casos_est ?? lastRow.casos ?? 0) * factor };
+        const projectionLabel = `${label} — projeção`;
+        datasets.push({
+            label: `${projectionLabel} (limite inferior)`,
+            data: [anchor, ...points.map(p => ({ x: formatLabel(p.SE), y: round(p.lower * factor) }))],
+            type: 'line',
+            borderWidth: 0,
+            pointRadius: 0,
+            fill: false,
+            order: 4,
+        }, {
+            label: `${projectionLabel} (faixa de 80%)`,
+            data: [anchor, ...points.map(p => ({ x: formatLabel(p.SE), y: round(p.upper * factor) }))],
+            type: 'line',
+            borderWidth: 0,
+            pointRadius: 0,
+            backgroundColor: color + '26',
+            fill: '-1',
+            order: 4,
+        }, {
+            label: projectionLabel,
+            data: [anchor, ...points.map(p => ({ x: formatLabel(p.SE), y: round(p.casos * factor) }))],
+            type: 'line',
+            borderColor: color,
+            backgroundColor: color,
+            borderWidth: 2,
+            borderDash: [2, 3],
+            pointRadius: [0, ...points.map(() => 2)],
+            tension: 0.3,
+            order: 3,
+        });
     }
 
     if (datasets.length === 0) return;
 
-    // Build unified week labels from all datasets
-    const allWeekLabels = [...new Set(
-        Object.values(datasetsMap).flatMap(d => d.map(r => formatSEShort(r.SE)))
-    )].sort((a, b) => parseInt(a.replace('SE ', '')) - parseInt(b.replace('SE ', '')));
+    chartSeries.set('epidemic-curve-chart', [
+        ...Object.entries(measured).flatMap(([serie, values]) =>
+            datasetsMap[serie].map((d, i) => ({
+                serie,
+                SE: d.SE_original ?? d.SE,
+                casos: d.casos || 0,
+                ...(perCapita ? { populacao: populations[serie], [MEASURE_COLUMNS[measure]]: round(values[i]) } : {}),
+            }))
+        ),
+        ...Object.entries(channels).flatMap(([serie, channel]) =>
+            channel.points.map(p => ({
+                serie: `${serie} — canal endêmico`,
+                SE: p.SE,
+                esperado: parseFloat(p.center.toFixed(1)),
+                limite_inferior: parseFloat(p.lower.toFixed(1)),
+                limiar: parseFloat(p.upper.toFixed(1)),
+                acima_limiar: channel.flagged.includes(p.SE),
+            }))
+        ),
+        ...Object.entries(forecasts).flatMap(([serie, points]) =>
+            points.map(p => ({
+                serie: `${serie} — projeção`,
+                SE: p.SE,
+                casos: Math.round(p.casos),
+                casos_lim_inf: Math.round(p.lower),
+                casos_lim_sup: Math.round(p.upper),
+            }))
+        ),
+    ]);
+
+    const allWeekLabels = allSEs.map(formatLabel);
 
     epidemicChart = new Chart(ctx, {
         type: 'bar',
@@ -598,10 +904,26 @@ export function renderEpidemicCurve(datasetsMap, disease = 'dengue') {
             maintainAspectRatio: false,
             interaction: { mode: 'index', intersect: false },
             plugins: {
-                legend: { position: 'top', align: 'start', labels: { boxWidth: 12, font: { size: 11 } } },
+                legend: {
+                    position: 'top', align: 'start',
+                    labels: {
+                        boxWidth: 12, font: { size: 11 },
+                        filter: item => !item.text.endsWith('(limite inferior)') && !item.text.endsWith('(esperado)'),
+                    },
+                },
                 tooltip: {
                     callbacks: {
-                        label: (ctx) => `${ctx.dataset.label}: ${Math.round(ctx.parsed.y).toLocaleString('pt-BR')} casos`,
+                        label: (ctx) => {
+                            if (ctx.dataset.label.endsWith('(limite inferior)')) return null;
+                            if (ctx.dataset.label.includes('canal endêmico')) {
+                                return `${ctx.dataset.label}: ${format(ctx.parsed.y)}`;
+                            }
+                            if (ctx.dataset.label.endsWith('(faixa de 80%)')) {
+                                const lower = ctx.chart.data.datasets[ctx.datasetIndex - 1].data[ctx.dataIndex]?.y ?? 0;
+                                return `Faixa de 80%: ${format(lower)}–${format(ctx.parsed.y)}`;
+                            }
+                            return `${ctx.dataset.label}: ${format(ctx.parsed.y)}${unit}`;
+                        },
                     }
                 }
             },
@@ -615,7 +937,7 @@ export function renderEpidemicCurve(datasetsMap, disease = 'dengue') {
                     position: 'left',
                     min: 0,
                     grid: { color: 'rgba(148, 163, 184, 0.08)' },
-                    title: { display: true, text: 'Casos por Semana Epidemiológica', font: { size: 11, weight: '500' } },
+                    title: { display: true, text: EPIDEMIC_Y_TITLES[measure], font: { size: 11, weight: '500' } },
                     ticks: { callback: v => v.toLocaleString('pt-BR') },
                 },
             },
@@ -623,58 +945,244 @@ export function renderEpidemicCurve(datasetsMap, disease = 'dengue') {
     });
 }
 
-// ===== Climate Chart — Weekly Temperature & Humidity (tracker profile) =====
-export function renderClimateChart(data, cityName = '') {
-    climateWeeklyChart = destroyChart(climateWeeklyChart);
+// ===== Nowcasting — Notified vs Estimated Cases (tracker profile) =====
+// Shades the weeks still being consolidated between the first SE in
+// `incomplete` and the end of the axis
+const incompleteWeeksShading = {
+    id: 'incompleteWeeksShading',
+    beforeDatasetsDraw(chart, _args, { firstIndex }) {
+        if (firstIndex === null || firstIndex === undefined || firstIndex < 0) return;
+        const { ctx, chartArea, scales: { x } } = chart;
+        const step = x.getPixelForValue(1) - x.getPixelForValue(0) || chartArea.width;
+        const left = Math.max(chartArea.left, x.getPixelForValue(firstIndex) - step / 2);
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(148, 163, 184, 0.16)';
+        ctx.fillRect(left, chartArea.top, chartArea.right - left, chartArea.bottom - chartArea.top);
+        ctx.fillStyle = '#64748b';
+        ctx.font = "10px 'Ubuntu Mono', monospace";
+        ctx.textAlign = 'right';
+        ctx.fillText('Em consolidação', chartArea.right - 4, chartArea.top + 12);
+        ctx.restore();
+    },
+};
 
-    const canvas = document.getElementById('climate-chart');
-    const panel = document.getElementById('climate-chart-panel');
+/**
+ * @param {Array} data – one location's rows (casos, casos_est, casos_est_min, casos_est_max)
+ * @param {Object} options
+ * @param {string} options.serie – location name (legend and export)
+ * @param {string} options.color
+ * @param {number[]} options.incomplete – SE codes still being consolidated
+ * @param {Map} options.revisions – SE → { since, from, to, delta, pct } (services/nowcast.js)
+ */
+export function renderNowcastChart(data, { serie = '', color = CHART_COLORS[0], incomplete = [], revisions = new Map() } = {}) {
+    nowcastChart = destroyChart(nowcastChart);
+
+    const canvas = document.getElementById('nowcast-chart');
+    const panel = document.getElementById('nowcast-chart-panel');
+    chartSeries.delete('nowcast-chart');
     if (!canvas) return;
 
-    // Filter weeks with valid climate data
-    const weeks = data.filter(d => d.tempmed > 0 || d.umidmed > 0);
-    if (weeks.length === 0) {
+    const rows = (data || []).filter(d => d.casos_est !== null && d.casos_est !== undefined)
+        .sort((a, b) => a.SE - b.SE);
+    if (rows.length === 0) {
         if (panel) panel.classList.add('hidden');
         return;
     }
     if (panel) panel.classList.remove('hidden');
 
-    const labels = weeks.map(d => formatSEShort(d.SE));
-    const tempData = weeks.map(d => d.tempmed > 0 ? parseFloat(d.tempmed.toFixed(1)) : null);
-    const umidData = weeks.map(d => d.umidmed > 0 ? parseFloat(d.umidmed.toFixed(1)) : null);
+    const seArray = rows.map(d => d.SE);
+    const labels = seArray.map(seLabelFormatter(seArray));
+    const incompleteSet = new Set(incomplete);
+
+    chartSeries.set('nowcast-chart', rows.map(d => ({
+        serie,
+        SE: d.SE,
+        casos: d.casos || 0,
+        casos_est: d.casos_est,
+        casos_est_min: d.casos_est_min ?? null,
+        casos_est_max: d.casos_est_max ?? null,
+        em_consolidacao: incompleteSet.has(d.SE),
+        revisao_casos_est: revisions.get(d.SE)?.delta ?? null,
+    })));
 
     const ctx = canvas.getContext('2d');
-    climateWeeklyChart = new Chart(ctx, {
-        type: 'line',
+    nowcastChart = new Chart(ctx, {
+        type: 'bar',
         data: {
             labels,
             datasets: [
                 {
-                    label: 'Temperatura Média (°C)',
-                    data: tempData,
-                    borderColor: '#f97316',
-                    backgroundColor: 'rgba(249,115,22,0.08)',
-                    tension: 0.4,
-                    pointRadius: 2,
-                    borderWidth: 2,
-                    yAxisID: 'yTemp',
-                    spanGaps: true,
-                    fill: true,
+                    label: 'IC mínimo',
+                    data: rows.map(d => d.casos_est_min ?? d.casos_est),
+                    type: 'line',
+                    borderWidth: 0,
+                    pointRadius: 0,
+                    fill: false,
+                    order: 3,
                 },
                 {
-                    label: 'Umidade Média (%)',
-                    data: umidData,
-                    borderColor: '#6baed6',
-                    backgroundColor: 'transparent',
-                    tension: 0.4,
-                    pointRadius: 2,
+                    label: 'Intervalo de credibilidade',
+                    data: rows.map(d => d.casos_est_max ?? d.casos_est),
+                    type: 'line',
+                    borderWidth: 0,
+                    pointRadius: 0,
+                    backgroundColor: color + '30',
+                    fill: '-1',
+                    order: 3,
+                },
+                {
+                    label: 'Casos estimados',
+                    data: rows.map(d => d.casos_est),
+                    type: 'line',
+                    borderColor: color,
+                    backgroundColor: color,
                     borderWidth: 2,
-                    borderDash: [5, 4],
-                    yAxisID: 'yUmid',
-                    spanGaps: true,
+                    tension: 0.3,
+                    // Weeks whose estimate was revised get a visible marker
+                    pointRadius: rows.map(d => (revisions.has(d.SE) ? 4 : 0)),
+                    pointStyle: 'triangle',
+                    order: 1,
+                },
+                {
+                    label: 'Casos notificados',
+                    data: rows.map(d => d.casos || 0),
+                    backgroundColor: 'rgba(100, 116, 139, 0.45)',
+                    borderColor: 'rgba(100, 116, 139, 0.8)',
+                    borderWidth: 1,
+                    borderRadius: 3,
+                    order: 2,
                 },
             ],
         },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'index', intersect: false },
+            plugins: {
+                incompleteWeeksShading: { firstIndex: incomplete.length > 0 ? seArray.indexOf(incomplete[0]) : null },
+                legend: {
+                    position: 'top', align: 'start',
+                    labels: { boxWidth: 12, font: { size: 11 }, filter: item => item.text !== 'IC mínimo' },
+                },
+                tooltip: {
+                    callbacks: {
+                        label: (ctx) => {
+                            const d = rows[ctx.dataIndex];
+                            if (ctx.dataset.label === 'IC mínimo') return null;
+                            if (ctx.dataset.label === 'Intervalo de credibilidade') {
+                                return `Intervalo: ${Math.round(d.casos_est_min ?? d.casos_est).toLocaleString('pt-BR')}–${Math.round(d.casos_est_max ?? d.casos_est).toLocaleString('pt-BR')}`;
+                            }
+                            return `${ctx.dataset.label}: ${Math.round(ctx.parsed.y).toLocaleString('pt-BR')}`;
+                        },
+                        footer: (items) => {
+                            const d = rows[items[0]?.dataIndex];
+                            if (!d) return '';
+                            const lines = [];
+                            if (incompleteSet.has(d.SE)) lines.push('Semana em consolidação');
+                            const rev = revisions.get(d.SE);
+                            if (rev) {
+                                const since = new Date(rev.since).toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit' });
+                                const pct = rev.pct !== null ? ` (${rev.pct > 0 ? '+' : ''}${rev.pct.toFixed(0)}%)` : '';
+                                lines.push(`Estimativa revisada: ${Math.round(rev.from).toLocaleString('pt-BR')} → ${Math.round(rev.to).toLocaleString('pt-BR')}${pct} desde ${since}`);
+                            }
+                            return lines;
+                        },
+                    },
+                },
+            },
+            scales: {
+                x: {
+                    grid: { display: false },
+                    ticks: { maxTicksLimit: 13, font: { size: 10 } },
+                },
+                y: {
+                    type: 'linear',
+                    position: 'left',
+                    min: 0,
+                    grid: { color: 'rgba(148, 163, 184, 0.08)' },
+                    title: { display: true, text: 'Casos por Semana Epidemiológica', font: { size: 11, weight: '500' } },
+                    ticks: { callback: v => v.toLocaleString('pt-BR') },
+                },
+            },
+        },
+        plugins: [incompleteWeeksShading],
+    });
+}
+
+// ===== Climate Chart — Weekly Temperature & Humidity (tracker profile) =====
+// datasetsMap: Map(locationName → data[]). A single location keeps the
+// orange/blue pair; when comparing, each location uses its own color
+// (solid = temperature, dashed = humidity).
+export function renderClimateChart(datasetsMap, { colors = {} } = {}) {
+    climateWeeklyChart = destroyChart(climateWeeklyChart);
+
+    const canvas = document.getElementById('climate-chart');
+    const panel = document.getElementById('climate-chart-panel');
+    chartSeries.delete('climate-chart');
+    if (!canvas) return;
+
+    // Keep only weeks with valid climate data
+    const climateMap = new Map();
+    for (const [locationName, data] of datasetsMap || []) {
+        const weeks = data.filter(d => d.tempmed > 0 || d.umidmed > 0);
+        if (weeks.length > 0) climateMap.set(locationName, weeks);
+    }
+    if (climateMap.size === 0) {
+        if (panel) panel.classList.add('hidden');
+        return;
+    }
+    if (panel) panel.classList.remove('hidden');
+
+    const seArray = [...new Set([...climateMap.values()].flatMap(weeks => weeks.map(d => d.SE)))].sort((a, b) => a - b);
+    const labels = seArray.map(seLabelFormatter(seArray));
+    const single = climateMap.size === 1;
+
+    chartSeries.set('climate-chart', [...climateMap].flatMap(([serie, weeks]) =>
+        weeks.map(d => ({ serie, SE: d.SE, tempmed: d.tempmed > 0 ? d.tempmed : null, umidmed: d.umidmed > 0 ? d.umidmed : null }))
+    ));
+
+    const datasets = [];
+    let colorIdx = 0;
+    for (const [locationName, weeks] of climateMap) {
+        const bySE = new Map(weeks.map(d => [d.SE, d]));
+        const tempData = seArray.map(se => bySE.get(se)?.tempmed > 0 ? parseFloat(bySE.get(se).tempmed.toFixed(1)) : null);
+        const umidData = seArray.map(se => bySE.get(se)?.umidmed > 0 ? parseFloat(bySE.get(se).umidmed.toFixed(1)) : null);
+        const color = colors[locationName] || CHART_COLORS[colorIdx % CHART_COLORS.length];
+
+        datasets.push(
+            {
+                label: single ? 'Temperatura Média (°C)' : `${locationName} — Temp. (°C)`,
+                data: tempData,
+                borderColor: single ? '#f97316' : color,
+                backgroundColor: single ? 'rgba(249,115,22,0.08)' : 'transparent',
+                tension: 0.4,
+                pointRadius: 2,
+                borderWidth: 2,
+                yAxisID: 'yTemp',
+                spanGaps: true,
+                fill: single,
+            },
+            {
+                label: single ? 'Umidade Média (%)' : `${locationName} — Umidade (%)`,
+                data: umidData,
+                borderColor: single ? '#6baed6' : color,
+                backgroundColor: 'transparent',
+                tension: 0.4,
+                pointRadius: 2,
+                borderWidth: 2,
+                borderDash: [5, 4],
+                yAxisID: 'yUmid',
+                spanGaps: true,
+            },
+        );
+        colorIdx++;
+    }
+
+    const ctx = canvas.getContext('2d');
+    climateWeeklyChart = new Chart(ctx, {
+        type: 'line',
+        data: { labels, datasets },
         options: {
             responsive: true,
             maintainAspectRatio: false,
@@ -686,7 +1194,7 @@ export function renderClimateChart(data, cityName = '') {
                         label: (ctx) => {
                             const v = ctx.parsed.y;
                             if (v === null) return null;
-                            return ctx.dataset.label.includes('Temp')
+                            return ctx.dataset.yAxisID === 'yTemp'
                                 ? `${ctx.dataset.label}: ${v.toFixed(1)}°C`
                                 : `${ctx.dataset.label}: ${v.toFixed(1)}%`;
                         }
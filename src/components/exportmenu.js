@@ -0,0 +1,82 @@
+/**
+ * VigiSaúde Brasil — Export Menu Component
+ * Small dropdown (CSV / XLSX / JSON) attached to every element marked
+ * with data-export="<key>". Rows are pulled from the key's provider only
+ * when a format is picked, so they always match what is on screen.
+ * Elements that also carry data-export-chart="<canvas id>" offer PNG / SVG / PDF,
+ * titled with the panel's heading.
+ */
+import { exportRows, exportChartImage, EXPORT_FORMATS, IMAGE_FORMATS } from '../services/export.js';
+
+const FORMAT_LABELS = { csv: 'CSV', xlsx: 'Excel (XLSX)', json: 'JSON', png: 'Imagem (PNG)', svg: 'Vetor (SVG)', pdf: 'PDF' };
+
+function closeAll(except = null) {
+    document.querySelectorAll('.export-menu__list').forEach(list => {
+        if (list !== except) list.classList.add('hidden');
+    });
+}
+
+// Title/subtitle shown above the chart in its panel
+export function chartHeading(el) {
+    const panel = el.closest('.chart-panel, .info-card');
+    const text = selector => (panel?.querySelector(selector)?.textContent || '').replace(/\s+/g, ' ').trim();
+    return { title: text('h3'), subtitle: text('p') };
+}
+
+/**
+ * @param {Object<string, Function>} providers – key → () => ({ filename, rows, source }) | null
+ */
+export function initExportMenus(providers) {
+    document.querySelectorAll('[data-export]').forEach(el => {
+        const provider = providers[el.dataset.export];
+        if (!provider) return;
+        const chartId = el.dataset.exportChart;
+        const formats = chartId ? [...EXPORT_FORMATS, ...IMAGE_FORMATS] : EXPORT_FORMATS;
+
+        el.classList.add('export-menu');
+        el.innerHTML = `
+            <button class="export-menu__toggle" type="button" title="Exportar dados" aria-haspopup="true">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">
+                    <path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/>
+                </svg>
+            </button>
+            <div class="export-menu__list hidden" role="menu">
+                ${formats.map(f => `<button type="button" role="menuitem" data-format="${f}">${FORMAT_LABELS[f]}</button>`).join('')}
+                <span class="export-menu__empty hidden">Sem dados para exportar</span>
+            </div>
+        `;
+
+        const list = el.querySelector('.export-menu__list');
+        const empty = el.querySelector('.export-menu__empty');
+
+        el.querySelector('.export-menu__toggle').addEventListener('click', (e) => {
+            e.stopPropagation();
+            const dataset = provider();
+            const hasRows = !!dataset && dataset.rows.length > 0;
+            list.querySelectorAll('[data-format]').forEach(btn => { btn.disabled = !hasRows; });
+            empty.classList.toggle('hidden', hasRows);
+            closeAll(list);
+            list.classList.toggle('hidden');
+        });
+
+        list.querySelectorAll('[data-format]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                list.classList.add('hidden');
+                const dataset = provider();
+                if (!dataset || dataset.rows.length === 0) return;
+                const format = btn.dataset.format;
+                if (IMAGE_FORMATS.includes(format)) {
+                    exportChartImage(document.getElementById(chartId), format, dataset.filename, {
+                        ...chartHeading(el),
+                        source: dataset.source,
+                    }).catch(err => console.error('Erro ao exportar gráfico:', err));
+                } else {
+                    exportRows(dataset.rows, format, dataset.filename);
+                }
+            });
+        });
+    });
+
+    document.addEventListener('click', () => closeAll());
+}
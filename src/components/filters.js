@@ -2,13 +2,20 @@
  * VigiSaúde Brasil — Filters & Controls Component
  * Region filters, state/city selectors, period controls, search
  */
-import { fetchStates, fetchMunicipios, getUFAbbreviation } from '../services/api.js';
+import { fetchStates, fetchMunicipios, fetchAllMunicipios, getUFAbbreviation, REGION_NAMES } from '../services/api.js';
+import { epiWeeksInYear, dateToEpiWeek, addEpiWeeks } from '../services/epiweek.js';
 
 let states = [];
 let onRegionChange = null;
 let onSearchSelect = null;
 
 // ===== Region Filters =====
+export function setActiveRegion(region) {
+    document.querySelectorAll('.region-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.region === region);
+    });
+}
+
 export function initRegionFilters(callback) {
     onRegionChange = callback;
     const buttons = document.querySelectorAll('.region-btn');
@@ -22,10 +29,22 @@ export function initRegionFilters(callback) {
 }
 
 // ===== State & City Selectors (Tracker) =====
+// onAddLocation({ type: 'municipio' | 'uf' | 'region' | 'brasil', id, name }) —
+// with no city picked, "Adicionar" adds the whole state
 export async function initTrackerSelectors(onAddLocation) {
     const stateSelect = document.getElementById('tracker-state');
     const citySelect = document.getElementById('tracker-city');
     const addBtn = document.getElementById('add-location-btn');
+    const aggregateSelect = document.getElementById('tracker-aggregate');
+
+    // Brasil / macro-region aggregates are added as soon as they are picked
+    aggregateSelect?.addEventListener('change', () => {
+        const value = aggregateSelect.value;
+        aggregateSelect.value = '';
+        if (!value || !onAddLocation) return;
+        if (value === 'brasil') onAddLocation({ type: 'brasil', id: 'BR', name: 'Brasil' });
+        else onAddLocation({ type: 'region', id: value, name: `Região ${REGION_NAMES[value]}` });
+    });
 
     // Load states
     states = await fetchStates();
@@ -41,7 +60,7 @@ export async function initTrackerSelectors(onAddLocation) {
         const ufId = stateSelect.value;
         citySelect.innerHTML = '<option value="">Carregando...</option>';
         citySelect.disabled = true;
-        addBtn.disabled = true;
+        addBtn.disabled = !ufId;
 
         if (!ufId) {
             citySelect.innerHTML = '<option value="">Selecione um município</option>';
@@ -63,45 +82,84 @@ export async function initTrackerSelectors(onAddLocation) {
         }
     });
 
-    // On city change → enable add
-    citySelect.addEventListener('change', () => {
-        addBtn.disabled = !citySelect.value;
-    });
-
-    // Add location
+    // Add location (city if one is selected, otherwise the state)
     addBtn.addEventListener('click', () => {
+        const uf = states.find(s => String(s.id) === stateSelect.value);
+        if (!uf || !onAddLocation) return;
         const geocode = citySelect.value;
-        const cityName = citySelect.options[citySelect.selectedIndex].text;
-        const stateSigla = stateSelect.options[stateSelect.selectedIndex].text.split(' - ')[0];
-        if (geocode && onAddLocation) {
-            onAddLocation(geocode, `${cityName}, ${stateSigla}`);
+        if (geocode) {
+            const cityName = citySelect.options[citySelect.selectedIndex].text;
+            onAddLocation({ type: 'municipio', id: Number(geocode), name: `${cityName}, ${uf.sigla}` });
+        } else {
+            onAddLocation({ type: 'uf', id: uf.id, name: `${uf.nome} (${uf.sigla})` });
         }
     });
 }
 
-// ===== Period Controls =====
-export function initPeriodControls() {
+// ===== Period Controls (Tracker) =====
+// Start/end SE + year selectors. Ranges may span several years (e.g. a season
+// from SE 40 to SE 39); week options follow each year's length (52 or 53).
+const FIRST_DATA_YEAR = 2010;
+let onPeriodChange = null;
+
+function fillWeekOptions(select, year) {
+    const selected = parseInt(select.value) || 1;
+    const weeks = epiWeeksInYear(year);
+    select.innerHTML = '';
+    for (let w = 1; w <= weeks; w++) {
+        const opt = document.createElement('option');
+        opt.value = w;
+        opt.textContent = `SE ${w}`;
+        select.appendChild(opt);
+    }
+    select.value = Math.min(selected, weeks);
+}
+
+export function setPeriod({ ewStart, ewEnd, eyStart, eyEnd }) {
+    const ewStartEl = document.getElementById('ew-start');
+    const ewEndEl = document.getElementById('ew-end');
+    document.getElementById('ey-start').value = eyStart;
+    document.getElementById('ey-end').value = eyEnd;
+    fillWeekOptions(ewStartEl, eyStart);
+    fillWeekOptions(ewEndEl, eyEnd);
+    ewStartEl.value = Math.min(ewStart, epiWeeksInYear(eyStart));
+    ewEndEl.value = Math.min(ewEnd, epiWeeksInYear(eyEnd));
+
+    // Highlight the preset that matches, if any (e.g. a period restored from a link)
+    const period = getPeriod();
+    document.querySelectorAll('.period-preset').forEach(btn => {
+        const preset = getPresetPeriod(btn.dataset.preset);
+        btn.classList.toggle('active', ['ewStart', 'ewEnd', 'eyStart', 'eyEnd'].every(k => preset[k] === period[k]));
+    });
+}
+
+// Preset periods relative to the current SE
+export function getPresetPeriod(preset) {
+    const current = dateToEpiWeek();
+    if (preset === 'last52') {
+        const start = addEpiWeeks(current, -51);
+        return { ewStart: start.week, ewEnd: current.week, eyStart: start.year, eyEnd: current.year };
+    }
+    if (preset === 'season') {
+        // Arbovirus season: SE 40 → SE 39 of the following year
+        const startYear = current.week >= 40 ? current.year : current.year - 1;
+        const ended = startYear + 1 < current.year || (startYear + 1 === current.year && current.week > 39);
+        return { ewStart: 40, ewEnd: ended ? 39 : current.week, eyStart: startYear, eyEnd: startYear + 1 };
+    }
+    return { ewStart: 1, ewEnd: current.week, eyStart: current.year, eyEnd: current.year };
+}
+
+export function initPeriodControls(callback) {
+    onPeriodChange = callback;
     const ewStart = document.getElementById('ew-start');
     const ewEnd = document.getElementById('ew-end');
     const eyStart = document.getElementById('ey-start');
     const eyEnd = document.getElementById('ey-end');
+    const presetBtns = document.querySelectorAll('.period-preset');
 
-    // Populate weeks 1-52
-    for (let w = 1; w <= 52; w++) {
-        const optS = document.createElement('option');
-        optS.value = w;
-        optS.textContent = `SE ${w}`;
-        ewStart.appendChild(optS);
-
-        const optE = document.createElement('option');
-        optE.value = w;
-        optE.textContent = `SE ${w}`;
-        ewEnd.appendChild(optE);
-    }
-
-    // Populate years
-    const currentYear = new Date().getFullYear();
-    for (let y = currentYear; y >= 2020; y--) {
+    // Populate years (InfoDengue series start in 2010)
+    const currentYear = dateToEpiWeek().year;
+    for (let y = currentYear; y >= FIRST_DATA_YEAR; y--) {
         const optS = document.createElement('option');
         optS.value = y;
         optS.textContent = y;
@@ -113,20 +171,41 @@ export function initPeriodControls() {
         eyEnd.appendChild(optE);
     }
 
-    // Set defaults
-    ewStart.value = 1;
-    const dayOfYear = Math.floor((new Date() - new Date(currentYear, 0, 1)) / 86400000);
-    ewEnd.value = Math.min(Math.ceil(dayOfYear / 7), 52);
-    eyStart.value = currentYear;
-    eyEnd.value = currentYear;
+    setPeriod(getPresetPeriod('year'));
+
+    function emitChange() {
+        const period = getPeriod();
+        // Keep start ≤ end: move the end up to the start when they cross
+        if (period.eyStart * 100 + period.ewStart > period.eyEnd * 100 + period.ewEnd) {
+            setPeriod({ ...period, ewEnd: period.ewStart, eyEnd: period.eyStart });
+        }
+        if (onPeriodChange) onPeriodChange(getPeriod());
+    }
+
+    [ewStart, ewEnd, eyStart, eyEnd].forEach(select => {
+        select.addEventListener('change', () => {
+            presetBtns.forEach(b => b.classList.remove('active'));
+            if (select === eyStart) fillWeekOptions(ewStart, parseInt(eyStart.value));
+            if (select === eyEnd) fillWeekOptions(ewEnd, parseInt(eyEnd.value));
+            emitChange();
+        });
+    });
+
+    presetBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+            setPeriod(getPresetPeriod(btn.dataset.preset));
+            emitChange();
+        });
+    });
 }
 
 export function getPeriod() {
+    const current = dateToEpiWeek();
     return {
         ewStart: parseInt(document.getElementById('ew-start').value) || 1,
-        ewEnd: parseInt(document.getElementById('ew-end').value) || 52,
-        eyStart: parseInt(document.getElementById('ey-start').value) || 2025,
-        eyEnd: parseInt(document.getElementById('ey-end').value) || 2025,
+        ewEnd: parseInt(document.getElementById('ew-end').value) || current.week,
+        eyStart: parseInt(document.getElementById('ey-start').value) || current.year,
+        eyEnd: parseInt(document.getElementById('ey-end').value) || current.year,
     };
 }
 
@@ -152,8 +231,7 @@ export async function initSearch(callback) {
             // Lazy load all municipios
             if (!allMunicipios) {
                 try {
-                    const res = await fetch('https://servicodados.ibge.gov.br/api/v1/localidades/municipios?orderBy=nome');
-                    allMunicipios = await res.json();
+                    allMunicipios = await fetchAllMunicipios();
                 } catch { return; }
             }
 
@@ -198,16 +276,18 @@ export async function initSearch(callback) {
 }
 
 // ===== Pathogen Tag Selector =====
+export function setActivePathogen(disease) {
+    document.querySelectorAll('.pathogen-tag').forEach(tag => {
+        tag.classList.toggle('active', tag.dataset.disease === disease);
+    });
+}
+
 export function initPathogenTags(callback) {
     const tags = document.querySelectorAll('.pathogen-tag');
     tags.forEach(tag => {
         tag.addEventListener('click', () => {
-            tags.forEach(t => t.classList.remove('active'));
-            tag.classList.add('active');
-            const disease = tag.dataset.disease;
-            document.getElementById('tracker-disease-type').textContent =
-                disease.charAt(0).toUpperCase() + disease.slice(1);
-            if (callback) callback(disease);
+            setActivePathogen(tag.dataset.disease);
+            if (callback) callback(tag.dataset.disease);
         });
     });
 }
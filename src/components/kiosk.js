@@ -0,0 +1,100 @@
+/**
+ * VigiSaúde Brasil — Kiosk Mode ("sala de situação")
+ * Fullscreen layout for a TV: navigation and sidebars hidden, larger fonts,
+ * a caption with the current step and its timer, and a bottom ticker.
+ * The playlist and how each step is shown come from main.js.
+ */
+let active = false;
+let timer = null;
+let steps = [];
+let index = 0;
+let options = null;
+
+export function isKioskActive() {
+    return active;
+}
+
+function renderCaption(step) {
+    const caption = document.getElementById('kiosk-caption');
+    if (caption) caption.textContent = step.label;
+
+    // Restart the progress bar animation for this step's dwell time
+    const bar = document.getElementById('kiosk-progress');
+    if (bar) {
+        bar.style.animation = 'none';
+        void bar.offsetWidth;
+        bar.style.animation = `kiosk-progress ${options.dwellSeconds}s linear forwards`;
+    }
+}
+
+export function renderKioskTicker() {
+    const ticker = document.querySelector('#kiosk-ticker .kiosk-ticker__track');
+    if (!active || !ticker) return;
+    const html = options.getTicker();
+    // Doubled so the scroll loops without a gap
+    ticker.innerHTML = `<span>${html}</span><span aria-hidden="true">${html}</span>`;
+}
+
+async function next() {
+    if (!active) return;
+    if (index >= steps.length) {
+        steps = await options.buildSteps();
+        index = 0;
+        if (!active) return;
+    }
+    const step = steps[index++];
+    if (step) {
+        renderCaption(step);
+        try {
+            await options.showStep(step);
+        } catch (err) {
+            console.warn('Modo sala de situação: falha ao exibir etapa', err.message);
+        }
+        renderKioskTicker();
+    }
+    if (active) timer = setTimeout(next, options.dwellSeconds * 1000);
+}
+
+function onKeydown(e) {
+    if (e.key === 'Escape') stopKiosk();
+}
+
+/**
+ * @param {Object} opts
+ * @param {number} opts.dwellSeconds – time on each step
+ * @param {Function} opts.buildSteps – () => steps (or a Promise of them), called at the start of every cycle
+ * @param {Function} opts.showStep – async (step) => void
+ * @param {Function} opts.getTicker – () => HTML for the ticker
+ * @param {Function} [opts.onStop] – called after leaving kiosk mode
+ * @param {boolean} [opts.fullscreen] – request fullscreen (needs a user gesture)
+ */
+export function startKiosk(opts) {
+    if (active) stopKiosk();
+    options = opts;
+    active = true;
+    steps = [];
+    index = 0;
+
+    document.documentElement.classList.add('kiosk');
+    document.getElementById('kiosk-overlay')?.classList.remove('hidden');
+    document.getElementById('kiosk-ticker')?.classList.remove('hidden');
+    document.addEventListener('keydown', onKeydown);
+    if (opts.fullscreen) document.documentElement.requestFullscreen?.().catch(() => {});
+
+    next();
+}
+
+export function stopKiosk() {
+    if (!active) return;
+    active = false;
+    clearTimeout(timer);
+    timer = null;
+
+    document.documentElement.classList.remove('kiosk');
+    document.getElementById('kiosk-overlay')?.classList.add('hidden');
+    document.getElementById('kiosk-ticker')?.classList.add('hidden');
+    document.removeEventListener('keydown', onKeydown);
+    if (document.fullscreenElement) document.exitFullscreen?.().catch(() => {});
+
+    options.onStop?.();
+}
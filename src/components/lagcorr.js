@@ -0,0 +1,249 @@
+/**
+ * VigiSaúde Brasil — Lagged Correlation Panel (view Info)
+ * Sanitation indicators by year for the states, the capitals or the
+ * municipalities of a state, and a heatmap of indicator × lag: the correlation between coverage
+ * in year Y and annual incidence in Y … Y+3, with 95% intervals.
+ */
+import {
+    fetchMunicipalSanitation, fetchPopulation, fetchAlertBatch, fetchStateData, getDiseaseInfo, getSanitationData,
+    getUFAbbreviation, getUFIdsForRegion, SANITATION_INDICATORS, STATE_CAPITALS,
+} from '../services/api.js';
+import { epiWeeksInYear } from '../services/epiweek.js';
+import { CORRELATION_METHODS } from '../services/stats.js';
+import {
+    LAG_YEARS, lastCompleteYear, yearlyIncidence, sanitationHistory, stateSanitationHistory, historyYears, indicatorTrend,
+    lagCorrelationMatrix,
+} from '../services/lagcorr.js';
+import { renderSanitationTrend } from './charts.js';
+
+const GEOCODE_CHUNK_SIZE = 100;
+
+let getDisease = () => 'dengue';
+let run = 0;            // drops results of superseded runs
+let lastResult = null;  // { unitLabel, baseYear, method, cells }
+let statesRequest = null;   // disease and base year the user asked to compute for the states
+
+const el = id => document.getElementById(id);
+
+function setStatus(text) {
+    const status = el('lag-status');
+    status.textContent = text;
+    status.classList.toggle('hidden', !text);
+}
+
+function unitGeocodes(unit, dataset) {
+    if (unit === 'capitais') return STATE_CAPITALS.map(c => String(c.geocode));
+    return Object.keys(dataset?.municipios || {}).filter(g => g.startsWith(unit));
+}
+
+// Capitals and a state's municipalities need rows in the municipal dataset;
+// until it is generated (npm run ingest:saneamento) those units are disabled
+function syncUnitOptions(dataset) {
+    const select = el('lag-unit');
+    [...select.options].forEach(option => {
+        if (option.value === 'estados') return;
+        const empty = unitGeocodes(option.value, dataset).every(g => !dataset?.municipios?.[g]);
+        option.dataset.label ??= option.textContent;
+        option.disabled = empty;
+        option.textContent = empty ? `${option.dataset.label} — sem base municipal` : option.dataset.label;
+    });
+    if (select.selectedOptions[0]?.disabled) select.value = 'estados';
+}
+
+function unitLabel(unit) {
+    if (unit === 'estados') return 'Estados';
+    if (unit === 'capitais') return 'Capitais';
+    const uf = getUFAbbreviation(Number(unit));
+    return `Municípios — ${getSanitationData()[uf]?.nome || uf}`;
+}
+
+// Prefers a year whose Y+3 is already complete, so every lag has data
+function defaultBaseYear(years, lastYear) {
+    const full = years.filter(y => y + LAG_YEARS[LAG_YEARS.length - 1] <= lastYear);
+    return full.length > 0 ? full[full.length - 1] : years[years.length - 1];
+}
+
+async function fetchIncidence(geocodes, disease, fromYear, toYear, id) {
+    const incidence = new Map();
+    for (let i = 0; i < geocodes.length; i += GEOCODE_CHUNK_SIZE) {
+        setStatus(`Carregando incidência ${fromYear}–${toYear}… ${i}/${geocodes.length}`);
+        const series = await fetchAlertBatch(geocodes.slice(i, i + GEOCODE_CHUNK_SIZE), disease, 1, epiWeeksInYear(toYear), fromYear, toYear);
+        if (id !== run) return null;
+        Object.entries(series).forEach(([geocode, rows]) => incidence.set(String(geocode), yearlyIncidence(rows, toYear)));
+    }
+    return incidence;
+}
+
+// The state incidence sums every municipality (~5,570 series per run), so it
+// is only loaded when asked for; its per-UF aggregates stay in the browser cache
+function stateRequestKey(disease, baseYear) {
+    return `${disease}|${baseYear}`;
+}
+
+// Aggregated state series (all municipalities), one UF at a time
+async function fetchStateIncidence(ufIds, disease, fromYear, toYear, id) {
+    const incidence = new Map();
+    for (let i = 0; i < ufIds.length; i++) {
+        setStatus(`Carregando incidência ${fromYear}–${toYear}… ${getUFAbbreviation(Number(ufIds[i]))} (${i + 1}/${ufIds.length})`);
+        const rows = await fetchStateData(Number(ufIds[i]), disease, 1, epiWeeksInYear(toYear), fromYear, toYear);
+        if (id !== run) return null;
+        incidence.set(ufIds[i], yearlyIncidence(rows, toYear));
+    }
+    return incidence;
+}
+
+// State history: municipal dataset aggregated by UF (population-weighted when
+// the IBGE base is available) plus the state table's reference year
+async function loadStateHistory(dataset) {
+    let population = null;
+    try {
+        population = await fetchPopulation();
+    } catch (err) {
+        console.warn('Base municipal de população indisponível:', err.message);
+    }
+    return stateSanitationHistory(dataset, population);
+}
+
+// ===== Rendering =====
+function formatR(value) {
+    return value === null ? '--' : value.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// Blue for negative (more coverage, less incidence), red for positive
+function cellColor(r) {
+    if (r === null) return 'transparent';
+    const alpha = (0.12 + Math.abs(r) * 0.6).toFixed(2);
+    return r < 0 ? `rgba(107, 174, 214, ${alpha})` : `rgba(214, 96, 77, ${alpha})`;
+}
+
+function renderHeatmap(cells, baseYear) {
+    const header = LAG_YEARS.map(lag => `<th>${lag === 0 ? 'Y' : `Y+${lag}`}<span>${baseYear + lag}</span></th>`).join('');
+    const rows = Object.entries(SANITATION_INDICATORS).map(([code, label]) => {
+        const tds = LAG_YEARS.map(lag => {
+            const c = cells.find(cell => cell.indicator === code && cell.lag === lag);
+            if (c.r === null) return `<td class="lag-heatmap__cell lag-heatmap__cell--empty" title="Menos de 5 unidades com dados">--<small>n=${c.n}</small></td>`;
+            const ci = c.lower === null ? '' : `[${formatR(c.lower)}; ${formatR(c.upper)}]`;
+            return `<td class="lag-heatmap__cell${c.significant ? ' lag-heatmap__cell--sig' : ''}" style="background:${cellColor(c.r)}"
+                title="${code} em ${baseYear} × incidência em ${c.year}: r = ${formatR(c.r)}, IC 95% ${ci}, n = ${c.n}">
+                ${formatR(c.r)}${c.significant ? '*' : ''}<small>${ci}</small><small>n=${c.n}</small></td>`;
+        }).join('');
+        return `<tr><th title="${label}">${code}<span>${label}</span></th>${tds}</tr>`;
+    }).join('');
+
+    el('lag-heatmap').innerHTML = `
+        <table>
+            <thead><tr><th>Indicador (ano Y)</th>${header}</tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <p class="lag-heatmap__note">* Intervalo de 95% não inclui zero. Azul: mais cobertura, menos incidência. Correlação entre unidades, sem controle de outros fatores — não indica causalidade.</p>
+    `;
+}
+
+function clearResults(message) {
+    lastResult = null;
+    el('lag-heatmap').innerHTML = '';
+    renderSanitationTrend('lag-trend-chart', null);
+    setStatus(message);
+}
+
+export async function renderLagCorrelation() {
+    if (!el('lag-correlation')) return;
+    const id = ++run;
+    const disease = getDisease();
+    const method = el('lag-method').value;
+
+    let dataset = null;
+    try {
+        dataset = await fetchMunicipalSanitation();
+    } catch (err) {
+        console.warn('Base municipal de saneamento indisponível:', err.message);
+    }
+    if (id !== run) return;
+    syncUnitOptions(dataset);
+    const unit = el('lag-unit').value;
+
+    const states = unit === 'estados';
+    el('lag-run').classList.toggle('hidden', !states);
+    const history = states ? await loadStateHistory(dataset) : sanitationHistory(dataset, unitGeocodes(unit, dataset));
+    if (id !== run) return;
+    const lastYear = lastCompleteYear();
+    const years = historyYears(history).filter(y => y <= lastYear);
+    if (years.length === 0) {
+        el('lag-year').innerHTML = '';
+        clearResults('A base municipal de saneamento ainda não tem séries anuais para estas unidades (gere-a com npm run ingest:saneamento).');
+        return;
+    }
+
+    const yearSelect = el('lag-year');
+    const selected = Number(yearSelect.value);
+    const baseYear = years.includes(selected) ? selected : defaultBaseYear(years, lastYear);
+    yearSelect.innerHTML = years.map(y => `<option value="${y}" ${y === baseYear ? 'selected' : ''}>${y}</option>`).join('');
+
+    renderSanitationTrend('lag-trend-chart', indicatorTrend(history), { unitLabel: unitLabel(unit) });
+
+    if (states && statesRequest !== stateRequestKey(disease, baseYear)) {
+        lastResult = null;
+        el('lag-heatmap').innerHTML = '';
+        setStatus(`A incidência de cada estado soma todos os seus municípios (~5.570 séries de ${baseYear} em diante). Clique em Calcular para carregar.`);
+        return;
+    }
+
+    const toYear = Math.min(baseYear + LAG_YEARS[LAG_YEARS.length - 1], lastYear);
+    let incidence;
+    try {
+        incidence = states
+            ? await fetchStateIncidence([...history.keys()], disease, baseYear, toYear, id)
+            : await fetchIncidence([...history.keys()], disease, baseYear, toYear, id);
+    } catch (err) {
+        if (id === run) clearResults(`Falha ao carregar a incidência: ${err.message}`);
+        return;
+    }
+    if (!incidence) return;
+
+    const cells = lagCorrelationMatrix({ history, incidence, baseYear, method });
+    lastResult = { unitLabel: unitLabel(unit), baseYear, method, cells };
+    renderHeatmap(cells, baseYear);
+    // Without municipal rows for Y, the states fall back to the SNIS state table (IN015/IN016 only)
+    const stateTable = states && !Object.values(dataset?.municipios || {}).some(byYear => byYear[baseYear]);
+    setStatus(`${getDiseaseInfo(disease).name} · ${unitLabel(unit)} · ${history.size} unidades com dados de saneamento`
+        + `${stateTable ? ` · IN015/IN016 da tabela estadual SNIS ${baseYear}` : ''} · ${CORRELATION_METHODS[method]}`);
+}
+
+// Rows for the export menu
+export function getLagCorrelationRows() {
+    if (!lastResult) return [];
+    const { unitLabel: unidades, baseYear, method, cells } = lastResult;
+    return cells.map(c => ({
+        unidades,
+        indicador: c.indicator,
+        ano_saneamento: baseYear,
+        defasagem_anos: c.lag,
+        ano_incidencia: c.year,
+        metodo: method,
+        n: c.n,
+        r: c.r,
+        ic95_inferior: c.lower,
+        ic95_superior: c.upper,
+        significativo: c.significant,
+    }));
+}
+
+export function initLagCorrelation({ getCurrentDisease }) {
+    if (!el('lag-correlation')) return;
+    getDisease = getCurrentDisease;
+
+    const ufs = getUFIdsForRegion('all')
+        .map(id => ({ id, uf: getUFAbbreviation(id) }))
+        .sort((a, b) => getSanitationData()[a.uf].nome.localeCompare(getSanitationData()[b.uf].nome, 'pt-BR'));
+    el('lag-unit').innerHTML = `<option value="capitais">Capitais (27)</option><option value="estados">Estados (27)</option>`
+        + ufs.map(({ id, uf }) => `<option value="${id}">Municípios — ${getSanitationData()[uf].nome}</option>`).join('');
+    el('lag-method').innerHTML = Object.entries(CORRELATION_METHODS).map(([k, label]) => `<option value="${k}">${label}</option>`).join('');
+
+    ['lag-unit', 'lag-year', 'lag-method'].forEach(selectId => {
+        el(selectId).addEventListener('change', () => renderLagCorrelation());
+    });
+    el('lag-run').addEventListener('click', () => {
+        statesRequest = stateRequestKey(getDisease(), Number(el('lag-year').value));
+        renderLagCorrelation();
+    });
+}
@@ -1,9 +1,11 @@
 /**
  * VigiSaúde Brasil — Map Component
  * Interactive Leaflet map with:
- * - Disease alert choropleth (single disease)
+ * - Disease choropleth (single disease): alert level, or weekly / cumulative
+ *   incidence per 100k when that measure is selected
  * - Sanitation coverage choropleth (coleta/tratamento de esgoto)
- * - Municipality-level zoom
+ * - Municipality-level zoom (every municipality in the visible states)
+ * - Week-by-week playback of alert level or incidence (states and municipalities)
  */
 import L from 'leaflet';
 import {
@@ -11,6 +13,7 @@ import {
     getUFAbbreviation, getSanitationData, getAlertColorHex, getRegionForUF,
     MAJOR_CITIES_BY_UF
 } from '../services/api.js';
+import { formatMeasure, municipalPopulation, rowMeasure } from '../services/population.js';
 
 let map = null;
 let geoLayer = null;       // State-level choropleth layer
@@ -18,13 +21,19 @@ let currentRegion = 'all';
 let onStateClick = null;
 let currentDisease = 'dengue';
 let currentMapLayer = 'disease';  // 'disease' | 'coletaEsgoto' | 'tratamentoEsgoto'
+let currentMeasure = 'casos';     // key of MEASURES (services/population.js)
+let populationData = null;        // IBGE population dataset
 let lastCapitalData = [];
+let pendingView = null;     // { center, zoom } restored from a shared link
+let playback = null;        // { metric, se, states: Map(uf → Map(SE → row)), municipios: Map(geocode → Map(SE → row)) }
+let onMunicipioLayerAdded = null;
 
 // Municipality zoom management
 const MUNICIPIO_ZOOM_THRESHOLD = 6;
 const loadedMunicipioLayers = {};
 const loadingStates = new Set();
 const municipioAlertCache = {};
+const municipioProgress = new Map();   // ufId → { loaded, total }
 
 const regionBounds = {
     all: [[-33.75, -73.99], [5.27, -34.79]],
@@ -118,59 +127,113 @@ function getVisibleUFs(bounds) {
     return visible;
 }
 
+// ===== Disease colors (alert level, or incidence bins) =====
+const INCIDENCE_BINS = [
+    [100, '#8c2d3c', '≥ 100'],
+    [50, '#c05858', '50–99'],
+    [10, '#d88a4a', '10–49'],
+    [1, '#e8c170', '1–9'],
+    [0, '#f3e6b3', '< 1'],
+];
+
+// 300/100k in the year is the usual epidemic threshold for dengue
+const CUMULATIVE_BINS = [
+    [1000, '#8c2d3c', '≥ 1.000'],
+    [300, '#c05858', '300–999'],
+    [100, '#d88a4a', '100–299'],
+    [10, '#e8c170', '10–99'],
+    [0, '#f3e6b3', '< 10'],
+];
+
+const NO_POPULATION_COLOR = 'rgba(30, 41, 59, 0.4)';
+
+// Bins the disease layer is coloured by; null for alert levels (absolute
+// case counts aren't comparable between places of different sizes)
+function activeBins() {
+    if (playback) return playback.metric === 'p_inc100k' ? { bins: INCIDENCE_BINS, unit: 'casos/100k na semana' } : null;
+    if (currentMeasure === 'incidencia') return { bins: INCIDENCE_BINS, unit: 'casos/100k na semana' };
+    if (currentMeasure === 'acumulada') return { bins: CUMULATIVE_BINS, unit: 'casos/100k no ano' };
+    return null;
+}
+
+function diseaseColor(row, geocode) {
+    const scale = activeBins();
+    if (!scale) return getAlertColorHex(row.nivel);
+    const value = playback ? row.p_inc100k : rowMeasure(row, currentMeasure, municipalPopulation(populationData, geocode, row));
+    if (value === null || value === undefined) return NO_POPULATION_COLOR;
+    return scale.bins.find(([min]) => value >= min)[1];
+}
+
+// Row shown for a place: the playback frame's week, or the latest one
+function stateRow(ufAbbr, diseaseByUF) {
+    if (playback) return playback.states.get(ufAbbr)?.get(playback.se) ?? null;
+    return diseaseByUF[ufAbbr]?.latest ?? null;
+}
+
+function municipioRow(geocode, alertMap) {
+    if (playback) return playback.municipios.get(String(geocode))?.get(playback.se) ?? null;
+    return alertMap[geocode] ?? null;
+}
+
 // ===== Municipality Layer =====
+function municipioStyle(alert, geocode) {
+    if (!alert) {
+        return { fillColor: 'rgba(30, 41, 59, 0.4)', fillOpacity: 0.25, weight: 0.8, color: 'rgba(0, 0, 0, 0.15)', dashArray: '' };
+    }
+    return { fillColor: diseaseColor(alert, geocode), fillOpacity: 0.6, weight: 0.8, color: 'rgba(0, 0, 0, 0.15)', dashArray: '' };
+}
+
+// Population and year-to-date incidence stats shared by both popups
+function populationStats(row, geocode) {
+    const pop = municipalPopulation(populationData, geocode, row);
+    let html = `<div class="popup-stat"><span class="popup-stat__label">População</span><span class="popup-stat__value">${pop ? pop.toLocaleString('pt-BR') : '--'}</span></div>`;
+    html += `<div class="popup-stat"><span class="popup-stat__label">Inc. acum./100k</span><span class="popup-stat__value">${formatMeasure(rowMeasure(row, 'acumulada', pop), 'acumulada')}</span></div>`;
+    return html;
+}
+
+function buildMunicipioPopup(alert, geocode) {
+    const alertInfo = { 1: 'Verde', 2: 'Atenção', 3: 'Alerta', 4: 'Emergência' };
+    const alertClass = { 1: 'badge--green', 2: 'badge--yellow', 3: 'badge--orange', 4: 'badge--red' };
+
+    let popupHTML = `<div class="popup-content">`;
+    popupHTML += `<h4>${alert.municipio_nome || `Município ${geocode}`}</h4>`;
+    popupHTML += `<div class="popup-stats">`;
+    popupHTML += `<div class="popup-stat"><span class="popup-stat__label">Casos (SE ${alert.SE % 100})</span><span class="popup-stat__value">${(alert.casos || 0).toLocaleString('pt-BR')}</span></div>`;
+    popupHTML += `<div class="popup-stat"><span class="popup-stat__label">Rt</span><span class="popup-stat__value">${alert.Rt ? alert.Rt.toFixed(2) : '--'}</span></div>`;
+    popupHTML += `<div class="popup-stat"><span class="popup-stat__label">Inc/100k</span><span class="popup-stat__value">${alert.p_inc100k ? alert.p_inc100k.toFixed(1) : '--'}</span></div>`;
+    popupHTML += `<div class="popup-stat"><span class="popup-stat__label">Acum. Ano</span><span class="popup-stat__value">${(alert.notif_accum_year || 0).toLocaleString('pt-BR')}</span></div>`;
+    popupHTML += populationStats(alert, geocode);
+    popupHTML += `</div>`;
+    popupHTML += `<span class="popup-alert-badge badge ${alertClass[alert.nivel] || 'badge--green'}">${alertInfo[alert.nivel] || 'Verde'}</span>`;
+    popupHTML += `</div>`;
+    return popupHTML;
+}
+
+// Every municipality in the state mesh is requested, in chunks; the layer is
+// drawn grey right away and recoloured as each chunk of alerts arrives.
 async function loadMunicipioLayer(ufId) {
     if (loadedMunicipioLayers[ufId] || loadingStates.has(ufId)) return;
-    if (!MAJOR_CITIES_BY_UF[ufId]) return;
 
     loadingStates.add(ufId);
+    const disease = currentDisease;
 
     try {
-        const [geojson, alertMap] = await Promise.all([
-            fetchStateGeoJSON(ufId),
-            fetchBulkMunicipioAlerts(MAJOR_CITIES_BY_UF[ufId], currentDisease),
-        ]);
-
+        const geojson = await fetchStateGeoJSON(ufId);
+        const alertMap = {};
+        const featureLayers = new Map();   // geocode → Leaflet layer
         municipioAlertCache[ufId] = alertMap;
 
         const municipioLayer = L.geoJSON(geojson, {
             style: (feature) => {
                 const geocode = Number(feature.properties.codarea);
-                const alert = alertMap[geocode];
-
-                let fillColor = 'rgba(30, 41, 59, 0.4)';
-                let fillOpacity = 0.25;
-
-                if (alert) {
-                    fillColor = getAlertColorHex(alert.nivel);
-                    fillOpacity = 0.6;
-                }
-
-                return { fillColor, fillOpacity, weight: 0.8, color: 'rgba(0, 0, 0, 0.15)', dashArray: '' };
+                return municipioStyle(municipioRow(geocode, alertMap), geocode);
             },
             onEachFeature: (feature, layer) => {
                 const geocode = Number(feature.properties.codarea);
-                const alert = alertMap[geocode];
-
-                if (alert) {
-                    const alertInfo = { 1: 'Verde', 2: 'Atenção', 3: 'Alerta', 4: 'Emergência' };
-                    const alertClass = { 1: 'badge--green', 2: 'badge--yellow', 3: 'badge--orange', 4: 'badge--red' };
-
-                    let popupHTML = `<div class="popup-content">`;
-                    popupHTML += `<h4>${alert.municipio_nome || `Município ${geocode}`}</h4>`;
-                    popupHTML += `<div class="popup-stats">`;
-                    popupHTML += `<div class="popup-stat"><span class="popup-stat__label">Casos (SE ${alert.SE % 100})</span><span class="popup-stat__value">${(alert.casos || 0).toLocaleString('pt-BR')}</span></div>`;
-                    popupHTML += `<div class="popup-stat"><span class="popup-stat__label">Rt</span><span class="popup-stat__value">${alert.Rt ? alert.Rt.toFixed(2) : '--'}</span></div>`;
-                    popupHTML += `<div class="popup-stat"><span class="popup-stat__label">Inc/100k</span><span class="popup-stat__value">${alert.p_inc100k ? alert.p_inc100k.toFixed(1) : '--'}</span></div>`;
-                    popupHTML += `<div class="popup-stat"><span class="popup-stat__label">Acum. Ano</span><span class="popup-stat__value">${(alert.notif_accum_year || 0).toLocaleString('pt-BR')}</span></div>`;
-                    popupHTML += `</div>`;
-                    popupHTML += `<span class="popup-alert-badge badge ${alertClass[alert.nivel] || 'badge--green'}">${alertInfo[alert.nivel] || 'Verde'}</span>`;
-                    popupHTML += `</div>`;
-                    layer.bindPopup(popupHTML);
-                }
+                featureLayers.set(geocode, layer);
 
                 layer.on('mouseover', function () {
-                    this.setStyle({ weight: 2, color: '#6baed6', fillOpacity: alert ? 0.78 : 0.35 });
+                    this.setStyle({ weight: 2, color: '#6baed6', fillOpacity: alertMap[geocode] ? 0.78 : 0.35 });
                     this.bringToFront();
                 });
 
@@ -180,16 +243,71 @@ async function loadMunicipioLayer(ufId) {
             },
         });
 
+        // Zoomed out or layer/disease changed while the mesh was loading
+        if (disease !== currentDisease || currentMapLayer !== 'disease' || map.getZoom() < MUNICIPIO_ZOOM_THRESHOLD) return;
+
         municipioLayer.addTo(map);
         loadedMunicipioLayers[ufId] = municipioLayer;
+        onMunicipioLayerAdded?.([...featureLayers.keys()]);
+
+        // Major cities first, then the rest of the state
+        const priority = MAJOR_CITIES_BY_UF[ufId] || [];
+        const geocodes = [
+            ...priority.filter(g => featureLayers.has(g)),
+            ...[...featureLayers.keys()].filter(g => !priority.includes(g)),
+        ];
+
+        setMunicipioProgress(ufId, 0, geocodes.length);
+        await fetchBulkMunicipioAlerts(geocodes, disease, (chunkAlerts, loaded, total) => {
+            // Stop fetching once the layer was removed (zoom out, layer/disease switch)
+            if (loadedMunicipioLayers[ufId] !== municipioLayer) return false;
+
+            Object.assign(alertMap, chunkAlerts);
+            for (const [geocode, alert] of Object.entries(chunkAlerts)) {
+                const layer = featureLayers.get(Number(geocode));
+                if (!layer) continue;
+                municipioLayer.resetStyle(layer);
+                layer.bindPopup(buildMunicipioPopup(alert, geocode));
+            }
+            setMunicipioProgress(ufId, loaded, total);
+            return true;
+        });
 
     } catch (err) {
         console.error(`Erro ao carregar municípios da UF ${ufId}:`, err);
     } finally {
         loadingStates.delete(ufId);
+        setMunicipioProgress(ufId, null);
     }
 }
 
+// ===== Municipality loading progress (overlay on the map) =====
+function setMunicipioProgress(ufId, loaded, total) {
+    if (loaded === null) municipioProgress.delete(ufId);
+    else municipioProgress.set(ufId, { loaded, total });
+
+    const el = document.getElementById('map-progress');
+    if (!el) return;
+
+    let loadedSum = 0;
+    let totalSum = 0;
+    for (const p of municipioProgress.values()) {
+        loadedSum += p.loaded;
+        totalSum += p.total;
+    }
+
+    if (totalSum === 0) {
+        el.classList.add('hidden');
+        return;
+    }
+
+    const pct = Math.round((loadedSum / totalSum) * 100);
+    el.querySelector('.map-progress__label').textContent =
+        `Carregando alertas municipais: ${loadedSum.toLocaleString('pt-BR')} / ${totalSum.toLocaleString('pt-BR')}`;
+    el.querySelector('.map-progress__fill').style.width = `${pct}%`;
+    el.classList.remove('hidden');
+}
+
 function removeMunicipioLayers() {
     for (const ufId of Object.keys(loadedMunicipioLayers)) {
         if (loadedMunicipioLayers[ufId]) {
@@ -226,6 +344,14 @@ function getSanitationOpacity(percent) {
     return 0.35 + (percent / 100) * 0.4;
 }
 
+// ===== Case measure (services/population.js) =====
+export function setMapMeasure(measure, population = populationData) {
+    currentMeasure = measure;
+    populationData = population;
+    updateLegend(currentMapLayer);
+    restyleDiseaseLayers();
+}
+
 // ===== Set Map Layer =====
 export function setMapLayer(layer) {
     currentMapLayer = layer;
@@ -241,7 +367,12 @@ function updateLegend(layer) {
     const legendEl = document.getElementById('map-legend');
     if (!legendEl) return;
 
-    if (layer === 'disease') {
+    const scale = activeBins();
+    if (layer === 'disease' && scale) {
+        legendEl.innerHTML = scale.bins.map(([, color, label]) =>
+            `<div class="legend-item"><span class="legend-color" style="background: ${color}"></span>${label} ${scale.unit}</div>`
+        ).join('');
+    } else if (layer === 'disease') {
         legendEl.innerHTML = `
             <div class="legend-item"><span class="legend-color" style="background: var(--alert-green)"></span>Nível 1 — Verde</div>
             <div class="legend-item"><span class="legend-color" style="background: var(--alert-yellow)"></span>Nível 2 — Atenção</div>
@@ -297,9 +428,9 @@ export async function loadGeoJSON(capitalData = []) {
                 }
 
                 if (currentMapLayer === 'disease') {
-                    const capData = diseaseByUF[ufAbbr];
-                    if (capData && capData.latest) {
-                        fillColor = getAlertColorHex(capData.latest.nivel);
+                    const row = stateRow(ufAbbr, diseaseByUF);
+                    if (row) {
+                        fillColor = diseaseColor(row, diseaseByUF[ufAbbr]?.geocode);
                         fillOpacity = currentRegion !== 'all' && region !== currentRegion ? 0.15 : 0.55;
                     }
                 } else if (sanitation) {
@@ -339,6 +470,7 @@ export async function loadGeoJSON(capitalData = []) {
                     popupHTML += `<div class="popup-stat"><span class="popup-stat__label">Rt</span><span class="popup-stat__value">${d.Rt ? d.Rt.toFixed(2) : '--'}</span></div>`;
                     popupHTML += `<div class="popup-stat"><span class="popup-stat__label">Inc/100k</span><span class="popup-stat__value">${d.p_inc100k ? d.p_inc100k.toFixed(1) : '--'}</span></div>`;
                     popupHTML += `<div class="popup-stat"><span class="popup-stat__label">Acum. Ano</span><span class="popup-stat__value">${(d.notif_accum_year || 0).toLocaleString('pt-BR')}</span></div>`;
+                    popupHTML += populationStats(d, capData.geocode);
                     popupHTML += `</div>`;
                     popupHTML += `<span class="popup-alert-badge badge ${alertClass[d.nivel] || 'badge--green'}">${alertInfo[d.nivel] || 'Verde'}</span>`;
                 }
@@ -374,7 +506,12 @@ export async function loadGeoJSON(capitalData = []) {
 
         if (loadingEl) loadingEl.classList.add('hidden');
 
-        fitRegion(currentRegion);
+        if (pendingView) {
+            map.setView(pendingView.center, pendingView.zoom, { animate: false });
+            pendingView = null;
+        } else {
+            fitRegion(currentRegion);
+        }
 
     } catch (err) {
         console.error('Erro ao carregar GeoJSON:', err);
@@ -384,6 +521,17 @@ export async function loadGeoJSON(capitalData = []) {
     }
 }
 
+// Exact center/zoom (e.g. from a shared link). Also kept for the next
+// loadGeoJSON, which would otherwise refit the region once data arrives.
+export function setMapView(center, zoom) {
+    pendingView = { center, zoom };
+    map.setView(center, zoom, { animate: false });
+}
+
+export function getRegion() {
+    return currentRegion;
+}
+
 export function fitRegion(region) {
     currentRegion = region;
     const bounds = regionBounds[region] || regionBounds.all;
@@ -399,3 +547,161 @@ export function updateMapColors(capitalData) {
 export function getMap() {
     return map;
 }
+
+// ===== Static render (PDF report) =====
+// Draws the choropleth (and any municipality layers on screen) onto a canvas
+// from the vector layers already in memory — no tiles, so it works offline.
+function mapLegendItems() {
+    const scale = activeBins();
+    if (currentMapLayer === 'disease' && scale) {
+        return scale.bins.map(([, color, label]) => [color, `${label} ${scale.unit}`]);
+    }
+    if (currentMapLayer === 'disease') {
+        return [
+            [getAlertColorHex(1), 'Nível 1 — Verde'],
+            [getAlertColorHex(2), 'Nível 2 — Atenção'],
+            [getAlertColorHex(3), 'Nível 3 — Alerta'],
+            [getAlertColorHex(4), 'Nível 4 — Emergência'],
+        ];
+    }
+    const label = currentMapLayer === 'coletaEsgoto' ? 'Coleta de Esgoto' : 'Tratamento de Esgoto';
+    return [
+        [getSanitationColor(80), `≥ 80% ${label}`],
+        [getSanitationColor(60), '60–79%'],
+        [getSanitationColor(40), '40–59%'],
+        [getSanitationColor(20), '20–39%'],
+        [getSanitationColor(0), '< 20%'],
+    ];
+}
+
+export function renderMapImage({ width = 1600, height = 1200, caption = '' } = {}) {
+    if (!geoLayer) return null;
+
+    const layers = [geoLayer, ...Object.values(loadedMunicipioLayers)];
+    const bounds = currentRegion === 'all' ? geoLayer.getBounds() : L.latLngBounds(regionBounds[currentRegion]);
+
+    // Web Mercator at a fixed zoom, then scaled to fit the canvas
+    const ZOOM = 6;
+    const project = latlng => L.CRS.EPSG3857.latLngToPoint(L.latLng(latlng), ZOOM);
+    const nw = project(bounds.getNorthWest());
+    const se = project(bounds.getSouthEast());
+    const pad = 40;
+    const scale = Math.min((width - 2 * pad) / (se.x - nw.x), (height - 2 * pad) / (se.y - nw.y));
+    const offsetX = (width - (se.x - nw.x) * scale) / 2;
+    const offsetY = (height - (se.y - nw.y) * scale) / 2;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#f4f6f8';
+    ctx.fillRect(0, 0, width, height);
+
+    // Polygon rings are flat LatLng arrays; (Multi)Polygons nest them
+    function traceRings(latlngs) {
+        if (L.LineUtil.isFlat(latlngs)) {
+            latlngs.forEach((ll, i) => {
+                const p = project(ll);
+                const x = offsetX + (p.x - nw.x) * scale;
+                const y = offsetY + (p.y - nw.y) * scale;
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.closePath();
+        } else {
+            latlngs.forEach(traceRings);
+        }
+    }
+
+    layers.forEach(group => group.eachLayer(layer => {
+        if (!layer.getLatLngs) return;
+        const { fillColor, fillOpacity, color, weight } = layer.options;
+        ctx.beginPath();
+        traceRings(layer.getLatLngs());
+        ctx.globalAlpha = fillOpacity ?? 0.6;
+        ctx.fillStyle = fillColor;
+        ctx.fill('evenodd');
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = weight ?? 1;
+        ctx.stroke();
+    }));
+
+    // Caption (e.g. the playback frame), top-left
+    if (caption) {
+        ctx.font = `bold ${Math.round(height / 28)}px sans-serif`;
+        ctx.fillStyle = '#1e1e2e';
+        ctx.textBaseline = 'top';
+        ctx.fillText(caption, pad, pad / 2);
+    }
+
+    // Legend, bottom-left
+    const items = mapLegendItems();
+    const lineHeight = 28;
+    const boxHeight = items.length * lineHeight + 20;
+    ctx.font = '18px sans-serif';
+    const boxWidth = Math.max(...items.map(([, label]) => ctx.measureText(label).width)) + 60;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.fillRect(pad, height - pad - boxHeight, boxWidth, boxHeight);
+    items.forEach(([swatch, label], i) => {
+        const y = height - pad - boxHeight + 10 + i * lineHeight;
+        ctx.fillStyle = swatch;
+        ctx.fillRect(pad + 12, y + 5, 18, 18);
+        ctx.fillStyle = '#334155';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(label, pad + 40, y + 14);
+    });
+
+    return canvas;
+}
+
+// ===== Playback =====
+function restyleDiseaseLayers() {
+    if (geoLayer) geoLayer.eachLayer(layer => geoLayer.resetStyle(layer));
+    Object.values(loadedMunicipioLayers).forEach(group => group.eachLayer(layer => group.resetStyle(layer)));
+}
+
+/**
+ * Show weekly series instead of the latest week.
+ * @param {Object} data
+ * @param {string} data.metric – 'nivel' | 'p_inc100k'
+ * @param {Map} data.states – UF abbreviation → Map(SE → row)
+ * @param {Map} [data.municipios] – geocode → Map(SE → row)
+ */
+export function setPlayback({ metric, states, municipios = new Map() }) {
+    playback = { metric, se: playback?.se ?? null, states, municipios };
+    updateLegend(currentMapLayer);
+    restyleDiseaseLayers();
+}
+
+export function addPlaybackMunicipios(index) {
+    if (!playback) return;
+    index.forEach((rows, geocode) => playback.municipios.set(geocode, rows));
+    restyleDiseaseLayers();
+}
+
+export function setPlaybackFrame(se) {
+    if (!playback) return;
+    playback.se = se;
+    restyleDiseaseLayers();
+}
+
+export function clearPlayback() {
+    if (!playback) return;
+    playback = null;
+    updateLegend(currentMapLayer);
+    restyleDiseaseLayers();
+}
+
+// Geocodes of the municipality layers on the map, and a hook for new ones
+export function getLoadedMunicipioGeocodes() {
+    const geocodes = [];
+    Object.values(loadedMunicipioLayers).forEach(group => group.eachLayer(layer => {
+        geocodes.push(Number(layer.feature.properties.codarea));
+    }));
+    return geocodes;
+}
+
+export function onMunicipioLayerLoaded(callback) {
+    onMunicipioLayerAdded = callback;
+}
@@ -0,0 +1,257 @@
+/**
+ * VigiSaúde Brasil — Map Playback Controls
+ * Time slider, play/pause, speed, season and metric pickers over the map.
+ * Loads the season's weekly series for the state capitals and for every
+ * municipality layer on screen (including ones loaded while playing), then
+ * steps the choropleth week by week. Exports the animation as GIF or WebM.
+ */
+import { fetchAlertBatch, fetchAlertBatchResult, getDiseaseInfo, STATE_CAPITALS } from '../services/api.js';
+import {
+    PLAYBACK_METRICS, PLAYBACK_SPEEDS, seasonPeriods, periodFrames, indexSeries, formatFrame,
+} from '../services/playback.js';
+import { exportAnimation } from '../services/export.js';
+import {
+    setPlayback, addPlaybackMunicipios, setPlaybackFrame, clearPlayback,
+    getLoadedMunicipioGeocodes, onMunicipioLayerLoaded, renderMapImage,
+} from './map.js';
+
+const MUNICIPIO_CHUNK_SIZE = 100;
+const EXPORT_SIZE = { width: 960, height: 720 };
+
+let getDisease = () => 'dengue';
+let seasons = [];
+let frames = [];
+let frameIndex = 0;
+let timer = null;
+let loaded = null;          // { disease, seasonIdx, metric, data } shown on the map
+let loading = null;         // in-flight load promise
+let run = 0;                // drops results of superseded loads
+const fetchedMunicipios = new Set();   // series already on the map
+const pendingMunicipios = new Set();   // series being requested
+
+const el = id => document.getElementById(id);
+
+function selectedSeason() {
+    return seasons[Number(el('playback-season').value)] || seasons[0];
+}
+
+function setReadout(text) {
+    const readout = el('playback-frame');
+    if (readout) readout.textContent = text;
+}
+
+function showFrame(idx) {
+    frameIndex = Math.max(0, Math.min(idx, frames.length - 1));
+    const se = frames[frameIndex];
+    setPlaybackFrame(se);
+    el('playback-slider').value = String(frameIndex);
+    setReadout(formatFrame(se));
+}
+
+function setPlaying(playing) {
+    const btn = el('playback-toggle');
+    btn.textContent = playing ? '❚❚' : '▶';
+    btn.title = playing ? 'Pausar' : 'Reproduzir';
+}
+
+function pause() {
+    clearInterval(timer);
+    timer = null;
+    setPlaying(false);
+}
+
+// ===== Data =====
+// Geocodes are marked as fetched only once their series arrives; failed ones
+// (a failed chunk, or the batch's per-geocode errors) are requested again the
+// next time their layer loads
+async function fetchMunicipioSeries(geocodes) {
+    if (!loaded) return;
+    const id = run;
+    const { disease, seasonIdx } = loaded;
+    const { ewStart, ewEnd, eyStart, eyEnd } = seasons[seasonIdx].period;
+    const todo = geocodes.filter(g => !fetchedMunicipios.has(g) && !pendingMunicipios.has(g));
+    todo.forEach(g => pendingMunicipios.add(g));
+    let failed = 0;
+    try {
+        for (let i = 0; i < todo.length; i += MUNICIPIO_CHUNK_SIZE) {
+            const chunk = todo.slice(i, i + MUNICIPIO_CHUNK_SIZE);
+            const { series, errors } = await fetchAlertBatchResult(chunk, disease, ewStart, ewEnd, eyStart, eyEnd);
+            // Disease/season switched (or playback closed) while loading
+            if (id !== run || loaded?.disease !== disease || loaded.seasonIdx !== seasonIdx) return;
+            const received = {};
+            chunk.forEach(g => {
+                pendingMunicipios.delete(g);
+                if (errors[g]) {
+                    failed++;
+                    return;
+                }
+                fetchedMunicipios.add(g);
+                received[g] = series[g];
+            });
+            addPlaybackMunicipios(indexSeries(received));
+        }
+    } catch (err) {
+        console.warn('Reprodução do mapa: falha ao carregar municípios', err.message);
+        if (id === run) setReadout('Falha ao carregar municípios');
+        return;
+    } finally {
+        if (id === run) todo.forEach(g => pendingMunicipios.delete(g));
+    }
+    if (failed > 0 && id === run) {
+        console.warn(`Reprodução do mapa: ${failed} municípios sem série`);
+        setReadout(`Falha ao carregar ${failed} município${failed > 1 ? 's' : ''}`);
+    }
+}
+
+async function load() {
+    const disease = getDisease();
+    const seasonIdx = Number(el('playback-season').value);
+    const metric = el('playback-metric').value;
+    if (loaded && loaded.disease === disease && loaded.seasonIdx === seasonIdx) {
+        if (loaded.metric !== metric) {
+            loaded.metric = metric;
+            setPlayback({ ...loaded.data, metric });
+        }
+        return;
+    }
+
+    const id = ++run;
+    const { period } = selectedSeason();
+    const { ewStart, ewEnd, eyStart, eyEnd } = period;
+    setReadout('Carregando…');
+    const series = await fetchAlertBatch(STATE_CAPITALS.map(c => c.geocode), disease, ewStart, ewEnd, eyStart, eyEnd);
+    if (id !== run) return;
+    const byUF = Object.fromEntries(STATE_CAPITALS.map(c => [c.uf, series[c.geocode] || []]));
+
+    frames = periodFrames(period);
+    fetchedMunicipios.clear();
+    pendingMunicipios.clear();
+    const data = { states: indexSeries(byUF), municipios: new Map() };
+    loaded = { disease, seasonIdx, metric, data };
+    setPlayback({ ...data, metric });
+
+    const slider = el('playback-slider');
+    slider.max = String(frames.length - 1);
+    slider.disabled = false;
+    showFrame(frameIndex >= frames.length ? 0 : frameIndex);
+
+    // Municipality layers already on screen; new ones load through onMunicipioLayerLoaded
+    fetchMunicipioSeries(getLoadedMunicipioGeocodes());
+}
+
+function ensureLoaded() {
+    if (!loading) {
+        const request = load().finally(() => {
+            if (loading === request) loading = null;
+        });
+        loading = request;
+    }
+    return loading;
+}
+
+// Load failures end up in the readout; resolves to whether a season is on the map
+async function loadOrReport() {
+    try {
+        await ensureLoaded();
+    } catch (err) {
+        setReadout('Falha ao carregar');
+        console.error('Erro ao carregar a reprodução do mapa:', err);
+    }
+    return !!loaded;
+}
+
+// ===== Playback =====
+async function play() {
+    if (!(await loadOrReport())) return;   // failed, closed or switched while loading
+    if (frameIndex >= frames.length - 1) showFrame(0);
+    const fps = Number(el('playback-speed').value);
+    setPlaying(true);
+    clearInterval(timer);
+    timer = setInterval(() => {
+        if (frameIndex >= frames.length - 1) pause();
+        else showFrame(frameIndex + 1);
+    }, 1000 / fps);
+}
+
+/** Stop and go back to the latest-week map (e.g. on disease or layer change). */
+export function resetMapPlayback() {
+    pause();
+    run++;
+    loaded = null;
+    loading = null;
+    frames = [];
+    frameIndex = 0;
+    fetchedMunicipios.clear();
+    pendingMunicipios.clear();
+    clearPlayback();
+    const slider = el('playback-slider');
+    if (slider) {
+        slider.value = '0';
+        slider.disabled = true;
+    }
+    setReadout('Última SE');
+}
+
+// ===== Export =====
+async function exportPlayback(format) {
+    pause();
+    const buttons = document.querySelectorAll('.map-playback__export');
+    buttons.forEach(b => { b.disabled = true; });
+    try {
+        await ensureLoaded();
+        if (!loaded) return;
+        const disease = getDiseaseInfo(loaded.disease).name;
+        const metric = PLAYBACK_METRICS[loaded.metric];
+        const current = frameIndex;
+        await exportAnimation(
+            frames.length,
+            (i) => {
+                setPlaybackFrame(frames[i]);
+                return renderMapImage({ ...EXPORT_SIZE, caption: `${disease} — ${metric} — ${formatFrame(frames[i])}` });
+            },
+            format,
+            `mapa-${loaded.disease}-${frames[0]}-${frames[frames.length - 1]}`,
+            {
+                fps: Number(el('playback-speed').value),
+                onProgress: (done, total) => setReadout(`Exportando ${done}/${total}`),
+            },
+        );
+        showFrame(current);
+    } catch (err) {
+        console.error('Erro ao exportar animação:', err);
+        setReadout(err.message);
+    } finally {
+        buttons.forEach(b => { b.disabled = false; });
+    }
+}
+
+// ===== Init =====
+export function initMapPlayback({ getCurrentDisease }) {
+    if (!el('map-playback')) return;
+    getDisease = getCurrentDisease;
+    seasons = seasonPeriods();
+
+    el('playback-season').innerHTML = seasons.map((s, i) => `<option value="${i}">Temporada ${s.label}</option>`).join('');
+    el('playback-metric').innerHTML = Object.entries(PLAYBACK_METRICS).map(([k, label]) => `<option value="${k}">${label}</option>`).join('');
+    el('playback-speed').innerHTML = PLAYBACK_SPEEDS.map(fps => `<option value="${fps}" ${fps === 2 ? 'selected' : ''}>${fps} SE/s</option>`).join('');
+
+    el('playback-toggle').addEventListener('click', () => (timer ? pause() : play()));
+    el('playback-slider').addEventListener('input', (e) => {
+        pause();
+        showFrame(Number(e.target.value));
+    });
+    el('playback-speed').addEventListener('change', () => { if (timer) play(); });
+    el('playback-metric').addEventListener('change', () => { if (loaded) loadOrReport(); });
+    el('playback-season').addEventListener('change', () => {
+        const wasLoaded = !!loaded || !!loading;
+        resetMapPlayback();
+        if (wasLoaded) loadOrReport();
+    });
+    el('playback-close').addEventListener('click', resetMapPlayback);
+    el('playback-gif').addEventListener('click', () => exportPlayback('gif'));
+    el('playback-webm').addEventListener('click', () => exportPlayback('webm'));
+
+    onMunicipioLayerLoaded((geocodes) => {
+        fetchMunicipioSeries(geocodes);
+    });
+}
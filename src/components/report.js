@@ -0,0 +1,269 @@
+/**
+ * VigiSaúde Brasil — Situation Report (Boletim)
+ * Multi-page A4 PDF composed in the browser from what is already loaded:
+ * national summary, disease cards, hotspots, a static map render and the
+ * tracker charts. Nothing is fetched, so it also works offline.
+ *
+ * jsPDF's built-in fonts only cover Latin-1: keep report strings free of
+ * characters such as "—" or "≥" (accents are fine).
+ */
+import { getDiseaseInfo, getAlertLevel, getAlertColorHex } from '../services/api.js';
+import { loadJsPDF, addImageFitted, composeChartImage, downloadBlob } from '../services/export.js';
+import { summarizeDisease } from './cards.js';
+import { renderMapImage } from './map.js';
+
+const PAGE_MARGIN = 14;
+const SOURCES = 'Fontes: InfoDengue (Fiocruz), IBGE, SNIS 2022/2023';
+const MAP_LAYER_LABELS = {
+    disease: 'Nível de alerta das capitais',
+    coletaEsgoto: 'Cobertura de coleta de esgoto (SNIS)',
+    tratamentoEsgoto: 'Cobertura de tratamento de esgoto (SNIS)',
+};
+
+// ===== Layout helpers =====
+function sectionTitle(doc, text, y) {
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(12);
+    doc.setTextColor(30, 41, 59);
+    doc.text(text, PAGE_MARGIN, y);
+    doc.setDrawColor(203, 213, 225);
+    doc.line(PAGE_MARGIN, y + 2, doc.internal.pageSize.getWidth() - PAGE_MARGIN, y + 2);
+    return y + 9;
+}
+
+// columns: [{ label, width, align? }]; rows: arrays of strings
+function table(doc, columns, rows, y) {
+    const rowHeight = 6.5;
+    const drawRow = (cells, yRow, bold) => {
+        let x = PAGE_MARGIN;
+        doc.setFont('helvetica', bold ? 'bold' : 'normal');
+        cells.forEach((cell, i) => {
+            const { width, align } = columns[i];
+            if (align === 'right') doc.text(String(cell), x + width - 2, yRow, { align: 'right' });
+            else doc.text(String(cell), x + 2, yRow);
+            x += width;
+        });
+    };
+
+    doc.setFontSize(9);
+    doc.setTextColor(71, 85, 105);
+    drawRow(columns.map(c => c.label), y, true);
+    doc.setTextColor(30, 41, 59);
+    rows.forEach((cells, i) => {
+        const yRow = y + rowHeight * (i + 1);
+        if (i % 2 === 0) {
+            doc.setFillColor(241, 245, 249);
+            doc.rect(PAGE_MARGIN, yRow - 4.5, columns.reduce((sum, c) => sum + c.width, 0), rowHeight, 'F');
+        }
+        drawRow(cells, yRow, false);
+    });
+    return y + rowHeight * (rows.length + 1) + 4;
+}
+
+function levelSwatch(doc, nivel, x, y) {
+    const hex = getAlertColorHex(nivel);
+    doc.setFillColor(parseInt(hex.slice(1, 3), 16), parseInt(hex.slice(3, 5), 16), parseInt(hex.slice(5, 7), 16));
+    doc.circle(x, y - 1.2, 1.6, 'F');
+}
+
+function pageFooters(doc, generatedAt) {
+    const pages = doc.getNumberOfPages();
+    const width = doc.internal.pageSize.getWidth();
+    const height = doc.internal.pageSize.getHeight();
+    for (let i = 1; i <= pages; i++) {
+        doc.setPage(i);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(8);
+        doc.setTextColor(148, 163, 184);
+        doc.text(`${SOURCES} · Gerado em ${generatedAt}`, PAGE_MARGIN, height - 8);
+        doc.text(`${i} / ${pages}`, width - PAGE_MARGIN, height - 8, { align: 'right' });
+    }
+}
+
+// Dashes from UI labels (e.g. "SE 1–20/2026") are outside Latin-1
+function pdfText(text) {
+    return text.replace(/[\u2013\u2014]/g, '-');
+}
+
+function formatNumber(value, digits = 0) {
+    return value.toLocaleString('pt-BR', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+// ===== Sections =====
+function coverSection(doc, { disease, nationalData }, generatedAt) {
+    const width = doc.internal.pageSize.getWidth();
+    const info = getDiseaseInfo(disease);
+    const ses = (nationalData[disease] || []).filter(c => c.latest).map(c => c.latest.SE);
+    const latestSE = ses.length > 0 ? Math.max(...ses) : null;
+
+    doc.setFillColor(30, 41, 59);
+    doc.rect(0, 0, width, 30, 'F');
+    doc.setTextColor(255, 255, 255);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(18);
+    doc.text('VigiSaúde Brasil - Boletim de Situação', PAGE_MARGIN, 14);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(11);
+    const seLabel = latestSE ? ` · SE ${latestSE % 100}/${Math.floor(latestSE / 100)}` : '';
+    doc.text(`${info.name}${seLabel} · ${generatedAt}`, PAGE_MARGIN, 23);
+    return 42;
+}
+
+function nationalSummarySection(doc, { summary }, y) {
+    y = sectionTitle(doc, 'Resumo Nacional (capitais)', y);
+    if (!summary) {
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(10);
+        doc.text('Sem dados nacionais carregados.', PAGE_MARGIN, y);
+        return y + 10;
+    }
+
+    const stats = [
+        ['Casos no ano', formatNumber(summary.totalCases)],
+        ['Capitais em alerta', String(summary.alertCities)],
+        [summary.rtIsWeighted ? 'Rt médio (ponderado pela população)' : 'Rt médio', formatNumber(summary.avgRt, 2)],
+        ['Incidência acumulada/100k', summary.cumulativeIncidence !== null ? formatNumber(summary.cumulativeIncidence, 1) : '--'],
+        [`Maior incidência/100k${summary.maxIncCity ? ` (${summary.maxIncCity})` : ''}`, summary.maxInc > 0 ? formatNumber(summary.maxInc, 1) : '--'],
+    ];
+    const colWidth = (doc.internal.pageSize.getWidth() - 2 * PAGE_MARGIN) / stats.length;
+    stats.forEach(([label, value], i) => {
+        const x = PAGE_MARGIN + i * colWidth;
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(15);
+        doc.setTextColor(30, 41, 59);
+        doc.text(value, x, y + 4);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(8);
+        doc.setTextColor(100, 116, 139);
+        doc.text(doc.splitTextToSize(label, colWidth - 4), x, y + 10);
+    });
+    y += 20;
+
+    doc.setFontSize(9);
+    doc.setTextColor(30, 41, 59);
+    let x = PAGE_MARGIN;
+    [1, 2, 3, 4].forEach(nivel => {
+        levelSwatch(doc, nivel, x + 1.6, y);
+        const label = `${summary.levels[nivel]} ${getAlertLevel(nivel).label.toLowerCase()}`;
+        doc.text(label, x + 5, y);
+        x += doc.getTextWidth(label) + 14;
+    });
+    return y + 10;
+}
+
+function diseaseCardsSection(doc, { nationalData }, y) {
+    y = sectionTitle(doc, 'Doenças Monitoradas', y);
+    const rows = ['dengue', 'chikungunya', 'zika'].map(disease => {
+        const { totalCases, cumulativeIncidence, avgRt, maxLevel, validRtCount, dataYear } = summarizeDisease(nationalData[disease]);
+        return [
+            getDiseaseInfo(disease).name,
+            formatNumber(totalCases),
+            cumulativeIncidence !== null ? formatNumber(cumulativeIncidence, 1) : '--',
+            validRtCount > 0 ? formatNumber(avgRt, 2) : '--',
+            getAlertLevel(maxLevel).label,
+            String(dataYear),
+        ];
+    });
+    return table(doc, [
+        { label: 'Doença', width: 40 },
+        { label: 'Casos totais', width: 30, align: 'right' },
+        { label: 'Inc. acum./100k', width: 30, align: 'right' },
+        { label: 'Rt médio', width: 24, align: 'right' },
+        { label: 'Nível máximo', width: 32 },
+        { label: 'Ano dos dados', width: 26, align: 'right' },
+    ], rows, y);
+}
+
+function hotspotsSection(doc, { hotspots, disease }, y) {
+    y = sectionTitle(doc, `Maiores Incidências - ${getDiseaseInfo(disease).name}`, y);
+    if (hotspots.length === 0) {
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(10);
+        doc.text('Nenhuma capital com incidência registrada.', PAGE_MARGIN, y);
+        return y + 10;
+    }
+    const top = hotspots.slice(0, 10);
+    const endY = table(doc, [
+        { label: '#', width: 10, align: 'right' },
+        { label: 'Capital', width: 60 },
+        { label: 'UF', width: 16 },
+        { label: 'SE', width: 24, align: 'right' },
+        { label: 'Inc./100k', width: 30, align: 'right' },
+        { label: 'Nível', width: 42 },
+    ], top.map((cap, i) => [
+        String(i + 1),
+        cap.name,
+        cap.uf,
+        `${cap.latest.SE % 100}/${Math.floor(cap.latest.SE / 100)}`,
+        formatNumber(cap.latest.p_inc100k || 0, 1),
+        `   ${getAlertLevel(cap.latest.nivel || 1).label}`,
+    ]), y);
+    // Level color dots inside the "Nível" column
+    top.forEach((cap, i) => levelSwatch(doc, cap.latest.nivel || 1, PAGE_MARGIN + 10 + 60 + 16 + 24 + 30 + 3.5, y + 6.5 * (i + 1)));
+    return endY;
+}
+
+function mapSection(doc, { mapLayer }) {
+    const mapCanvas = renderMapImage();
+    if (!mapCanvas) return;
+    doc.addPage();
+    const y = sectionTitle(doc, `Mapa - ${MAP_LAYER_LABELS[mapLayer] || MAP_LAYER_LABELS.disease}`, PAGE_MARGIN + 6);
+    const width = doc.internal.pageSize.getWidth() - 2 * PAGE_MARGIN;
+    const height = doc.internal.pageSize.getHeight() - y - 2 * PAGE_MARGIN;
+    addImageFitted(doc, mapCanvas, PAGE_MARGIN, y, width, height);
+}
+
+// Two charts per page
+function trackerSection(doc, { locations, periodLabel, charts }) {
+    if (locations.length === 0 || charts.length === 0) return;
+    const width = doc.internal.pageSize.getWidth() - 2 * PAGE_MARGIN;
+    const pageBottom = doc.internal.pageSize.getHeight() - 2 * PAGE_MARGIN;
+
+    doc.addPage();
+    let y = sectionTitle(doc, 'Rastreador de Doenças', PAGE_MARGIN + 6);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(71, 85, 105);
+    const intro = doc.splitTextToSize(pdfText(`Localidades: ${locations.map(l => l.name).join('; ')}. Período: ${periodLabel}.`), width);
+    doc.text(intro, PAGE_MARGIN, y);
+    y += intro.length * 4.5 + 4;
+
+    const slotHeight = (pageBottom - y) / 2 - 4;
+    charts.forEach((chart, i) => {
+        if (i > 0 && i % 2 === 0) {
+            doc.addPage();
+            y = PAGE_MARGIN + 6;
+        }
+        const used = addImageFitted(doc, composeChartImage(chart.canvas, chart), PAGE_MARGIN, y, width, slotHeight);
+        y += used + 8;
+    });
+}
+
+/**
+ * Build the PDF and download it.
+ * @param {Object} report
+ * @param {string} report.disease
+ * @param {Object} report.nationalData – { dengue: [...], chikungunya: [...], zika: [...] }
+ * @param {Object|null} report.summary – updateNationalSummary() figures
+ * @param {Array} report.hotspots – capitals sorted by incidence
+ * @param {string} report.mapLayer
+ * @param {Array} report.locations – tracker locations ({ name })
+ * @param {string} report.periodLabel
+ * @param {Array} report.charts – [{ canvas, title, subtitle, source }] rendered tracker charts
+ */
+export async function generateSituationReport(report) {
+    const jsPDF = await loadJsPDF();
+    const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+    const generatedAt = new Date().toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+
+    let y = coverSection(doc, report, generatedAt);
+    y = nationalSummarySection(doc, report, y);
+    y = diseaseCardsSection(doc, report, y + 2);
+    hotspotsSection(doc, report, y + 2);
+    mapSection(doc, report);
+    trackerSection(doc, report);
+    pageFooters(doc, generatedAt);
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadBlob(doc.output('blob'), `vigisaude-boletim-${report.disease}-${stamp}.pdf`);
+}
@@ -2,25 +2,53 @@
  * VigiSaúde Brasil — Main Entry Point
  * Orchestrates all components and views
  */
-import { fetchNationalOverview, fetchDiseaseData, getSanitationData, getDiseaseInfo, CHART_COLORS, getAlertColorHex, getAlertLevel } from './services/api.js';
-import { initMap, loadGeoJSON, fitRegion, updateMapColors, setMapDisease, setMapLayer } from './components/map.js';
-import { renderSanitationCorrelation, renderRtChart, renderEpidemicCurve, renderClimateChart } from './components/charts.js';
-import { initCards, renderCards, updateNationalSummary, setActiveDisease } from './components/cards.js';
-import { initRegionFilters, initTrackerSelectors, initSearch, initPathogenTags } from './components/filters.js';
+import { fetchNationalOverview, getNationalOverviewFetchedAt, onNationalOverviewRevalidated, fetchDiseaseData, fetchStateData, fetchRegionData, fetchBrazilData, fetchStates, fetchMunicipios, getLocationFetchedAt, getSanitationData, fetchMunicipalSanitation, fetchPopulation, getDiseaseInfo, getUFAbbreviation, REGION_NAMES, CHART_COLORS, getAlertColorHex, getAlertLevel } from './services/api.js';
+import { initMap, loadGeoJSON, fitRegion, updateMapColors, setMapDisease, setMapLayer, setMapMeasure, setMapView, getMap } from './components/map.js';
+import { renderSanitationCorrelation, renderSanitationComparison, renderRtChart, renderEpidemicCurve, renderNowcastChart, renderClimateChart, getChartSeries, setChartFontScale } from './components/charts.js';
+import { initCards, renderCards, updateNationalSummary, setActiveDisease, setCardMeasure } from './components/cards.js';
+import { initRegionFilters, setActiveRegion, initTrackerSelectors, initSearch, initPathogenTags, setActivePathogen, initPeriodControls, getPeriod, setPeriod } from './components/filters.js';
+import { initExportMenus, chartHeading } from './components/exportmenu.js';
+import { generateSituationReport } from './components/report.js';
+import { initAlertDrawer, runAlertRules } from './components/alertdrawer.js';
+import { startKiosk, stopKiosk, isKioskActive } from './components/kiosk.js';
+import { initMapPlayback, resetMapPlayback } from './components/playback.js';
+import { initLagCorrelation, renderLagCorrelation, getLagCorrelationRows } from './components/lagcorr.js';
+import { capitalObservations, analyzeSanitation, CORRELATION_X_METRICS, CONFOUNDERS } from './services/correlation.js';
+import { parseUrlState, serializeUrlState } from './services/urlstate.js';
+import { toSECode, epiWeeksInYear } from './services/epiweek.js';
+import { incompleteWeeks, recordEstimates, estimateRevisions } from './services/nowcast.js';
+import { forecastSeries } from './services/forecast.js';
+import { latestSE, rankHotspots, diffOverview, startAutoRefresh } from './services/refresh.js';
+import { buildKioskPlaylist, alertDistribution, KIOSK_DISEASES, KIOSK_DWELL_SECONDS, KIOSK_DEFAULT_DWELL } from './services/kiosk.js';
+import { computeEndemicChannel, channelForSE, weeksAboveChannel } from './services/endemic.js';
+import { per100k, formatMeasure, locationPopulation } from './services/population.js';
+import { isOffline, onConnectivityChange } from './services/network.js';
 
 // ===== App State =====
 const state = {
     currentView: 'map',
     currentDisease: 'dengue',
+    region: 'all',
+    mapLayer: 'disease',
+    measure: 'casos',   // cases, incidence or cumulative incidence (keys of MEASURES)
+    population: null,   // IBGE municipal population dataset; null falls back to InfoDengue's `pop`
     nationalData: {},   // { disease: [capitalData] }
-    currentCity: null,  // { geocode, name, data, prevYearData }
+    locations: [],      // tracker comparison set: [{ type: 'municipio' | 'uf' | 'region' | 'brasil', id, name, color }]
+    nationalSummary: null,  // figures shown in "Resumo Nacional"
+    hotspots: [],           // capitals listed in "Maiores Incidências"
+    seriesMeta: new Map(),  // tracker chart series label → { location, period }
+    nowcast: { profiles: [], revisions: new Map(), locationKey: null },  // nowcasting panel
+    lastOverview: null,     // { disease, data } last overview rendered — diffed on each reload
+    autoRefresh: { minutes: 0, stop: () => {} },
+    kiosk: { dwell: 0, saved: null },   // kiosk mode seconds per step; view restored on exit
 };
 
 // ===== View Navigation =====
 function switchView(viewId) {
+    const changed = state.currentView !== viewId;
     state.currentView = viewId;
 
-    document.querySelectorAll('.icon-nav__btn').forEach(btn => {
+    document.querySelectorAll('.icon-nav__btn[data-view]').forEach(btn => {
         btn.classList.toggle('active', btn.dataset.view === viewId);
     });
     document.querySelectorAll('.view').forEach(view => {
@@ -38,31 +66,269 @@ function switchView(viewId) {
 
     if (viewId === 'info') {
         const data = state.nationalData[state.currentDisease];
-        if (data && data.length > 0) {
-            renderSanitationCorrelation('sanitation-correlation', data, state.currentDisease);
+        if (data && data.length > 0) renderInfoCorrelation(data, state.currentDisease);
+        renderLagCorrelation();
+    }
+
+    // Each view is its own history entry, so back/forward moves between views
+    if (changed) updateUrl({ push: true });
+}
+
+// ===== URL State (shareable deep links) =====
+let restoringUrl = false;
+
+function currentUrlState() {
+    const map = getMap();
+    const center = map?.getCenter();
+    return {
+        view: state.currentView,
+        disease: state.currentDisease,
+        region: state.region,
+        layer: state.mapLayer,
+        measure: state.measure,
+        mapView: center ? { center: [center.lat, center.lng], zoom: map.getZoom() } : null,
+        locations: state.locations.map(({ type, id }) => ({ type, id })),
+        period: state.locations.length > 0 ? getPeriod() : null,
+        comparePrev: !!document.getElementById('compare-prev-year')?.checked,
+        refresh: state.autoRefresh.minutes,
+        kiosk: state.kiosk.dwell,
+    };
+}
+
+function updateUrl({ push = false } = {}) {
+    // Kiosk steps don't touch the URL, so the display reboots into kiosk mode
+    if (restoringUrl || isKioskActive()) return;
+    const query = serializeUrlState(currentUrlState());
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}`;
+    if (url === `${window.location.pathname}${window.location.search}`) return;
+    history[push ? 'pushState' : 'replaceState'](null, '', url);
+}
+
+// Links only carry location ids; names are rebuilt from the IBGE lists
+async function resolveLocation({ type, id }) {
+    if (type === 'brasil') return { type, id, name: 'Brasil' };
+    if (type === 'region') return { type, id, name: `Região ${REGION_NAMES[id]}` };
+    if (type === 'uf') {
+        const uf = (await fetchStates()).find(s => s.id === id);
+        return uf ? { type, id, name: `${uf.nome} (${uf.sigla})` } : null;
+    }
+    // First two digits of a municipal geocode are its UF
+    const municipios = await fetchMunicipios(Math.floor(id / 100000));
+    const m = municipios.find(mun => mun.id === id);
+    return m ? { type, id, name: `${m.nome}, ${getUFAbbreviation(Math.floor(id / 100000))}` } : null;
+}
+
+function trackerSignature() {
+    return JSON.stringify([
+        state.locations.map(locationKey),
+        getPeriod(),
+        !!document.getElementById('compare-prev-year')?.checked,
+        state.measure,
+    ]);
+}
+
+// Applies a parsed URL on load and on back/forward. Returns whether the
+// disease changed, so the caller can reload the national data.
+async function applyUrlState(urlState) {
+    restoringUrl = true;
+    try {
+        // Map
+        if (urlState.layer !== state.mapLayer) {
+            state.mapLayer = urlState.layer;
+            document.querySelectorAll('.layer-btn').forEach(b => b.classList.toggle('active', b.dataset.layer === urlState.layer));
+            resetMapPlayback();
+            document.getElementById('map-playback')?.classList.toggle('hidden', urlState.layer !== 'disease');
+            setMapLayer(urlState.layer);
         }
+        state.region = urlState.region;
+        setActiveRegion(urlState.region);
+        if (urlState.mapView) setMapView(urlState.mapView.center, urlState.mapView.zoom);
+        else fitRegion(urlState.region);
+
+        // Tracker — only reloaded when its inputs actually change
+        const trackerBefore = trackerSignature();
+        if (urlState.measure !== state.measure) selectMeasure(urlState.measure);
+        if (urlState.period) setPeriod(urlState.period);
+        const compareEl = document.getElementById('compare-prev-year');
+        if (compareEl) compareEl.checked = urlState.comparePrev;
+
+        const resolved = await Promise.all(urlState.locations.map(loc => resolveLocation(loc).catch(() => null)));
+        state.locations = resolved.filter(Boolean).slice(0, MAX_LOCATIONS)
+            .map((location, idx) => ({ ...location, color: CHART_COLORS[idx] }));
+        renderLocationChips();
+
+        const diseaseChanged = urlState.disease !== state.currentDisease;
+        if (diseaseChanged) selectDisease(urlState.disease);
+        if (diseaseChanged || trackerSignature() !== trackerBefore) loadTrackerProfile();
+
+        setAutoRefresh(urlState.refresh);
+        switchView(urlState.view);
+        return diseaseChanged;
+    } finally {
+        restoringUrl = false;
+    }
+}
+
+// ===== Disease (shared by the map cards and the tracker tags) =====
+function selectDisease(disease) {
+    if (disease !== state.currentDisease) resetMapPlayback();
+    state.currentDisease = disease;
+    setActiveDisease(disease);
+    setActivePathogen(disease);
+    setMapDisease(disease);
+}
+
+// ===== Case measure (shared by the map, the cards and the tracker) =====
+function selectMeasure(measure) {
+    state.measure = measure;
+    document.querySelectorAll('.measure-btn').forEach(b => b.classList.toggle('active', b.dataset.measure === measure));
+    setCardMeasure(measure, state.population);
+    setMapMeasure(measure, state.population);
+    const data = state.nationalData[state.currentDisease];
+    if (data) {
+        renderCards(document.getElementById('disease-cards'), state.nationalData);
+        state.nationalSummary = updateNationalSummary(data);
+    }
+}
+
+// Without the dataset, rates use the population InfoDengue sends with each week
+async function loadPopulation() {
+    try {
+        return await fetchPopulation();
+    } catch (err) {
+        console.warn('Base municipal de população indisponível:', err.message);
+        return null;
+    }
+}
+
+// Loaded alongside the rest of init: rates are drawn with InfoDengue's `pop`
+// first and redrawn once the IBGE base arrives
+async function applyPopulation() {
+    const population = await loadPopulation();
+    if (!population) return;
+    state.population = population;
+    selectMeasure(state.measure);
+    if (state.locations.length > 0) loadTrackerProfile();
+}
+
+async function changeDisease(disease) {
+    selectDisease(disease);
+    updateUrl();
+    loadTrackerProfile();
+    await loadNationalData(disease);
+}
+
+// ===== Sanitation =====
+// Municipal SNIS/SINISA dataset; without it the charts use state averages
+async function loadMunicipalSanitation() {
+    try {
+        return await fetchMunicipalSanitation();
+    } catch (err) {
+        console.warn('Base municipal de saneamento indisponível:', err.message);
+        return null;
+    }
+}
+
+// ===== Correlation statistics (view Info) =====
+function formatStat(value, digits = 2) {
+    if (value === null || value === undefined || !Number.isFinite(value)) return '--';
+    return value.toLocaleString('pt-BR', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+function formatP(p) {
+    if (p === null || p === undefined) return '--';
+    return p < 0.001 ? '< 0,001' : formatStat(p, 3);
+}
+
+function correlationOptions() {
+    return {
+        xMetric: document.getElementById('correlation-x')?.value || 'coletaEsgoto',
+        logScale: !!document.getElementById('correlation-log')?.checked,
+        controls: [...document.querySelectorAll('#correlation-controls input[data-control]:checked')].map(i => i.dataset.control),
+    };
+}
+
+function renderCorrelationSummary(analysis, { xMetric, logScale, controls }) {
+    const container = document.getElementById('correlation-summary');
+    if (!container) return;
+    const { pearson, spearman, model, slope, points, excluded } = analysis;
+    if (!pearson && !model) {
+        container.innerHTML = '<p class="correlation-summary__note">Capitais insuficientes com dados para a análise.</p>';
+        return;
     }
+
+    const unit = logScale ? 'log₁₀(1 + incidência)' : 'casos/100 mil';
+    const coef = (label, c) => `<tr><th>${label}</th><td>${formatStat(c.estimate, 3)}</td>
+        <td>[${formatStat(c.lower, 3)}; ${formatStat(c.upper, 3)}]</td><td>${formatP(c.p)}</td></tr>`;
+    const outliers = points.filter(p => p.outlier).map(p => `${p.obs.name} (${p.obs.uf})`);
+    const stateLevel = points.filter(p => p.obs.escopo === 'estadual').length;
+
+    container.innerHTML = `
+        <dl class="correlation-summary__stats">
+            <div><dt>Pearson r</dt><dd>${formatStat(pearson?.r)} <small>p ${formatP(pearson?.p)}</small></dd></div>
+            <div><dt>Spearman ρ</dt><dd>${formatStat(spearman?.r)} <small>p ${formatP(spearman?.p)}</small></dd></div>
+            <div><dt>R² (ajustado)</dt><dd>${formatStat(model?.r2)} <small>(${formatStat(model?.adjR2)})</small></dd></div>
+            <div><dt>n</dt><dd>${points.length}${excluded > 0 ? ` <small>${excluded} sem dados</small>` : ''}</dd></div>
+        </dl>
+        ${model ? `
+        <table class="correlation-summary__table">
+            <thead><tr><th>Regressão linear (MQO) — ${unit}</th><th>Coef.</th><th>IC 95%</th><th>p</th></tr></thead>
+            <tbody>
+                ${coef(CORRELATION_X_METRICS[xMetric], slope)}
+                ${controls.map((k, i) => coef(CONFOUNDERS[k], model.coefficients[i + 2])).join('')}
+            </tbody>
+        </table>` : ''}
+        <p class="correlation-summary__note">
+            ${outliers.length > 0 ? `Pontos atípicos (resíduo padronizado &gt; 2 ou distância de Cook &gt; 4/n): ${outliers.join(', ')}. ` : ''}
+            ${stateLevel > 0 ? `${stateLevel === points.length ? 'Nenhuma capital tem' : `${stateLevel} de ${points.length} capitais não têm`} dado municipal na base SNIS/SINISA; nesses pontos a cobertura é a média da UF. ` : ''}
+            Cada ponto é uma capital, numa única semana — associação entre unidades, não prova de causalidade.
+        </p>
+    `;
+}
+
+async function renderInfoCorrelation(data, disease) {
+    const sanitation = await loadMunicipalSanitation();
+    const options = correlationOptions();
+    const analysis = analyzeSanitation(capitalObservations(data, sanitation), options);
+    renderSanitationCorrelation('sanitation-correlation', analysis, disease, options);
+    renderCorrelationSummary(analysis, options);
+}
+
+function initCorrelationControls() {
+    const controls = document.getElementById('correlation-controls');
+    if (!controls) return;
+    document.getElementById('correlation-x').innerHTML = Object.entries(CORRELATION_X_METRICS)
+        .map(([k, label]) => `<option value="${k}">${label}</option>`).join('');
+    controls.addEventListener('change', () => {
+        const data = state.nationalData[state.currentDisease];
+        if (data && data.length > 0) renderInfoCorrelation(data, state.currentDisease);
+    });
 }
 
 // ===== Init Navigation =====
 function initNavigation() {
-    document.querySelectorAll('.icon-nav__btn').forEach(btn => {
+    document.querySelectorAll('.icon-nav__btn[data-view]').forEach(btn => {
         btn.addEventListener('click', () => switchView(btn.dataset.view));
     });
 }
 
 // ===== Load National Data for Map View =====
-async function loadNationalData(disease = 'dengue') {
+// `force` skips the browser cache (manual and automatic refresh)
+async function loadNationalData(disease = 'dengue', { force = false } = {}) {
     try {
-        const data = await fetchNationalOverview(disease);
+        const data = await fetchNationalOverview(disease, { force });
         state.nationalData[disease] = data;
 
+        // What changed since the overview last shown for this disease
+        const changes = state.lastOverview?.disease === disease ? diffOverview(state.lastOverview.data, data) : null;
+        state.lastOverview = { disease, data };
+
         const allDiseases = ['dengue', 'chikungunya', 'zika'];
         const otherDiseases = allDiseases.filter(d => d !== disease);
         const otherResults = await Promise.allSettled(
             otherDiseases.map(async d => {
-                if (state.nationalData[d]) return { disease: d, data: state.nationalData[d] };
-                const result = await fetchNationalOverview(d);
+                if (!force && state.nationalData[d]) return { disease: d, data: state.nationalData[d] };
+                const result = await fetchNationalOverview(d, { force });
                 state.nationalData[d] = result;
                 return { disease: d, data: result };
             })
@@ -75,27 +341,221 @@ async function loadNationalData(disease = 'dengue') {
 
         const cardsContainer = document.getElementById('disease-cards');
         renderCards(cardsContainer, diseaseDataMap);
-        updateNationalSummary(data);
-        renderHotspots(data, disease);
+        state.nationalSummary = updateNationalSummary(data);
+        renderHotspots(data, disease, changes?.newHotspots);
+        renderRefreshChanges(changes);
 
         await loadGeoJSON(data);
 
-        const lastUpdateEl = document.getElementById('last-update');
-        if (lastUpdateEl) {
-            const now = new Date();
-            lastUpdateEl.textContent = `Atualizado: ${now.toLocaleDateString('pt-BR')} ${now.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })}`;
-        }
+        renderLastUpdate(disease);
+        updateOfflineBanner();
+
+        // A newly published SE also moves the tracker's latest weeks
+        if (changes?.newSE && state.locations.length > 0) loadTrackerProfile({ force: true });
+
+        // User alert rules are re-checked on every refresh of the overview
+        runAlertRules();
 
         if (state.currentView === 'info' && document.getElementById('sanitation-correlation')) {
-            renderSanitationCorrelation('sanitation-correlation', data, disease);
+            await renderInfoCorrelation(data, disease);
+            renderLagCorrelation();
         }
     } catch (err) {
         console.error('Erro ao carregar dados nacionais:', err);
+        updateOfflineBanner();
+        // Offline with nothing saved: still draw the (precached) mesh instead of spinning forever
+        if (isOffline()) await loadGeoJSON([]);
+    }
+}
+
+function formatDateTime(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.toLocaleDateString('pt-BR')} ${date.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+// ===== "Last update" label — the data's latest SE; fetch time in the tooltip =====
+function renderLastUpdate(disease) {
+    const lastUpdateEl = document.getElementById('last-update');
+    const fetchedAt = getNationalOverviewFetchedAt(disease);
+    const se = latestSE(state.nationalData[disease]);
+    if (!lastUpdateEl || (!fetchedAt && !se)) return;
+
+    lastUpdateEl.textContent = se ? `Dados: SE ${se % 100}/${Math.floor(se / 100)}` : `Atualizado: ${formatDateTime(fetchedAt)}`;
+    if (fetchedAt) {
+        const ageMin = Math.round((Date.now() - fetchedAt) / 60000);
+        lastUpdateEl.title = `Obtidos em ${formatDateTime(fetchedAt)} (${ageMin < 1 ? 'agora' : `há ${ageMin} min`})`;
+    }
+}
+
+// ===== Refresh — manual button and the auto-refresh timer =====
+async function refreshNationalData() {
+    const btn = document.getElementById('btn-refresh');
+    if (btn) btn.disabled = true;
+    try {
+        await loadNationalData(state.currentDisease, { force: true });
+    } finally {
+        if (btn) btn.disabled = false;
+    }
+}
+
+function setAutoRefresh(minutes) {
+    if (minutes === state.autoRefresh.minutes) return;
+    state.autoRefresh.stop();
+    state.autoRefresh = { minutes, stop: startAutoRefresh(minutes, refreshNationalData) };
+    const select = document.getElementById('auto-refresh');
+    if (select) select.value = String(minutes);
+}
+
+// Banner listing what the last reload changed; stays until dismissed or the disease changes
+function renderRefreshChanges(changes) {
+    const banner = document.getElementById('refresh-changes');
+    if (!banner) return;
+    if (!changes) {
+        banner.classList.add('hidden');
+        return;
+    }
+
+    const names = new Map((state.lastOverview?.data || []).map(c => [c.geocode, c.name]));
+    const parts = [];
+    if (changes.newSE) {
+        parts.push(`<strong>Nova SE publicada: SE ${changes.currentSE % 100}/${Math.floor(changes.currentSE / 100)}</strong>`);
+    }
+    if (changes.levelChanges.length > 0) {
+        const moves = changes.levelChanges.map(c => {
+            const cls = c.to > c.from ? 'refresh-changes__up' : 'refresh-changes__down';
+            return `${c.name} <span class="${cls}">${c.from}→${c.to}</span>`;
+        });
+        parts.push(`Mudança de nível: ${moves.join(', ')}`);
+    }
+    if (changes.newHotspots.length > 0) {
+        parts.push(`Novas maiores incidências: ${changes.newHotspots.map(g => names.get(g)).join(', ')}`);
+    }
+    if (parts.length === 0) return;
+
+    banner.querySelector('.refresh-changes__text').innerHTML = parts.join(' · ');
+    banner.classList.remove('hidden');
+}
+
+// ===== Offline Banner =====
+function updateOfflineBanner() {
+    const banner = document.getElementById('offline-banner');
+    if (!banner) return;
+
+    if (!isOffline()) {
+        banner.classList.add('hidden');
+        return;
+    }
+
+    const fetchedAt = getNationalOverviewFetchedAt(state.currentDisease);
+    banner.textContent = fetchedAt
+        ? `Offline — dados de ${formatDateTime(fetchedAt)}`
+        : 'Offline — nenhum dado salvo neste dispositivo';
+    banner.classList.remove('hidden');
+}
+
+// ===== Service Worker (production only — precaches build and meshes) =====
+function registerServiceWorker() {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.register('/sw.js').catch(err => {
+        console.warn('Service worker não registrado:', err.message);
+    });
+}
+
+// ===== Kiosk mode — cycles diseases, regions and hotspot profiles on a TV =====
+function kioskTicker() {
+    const items = Object.entries(state.nationalData).map(([disease, data]) => {
+        const { counts } = alertDistribution(data);
+        const se = latestSE(data);
+        const levels = [4, 3, 2, 1]
+            .map(n => `<span class="kiosk-ticker__level" style="color:${getAlertColorHex(n)}">${counts[n]} ${getAlertLevel(n).label}</span>`)
+            .join(' · ');
+        return `<span class="kiosk-ticker__item"><strong>${getDiseaseInfo(disease).name}</strong>${se ? ` SE ${se % 100}/${Math.floor(se / 100)}` : ''} — capitais: ${levels}</span>`;
+    });
+    const top = rankHotspots(state.nationalData[state.currentDisease], 3)
+        .map(c => `${c.name} ${c.latest.p_inc100k.toFixed(1)}/100k`)
+        .join(', ');
+    if (top) items.push(`<span class="kiosk-ticker__item">Maiores incidências de ${getDiseaseInfo(state.currentDisease).name.toLowerCase()}: ${top}</span>`);
+    return items.join('');
+}
+
+async function showKioskStep(step) {
+    if (step.disease !== state.currentDisease) {
+        selectDisease(step.disease);
+        await loadNationalData(step.disease);
+    }
+    if (step.view === 'map') {
+        switchView('map');
+        state.region = step.region;
+        setActiveRegion(step.region);
+        fitRegion(step.region);
+        return;
     }
+    state.locations = [{ ...step.location, color: CHART_COLORS[0] }];
+    renderLocationChips();
+    switchView('tracker');
+    await loadTrackerProfile();
+}
+
+// Every disease's overview, so the first cycle already has all hotspot profiles
+async function kioskPlaylist() {
+    await Promise.allSettled(KIOSK_DISEASES
+        .filter(d => !state.nationalData[d])
+        .map(async d => { state.nationalData[d] = await fetchNationalOverview(d); }));
+    return buildKioskPlaylist(state.nationalData);
+}
+
+function formatDwell(seconds) {
+    return seconds >= 60 ? `${seconds / 60} min` : `${seconds} s`;
+}
+
+function initKioskDwell(dwellSeconds) {
+    const select = document.getElementById('kiosk-dwell');
+    if (!select) return;
+    select.innerHTML = KIOSK_DWELL_SECONDS
+        .map(s => `<option value="${s}" ${s === dwellSeconds ? 'selected' : ''}>${formatDwell(s)}</option>`)
+        .join('');
+}
+
+function enterKiosk(dwellSeconds = KIOSK_DEFAULT_DWELL, { fullscreen = false } = {}) {
+    state.kiosk = {
+        dwell: dwellSeconds,
+        saved: { view: state.currentView, disease: state.currentDisease, region: state.region, locations: state.locations },
+    };
+    updateUrl();
+    resetMapPlayback();
+    setChartFontScale(1.4);
+    startKiosk({
+        dwellSeconds,
+        fullscreen,
+        buildSteps: kioskPlaylist,
+        showStep: showKioskStep,
+        getTicker: kioskTicker,
+        onStop: exitKiosk,
+    });
+    setTimeout(() => getMap()?.invalidateSize(), 100);
+}
+
+// Back to what was on screen before kiosk mode started
+function exitKiosk() {
+    const { saved } = state.kiosk;
+    state.kiosk = { dwell: 0, saved: null };
+    setChartFontScale(1);
+
+    state.region = saved.region;
+    setActiveRegion(saved.region);
+    fitRegion(saved.region);
+    state.locations = saved.locations;
+    renderLocationChips();
+    if (saved.disease !== state.currentDisease) changeDisease(saved.disease);
+    else loadTrackerProfile();
+    switchView(saved.view);
+    updateUrl();
+    setTimeout(() => getMap()?.invalidateSize(), 100);
 }
 
 // ===== Render Top Hotspots in Map Sidebar =====
-function renderHotspots(data, disease) {
+// `newHotspots`: geocodes that entered the ranking since the last reload
+function renderHotspots(data, disease, newHotspots = []) {
     const section = document.getElementById('hotspots-section');
     const list = document.getElementById('hotspots-list');
     const label = document.getElementById('hotspots-disease-label');
@@ -105,11 +565,9 @@ function renderHotspots(data, disease) {
     const info = getDiseaseInfo(disease || state.currentDisease);
     if (label) label.textContent = `(${info.name.toLowerCase()})`;
 
-    const sorted = data
-        .filter(c => c.latest && c.latest.p_inc100k > 0)
-        .sort((a, b) => (b.latest.p_inc100k || 0) - (a.latest.p_inc100k || 0))
-        .slice(0, 5);
+    const sorted = rankHotspots(data);
 
+    state.hotspots = sorted;
     if (sorted.length === 0) { section.style.display = 'none'; return; }
     section.style.display = '';
 
@@ -123,7 +581,7 @@ function renderHotspots(data, disease) {
                 <span style="font-size:0.65rem;font-weight:700;color:var(--text-tertiary);width:14px;text-align:right;">${idx + 1}</span>
                 <div style="flex:1;min-width:0;">
                     <div style="display:flex;justify-content:space-between;align-items:baseline;margin-bottom:3px;">
-                        <span style="font-size:0.75rem;font-weight:600;color:var(--text-primary);white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">${cap.name}</span>
+                        <span style="font-size:0.75rem;font-weight:600;color:var(--text-primary);white-space:nowrap;overflow:hidden;text-overflow:ellipsis;">${cap.name}${newHotspots.includes(cap.geocode) ? ' <span class="hotspot-new">novo</span>' : ''}</span>
                         <span style="font-size:0.7rem;color:${alertColor};font-weight:700;margin-left:4px;white-space:nowrap;">${inc.toFixed(1)}/100k</span>
                     </div>
                     <div style="height:3px;background:var(--surface-1);border-radius:2px;overflow:hidden;">
@@ -180,23 +638,86 @@ function updateKpiCards(data) {
     if (incSub) incSub.textContent = prt1 != null ? `Prob. Rt>1: ${prt1}%` : 'por 100k hab.';
 }
 
-// ===== Tracker: Update City Info in Sidebar =====
-function updateCityInfoCard(name, data, year) {
+// ===== Tracker: KPI Comparison Table (2+ locations) =====
+function renderKpiComparison(profiles) {
+    const container = document.getElementById('kpi-compare');
+    if (!container) return;
+
+    const rows = profiles.map(({ location, data }) => {
+        const latest = data[data.length - 1];
+        const nivel = latest.nivel || 1;
+        const rt = latest.Rt;
+        const inc = latest.p_inc100k || 0;
+        const totalCases = data.reduce((s, d) => s + (d.casos || 0), 0);
+        return `
+            <tr>
+                <td><span class="kpi-compare__name"><span class="location-chip__dot" style="--chip-color:${location.color}"></span>${location.name}</span></td>
+                <td style="color:${getAlertColorHex(nivel)};font-weight:700;">${getAlertLevel(nivel).label}</td>
+                <td style="color:${rt > 1 ? 'var(--alert-red)' : 'var(--alert-green)'};">${rt > 0 ? rt.toFixed(2) : '--'}</td>
+                <td>${Math.round(latest.casos_est || latest.casos || 0).toLocaleString('pt-BR')}</td>
+                <td>${inc > 0 ? inc.toFixed(1) : '--'}</td>
+                <td>${totalCases.toLocaleString('pt-BR')}</td>
+            </tr>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <table>
+            <thead>
+                <tr>
+                    <th>Localidade</th>
+                    <th>Alerta</th>
+                    <th>Rt</th>
+                    <th>Casos est. (última SE)</th>
+                    <th>Incidência/100k</th>
+                    <th>Casos (período)</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// ===== Tracker: Period labels =====
+// "2025" for a single year, "2024/2025" for seasons spanning two years
+function periodYearsLabel({ eyStart, eyEnd }, offset = 0) {
+    return eyStart === eyEnd ? `${eyStart + offset}` : `${eyStart + offset}/${eyEnd + offset}`;
+}
+
+function periodRangeLabel({ ewStart, ewEnd, eyStart, eyEnd }) {
+    return eyStart === eyEnd
+        ? `SE ${ewStart}–${ewEnd}/${eyStart}`
+        : `SE ${ewStart}/${eyStart} – SE ${ewEnd}/${eyEnd}`;
+}
+
+// ===== Tracker: Update Period Summary in Sidebar =====
+function updateCityInfoCard(profiles, period) {
     const section = document.getElementById('city-info-section');
     const card = document.getElementById('city-info-card');
     if (!section || !card) return;
 
-    const totalCases = data.reduce((s, d) => s + (d.casos || 0), 0);
-    const latest = data[data.length - 1];
     section.style.display = '';
     card.innerHTML = `
-        <div style="font-weight:700;color:var(--text-primary);margin-bottom:6px;">${name}</div>
-        <div style="color:var(--text-secondary);line-height:1.8;">
-            <div>Ano analisado: <strong>${year}</strong></div>
-            <div>Total de semanas: <strong>${data.length}</strong></div>
-            <div>Total casos (ano): <strong>${totalCases.toLocaleString('pt-BR')}</strong></div>
-            ${latest ? `<div>Última SE: <strong>SE ${latest.SE % 100}</strong></div>` : ''}
-        </div>
+        <div style="color:var(--text-secondary);margin-bottom:6px;">Período: <strong>${periodRangeLabel(period)}</strong></div>
+        ${profiles.map(({ location, data, population }) => {
+            const totalCases = data.reduce((s, d) => s + (d.casos || 0), 0);
+            const incidence = per100k(totalCases, population);
+            const latest = data[data.length - 1];
+            return `
+                <div style="padding:6px 0;border-top:1px solid rgba(148,163,184,0.1);">
+                    <div style="font-weight:700;color:var(--text-primary);display:flex;align-items:center;gap:6px;">
+                        <span class="location-chip__dot" style="--chip-color:${location.color}"></span>${location.name}
+                    </div>
+                    <div style="color:var(--text-secondary);line-height:1.8;">
+                        <div>Total de semanas: <strong>${data.length}</strong></div>
+                        <div>Total casos (período): <strong>${totalCases.toLocaleString('pt-BR')}</strong></div>
+                        ${population ? `<div>População: <strong>${population.toLocaleString('pt-BR')}</strong></div>` : ''}
+                        ${incidence !== null ? `<div>Incidência (período): <strong>${formatMeasure(incidence, 'acumulada')}/100k</strong></div>` : ''}
+                        ${latest ? `<div>Última SE: <strong>SE ${latest.SE % 100}/${Math.floor(latest.SE / 100)}</strong></div>` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('')}
     `;
 }
 
@@ -208,64 +729,551 @@ function setTrackerState(state_) {
     document.getElementById('tracker-profile')?.classList.toggle('hidden', state_ !== 'profile');
 }
 
-// ===== Tracker: Load City Profile =====
-async function loadCityProfile(geocode, name) {
-    const year = new Date().getFullYear();
+// ===== Tracker: Comparison Set =====
+// Each location keeps the color it was added with, so charts, chips and the
+// KPI table stay consistent as locations come and go
+const MAX_LOCATIONS = CHART_COLORS.length;
+
+function locationKey(location) {
+    return `${location.type}:${location.id}`;
+}
+
+function addLocation(location) {
+    if (state.locations.some(l => locationKey(l) === locationKey(location))) return;
+    if (state.locations.length >= MAX_LOCATIONS) {
+        console.warn(`Limite de ${MAX_LOCATIONS} localidades na comparação`);
+        return;
+    }
+    const used = new Set(state.locations.map(l => l.color));
+    state.locations.push({ ...location, color: CHART_COLORS.find(c => !used.has(c)) });
+    renderLocationChips();
+    updateUrl();
+    loadTrackerProfile();
+}
+
+function removeLocation(key) {
+    state.locations = state.locations.filter(l => locationKey(l) !== key);
+    renderLocationChips();
+    updateUrl();
+    loadTrackerProfile();
+}
+
+const LOCATION_TYPE_BADGES = { uf: 'UF', region: 'Região', brasil: 'BR' };
+
+function renderLocationChips(failedKeys = new Set()) {
+    const container = document.getElementById('location-chips');
+    const count = document.getElementById('loc-count');
+    if (count) count.textContent = state.locations.length > 0 ? `(${state.locations.length}/${MAX_LOCATIONS})` : '';
+    if (!container) return;
+
+    container.innerHTML = state.locations.map(location => {
+        const key = locationKey(location);
+        const failed = failedKeys.has(key);
+        return `
+            <span class="location-chip ${failed ? 'location-chip--error' : ''}" style="--chip-color:${location.color}"
+                title="${failed ? 'Falha ao carregar dados' : location.name}">
+                <span class="location-chip__dot"></span>
+                <span class="location-chip__name">${location.name}</span>
+                ${LOCATION_TYPE_BADGES[location.type] ? `<span class="location-chip__type">${LOCATION_TYPE_BADGES[location.type]}</span>` : ''}
+                <button class="location-chip__remove" data-key="${key}" aria-label="Remover ${location.name}">×</button>
+            </span>
+        `;
+    }).join('');
+
+    container.querySelectorAll('.location-chip__remove').forEach(btn => {
+        btn.addEventListener('click', () => removeLocation(btn.dataset.key));
+    });
+}
+
+// Every location type resolves to the same weekly row shape
+function fetchLocationData(location, disease, { ewStart, ewEnd, eyStart, eyEnd }, options) {
+    switch (location.type) {
+        case 'uf': return fetchStateData(location.id, disease, ewStart, ewEnd, eyStart, eyEnd, options);
+        case 'region': return fetchRegionData(location.id, disease, ewStart, ewEnd, eyStart, eyEnd, options);
+        case 'brasil': return fetchBrazilData(disease, ewStart, ewEnd, eyStart, eyEnd, options);
+        default: return fetchDiseaseData(location.id, disease, ewStart, ewEnd, eyStart, eyEnd, options);
+    }
+}
+
+// Forecasts are fitted (and backtested) on the years before the period end
+const FORECAST_HISTORY_YEARS = 2;
+
+function forecastHistoryPeriod({ ewEnd, eyEnd }) {
+    const eyStart = eyEnd - FORECAST_HISTORY_YEARS;
+    return { ewStart: Math.min(ewEnd, epiWeeksInYear(eyStart)), ewEnd, eyStart, eyEnd };
+}
+
+// The endemic channel uses the full seasons before the period starts
+function endemicReferencePeriod({ eyStart }, seasons) {
+    return { ewStart: 1, ewEnd: epiWeeksInYear(eyStart - 1), eyStart: eyStart - seasons, eyEnd: eyStart - 1 };
+}
+
+// ===== Tracker: Load Profile for the Comparison Set =====
+let profileRequestId = 0;
+
+// `force` re-requests the series that end at the latest SE (after a refresh
+// brought a new one); past seasons keep their cached copies
+async function loadTrackerProfile({ force = false } = {}) {
+    const requestId = ++profileRequestId;
+    const locations = [...state.locations];
+    const period = getPeriod();
+    const prevPeriod = { ...period, eyStart: period.eyStart - 1, eyEnd: period.eyEnd - 1 };
+    const yearsLabel = periodYearsLabel(period);
+    const prevYearsLabel = periodYearsLabel(period, -1);
     const comparePrev = document.getElementById('compare-prev-year')?.checked;
+    const forecastOn = document.getElementById('forecast-toggle')?.checked;
+    const horizon = parseInt(document.getElementById('forecast-horizon')?.value) || 8;
+    const endemic = {
+        on: document.getElementById('endemic-toggle')?.checked,
+        seasons: parseInt(document.getElementById('endemic-seasons')?.value) || 5,
+        method: document.getElementById('endemic-method')?.value || 'quartis',
+    };
 
     // Update header
     const titleEl = document.getElementById('chart-main-title');
+    const badgeEl = document.getElementById('tracker-year-badge');
     const info = getDiseaseInfo(state.currentDisease);
-    if (titleEl) titleEl.textContent = `${info.name} — ${name}`;
 
-    const badgeEl = document.getElementById('tracker-year-badge');
-    if (badgeEl) { badgeEl.textContent = `${year}`; badgeEl.style.display = ''; }
+    if (locations.length === 0) {
+        if (titleEl) titleEl.textContent = 'Selecione um município';
+        if (badgeEl) badgeEl.style.display = 'none';
+        const section = document.getElementById('city-info-section');
+        if (section) section.style.display = 'none';
+        setTrackerState('empty');
+        return;
+    }
+
+    if (titleEl) {
+        titleEl.textContent = locations.length === 1
+            ? `${info.name} — ${locations[0].name}`
+            : `${info.name} — ${locations.length} localidades`;
+    }
+    if (badgeEl) { badgeEl.textContent = periodRangeLabel(period); badgeEl.style.display = ''; }
 
     setTrackerState('loading');
 
-    try {
-        const data = await fetchDiseaseData(geocode, state.currentDisease, 1, 52, year, year);
+    const results = await Promise.allSettled(locations.map(async location => {
+        const data = await fetchLocationData(location, state.currentDisease, period, { force });
         let prevData = null;
-
         if (comparePrev) {
             try {
-                prevData = await fetchDiseaseData(geocode, state.currentDisease, 1, 52, year - 1, year - 1);
-                if (badgeEl) badgeEl.textContent = `${year - 1} vs ${year}`;
+                prevData = await fetchLocationData(location, state.currentDisease, prevPeriod);
             } catch { /* ignore prev year errors */ }
         }
+        let history = null;
+        if (forecastOn) {
+            try {
+                history = await fetchLocationData(location, state.currentDisease, forecastHistoryPeriod(period), { force });
+            } catch { /* no forecast for this location */ }
+        }
+        // Endemic channel reference seasons (municipalities only — aggregates would
+        // need every municipality's series for 5–10 years)
+        let reference = null;
+        if (endemic.on && location.type === 'municipio') {
+            try {
+                reference = await fetchLocationData(location, state.currentDisease, endemicReferencePeriod(period, endemic.seasons));
+            } catch { /* no channel for this location */ }
+        }
+        return { location, data, prevData, history, reference };
+    }));
+
+    // A newer selection/period/disease superseded this load
+    if (requestId !== profileRequestId) return;
+
+    const profiles = [];
+    const failedKeys = new Set();
+    results.forEach((r, idx) => {
+        if (r.status === 'fulfilled' && r.value.data.length > 0) {
+            profiles.push(r.value);
+        } else {
+            if (r.status === 'rejected') console.error(`Erro ao carregar perfil de ${locations[idx].name}:`, r.reason);
+            failedKeys.add(locationKey(locations[idx]));
+        }
+    });
+    renderLocationChips(failedKeys);
 
-        state.currentCity = { geocode, name, data, prevYearData: prevData };
+    if (profiles.length === 0) {
+        setTrackerState('empty');
+        return;
+    }
+
+    if (comparePrev && badgeEl) badgeEl.textContent = `${prevYearsLabel} vs ${yearsLabel}`;
+
+    profiles.forEach(profile => {
+        profile.population = locationPopulation(state.population, profile.location, period.eyEnd, profile.data);
+    });
 
-        // Update KPI cards with latest week data
-        updateKpiCards(data);
+    // KPI cards for a single location; side-by-side table when comparing
+    document.getElementById('kpi-row')?.classList.toggle('hidden', profiles.length > 1);
+    document.getElementById('kpi-compare')?.classList.toggle('hidden', profiles.length === 1);
+    if (profiles.length === 1) updateKpiCards(profiles[0].data);
+    else renderKpiComparison(profiles);
 
-        // Update sidebar city info
-        updateCityInfoCard(name, data, year);
+    updateCityInfoCard(profiles, period);
 
-        // Build epidemic curve datasets
-        const epicDatasets = { [`${name} (${year})`]: data };
+    // Build chart datasets — one color per location, previous period dashed in the same color
+    const epicDatasets = {};
+    const locationDatasets = new Map();
+    const colors = {};
+    const overlays = [];
+    const ufs = {};
+    const geocodes = {};
+    const forecasts = {};
+    const channels = {};
+    const populations = {};
+    state.seriesMeta = new Map();
+    profiles.forEach(profile => {
+        const { location, data, prevData, history, reference } = profile;
+        const currentLabel = `${location.name} (${yearsLabel})`;
+        epicDatasets[currentLabel] = data;
+        populations[currentLabel] = profile.population;
+        colors[currentLabel] = location.color;
+        state.seriesMeta.set(currentLabel, { location, period });
+        if (history) {
+            // Project from the last week of the period
+            const lastSE = Math.max(...data.map(d => d.SE));
+            profile.forecast = forecastSeries(history.filter(d => d.SE <= lastSE), horizon);
+            if (profile.forecast) {
+                forecasts[currentLabel] = profile.forecast.points;
+                state.seriesMeta.set(`${currentLabel} — projeção`, { location, period });
+            }
+        }
+        if (reference) {
+            profile.channel = computeEndemicChannel(reference, { firstYear: period.eyStart, ...endemic });
+            if (profile.channel) {
+                const ses = [...data.map(d => d.SE), ...(profile.forecast?.points.map(p => p.SE) || [])];
+                profile.flagged = weeksAboveChannel(data, profile.channel);
+                channels[currentLabel] = {
+                    points: ses.map(SE => ({ SE, ...channelForSE(profile.channel, SE) })).filter(p => p.upper !== undefined),
+                    flagged: profile.flagged,
+                };
+                state.seriesMeta.set(`${currentLabel} — canal endêmico`, { location, period: endemicReferencePeriod(period, endemic.seasons) });
+            }
+        }
         if (prevData && prevData.length > 0) {
-            // Remap prevData SE to same week numbers for overlay alignment
-            epicDatasets[`${name} (${year - 1})`] = prevData;
+            const prevLabel = `${location.name} (${prevYearsLabel})`;
+            // Shift previous-period SE codes one year ahead so weeks overlay the current period
+            epicDatasets[prevLabel] = prevData.map(d => ({ ...d, SE: d.SE + 100, SE_original: d.SE }));
+            populations[prevLabel] = locationPopulation(state.population, location, prevPeriod.eyEnd, prevData);
+            colors[prevLabel] = location.color;
+            overlays.push(prevLabel);
+            state.seriesMeta.set(prevLabel, { location, period: prevPeriod });
+        }
+        locationDatasets.set(location.name, data);
+        colors[location.name] = location.color;
+        state.seriesMeta.set(location.name, { location, period });
+        if (location.type === 'uf') ufs[location.name] = getUFAbbreviation(location.id);
+        if (location.type === 'municipio') geocodes[location.name] = location.id;
+    });
+
+    // Render charts
+    renderEpidemicCurve(epicDatasets, state.currentDisease, { overlays, colors, forecasts, channels, measure: state.measure, populations });
+    renderEndemicNote(profiles);
+    renderForecastBacktest(profiles, horizon);
+    renderRtChart(locationDatasets, state.currentDisease, { colors });
+    renderClimateChart(locationDatasets, { colors });
+    renderSanitationComparison('sanitation-chart', locationDatasets, state.currentDisease, { ufs, geocodes, sanitation: await loadMunicipalSanitation() });
+
+    setTrackerState('profile');
+
+    // Snapshot this load's estimates for every location, then draw the nowcast
+    const revisions = new Map(await Promise.all(profiles.map(async ({ location, data }) => {
+        const key = locationKey(location);
+        try {
+            return [key, estimateRevisions(await recordEstimates(key, state.currentDisease, data))];
+        } catch {
+            return [key, new Map()];
         }
+    })));
+    if (requestId !== profileRequestId) return;
+    state.nowcast = { ...state.nowcast, profiles, revisions };
+    renderNowcast();
+}
+
+// ===== Tracker: Endemic Channel Summary =====
+const ENDEMIC_METHOD_LABELS = { quartis: 'quartis', media2dp: 'média ± 2 DP' };
+
+function renderEndemicNote(profiles) {
+    const noteEl = document.getElementById('endemic-note');
+    if (!noteEl) return;
+
+    const withChannel = profiles.filter(p => p.channel);
+    if (withChannel.length === 0) {
+        noteEl.classList.add('hidden');
+        noteEl.innerHTML = '';
+        return;
+    }
+
+    const { method, years } = withChannel[0].channel;
+    const parts = withChannel.map(({ location, flagged }) => {
+        if (flagged.length === 0) return `${location.name}: nenhuma semana acima do limiar`;
+        const weeks = flagged.map(se => `SE ${se % 100}`).join(', ');
+        return `${location.name}: <strong>${flagged.length} semana${flagged.length > 1 ? 's' : ''} acima do limiar</strong> (${weeks})`;
+    });
+    noteEl.innerHTML = `Canal endêmico (${ENDEMIC_METHOD_LABELS[method]}, ${years[0]}–${years[years.length - 1]}) · ${parts.join(' · ')}`;
+    noteEl.classList.remove('hidden');
+}
+
+// ===== Tracker: Forecast Backtest =====
+const FORECAST_METHOD_LABELS = { rt: 'Rt (renovação)', tendencia: 'Tendência recente' };
+
+function formatPercent(value) {
+    return value === null ? '--' : `${(value * 100).toFixed(0)}%`;
+}
+
+function renderForecastBacktest(profiles, horizon) {
+    const container = document.getElementById('forecast-backtest');
+    if (!container) return;
 
-        // Render charts
-        renderEpidemicCurve(epicDatasets, state.currentDisease);
-        renderRtChart(new Map([[`${name} (${year})`, data]]), state.currentDisease);
-        renderClimateChart(data, name);
+    const withForecast = profiles.filter(p => p.forecast);
+    if (withForecast.length === 0) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+
+    const horizons = [...new Set([1, 4, horizon])];
+    const rows = withForecast.flatMap(({ location, forecast }) => horizons.map((h, i) => {
+        const m = forecast.metrics[h];
+        const name = i === 0
+            ? `<span class="kpi-compare__name"><span class="location-chip__dot" style="background:${location.color}"></span>${location.name}</span>`
+            : '';
+        return `<tr>
+            <td>${name}</td>
+            <td>${i === 0 ? FORECAST_METHOD_LABELS[forecast.method] : ''}</td>
+            <td>${h} SE</td>
+            <td>${m.mae === null ? '--' : Math.round(m.mae).toLocaleString('pt-BR')}</td>
+            <td>${formatPercent(m.wape)}</td>
+            <td>${formatPercent(m.coverage)}</td>
+            <td>${m.skill === null ? '--' : `${m.skill > 0 ? '+' : ''}${(m.skill * 100).toFixed(0)}%`}</td>
+            <td>${m.n}</td>
+        </tr>`;
+    })).join('');
+
+    container.innerHTML = `
+        <p class="forecast-backtest__title">Backtest: a projeção refeita a cada semana dos últimos ${FORECAST_HISTORY_YEARS} anos, comparada com os casos notificados depois.</p>
+        <table>
+            <thead><tr>
+                <th>Localidade</th><th>Método</th><th>Horizonte</th><th>Erro médio (casos)</th>
+                <th title="Soma dos erros absolutos / soma dos casos observados">Erro relativo</th>
+                <th title="Parte dos casos observados dentro da faixa de 80%">Cobertura 80%</th>
+                <th title="Redução do erro em relação a repetir a última semana">vs. ingênuo</th>
+                <th>N</th>
+            </tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+    container.classList.remove('hidden');
+}
+
+// ===== Tracker: Nowcasting =====
+// One location at a time; the picker only shows when comparing several
+function renderNowcast() {
+    const { profiles, revisions } = state.nowcast;
+    const select = document.getElementById('nowcast-location');
+    const noteEl = document.getElementById('nowcast-note');
+
+    const profile = profiles.find(p => locationKey(p.location) === state.nowcast.locationKey) || profiles[0];
+    if (!profile) {
+        renderNowcastChart([]);
+        return;
+    }
+    const key = locationKey(profile.location);
+    state.nowcast.locationKey = key;
+
+    if (select) {
+        select.innerHTML = profiles.map(p =>
+            `<option value="${locationKey(p.location)}">${p.location.name}</option>`
+        ).join('');
+        select.value = key;
+        select.classList.toggle('hidden', profiles.length < 2);
+    }
+
+    const { location, data } = profile;
+    const incomplete = incompleteWeeks(data);
+    const locationRevisions = revisions.get(key) || new Map();
+    renderNowcastChart(data, { serie: location.name, color: location.color, incomplete, revisions: locationRevisions });
+
+    if (!noteEl) return;
+    const parts = [];
+    if (incomplete.length > 0) {
+        const rows = data.filter(d => incomplete.includes(d.SE));
+        const notified = rows.reduce((sum, d) => sum + (d.casos || 0), 0);
+        const estimated = rows.reduce((sum, d) => sum + (d.casos_est || 0), 0);
+        const gap = notified > 0 ? ` (+${(((estimated - notified) / notified) * 100).toFixed(0)}%)` : '';
+        const weeks = incomplete.length === 1
+            ? `SE ${incomplete[0] % 100}`
+            : `SE ${incomplete[0] % 100}–${incomplete[incomplete.length - 1] % 100}`;
+        parts.push(`${weeks} em consolidação: ${Math.round(estimated).toLocaleString('pt-BR')} casos estimados para ${notified.toLocaleString('pt-BR')} notificados${gap}.`);
+    } else {
+        parts.push('Todas as semanas do período estão consolidadas.');
+    }
+
+    // Most recent week in the period whose estimate moved since first seen
+    const revisedSE = data.map(d => d.SE).filter(se => locationRevisions.has(se)).sort((a, b) => b - a)[0];
+    if (revisedSE) {
+        const rev = locationRevisions.get(revisedSE);
+        const pct = rev.pct !== null ? ` (${rev.pct > 0 ? '+' : ''}${rev.pct.toFixed(0)}%)` : '';
+        const since = new Date(rev.since).toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit' });
+        parts.push(`Estimativa da SE ${revisedSE % 100} revisada de ${Math.round(rev.from).toLocaleString('pt-BR')} para ${Math.round(rev.to).toLocaleString('pt-BR')}${pct} desde ${since}.`);
+    }
+    noteEl.textContent = parts.join(' ');
+}
+
+// ===== Data Export =====
+// Every exported row starts with the same metadata columns
+const INFODENGUE_SOURCE = 'InfoDengue (Fiocruz)';
+
+function seRange({ ewStart, ewEnd, eyStart, eyEnd }) {
+    return `${toSECode({ year: eyStart, week: ewStart })}-${toSECode({ year: eyEnd, week: ewEnd })}`;
+}
+
+function exportMeta({ source = INFODENGUE_SOURCE, geocode = '', range = '', fetchedAt = null }) {
+    return {
+        source,
+        disease: state.currentDisease,
+        geocode,
+        se_range: range,
+        fetched_at: fetchedAt ? new Date(fetchedAt).toISOString() : '',
+    };
+}
+
+function exportFilename(name) {
+    return `vigisaude-${name}-${state.currentDisease}-${new Date().toISOString().slice(0, 10)}`;
+}
+
+// Tracker charts: rows carry a `serie` label that maps back to its location and period
+function trackerChartExport(canvasId, name, source = INFODENGUE_SOURCE) {
+    const rows = getChartSeries(canvasId).map(row => {
+        const meta = state.seriesMeta.get(row.serie);
+        if (!meta) return { ...exportMeta({ source }), ...row };
+        const { location, period } = meta;
+        return {
+            ...exportMeta({
+                source,
+                geocode: location.id,
+                range: seRange(period),
+                fetchedAt: getLocationFetchedAt(location, state.currentDisease, period),
+            }),
+            ...row,
+        };
+    });
+    return { filename: exportFilename(name), rows, source };
+}
+
+// National overview exports share the capitals' SE span and fetch time
+function nationalExportMeta(source = INFODENGUE_SOURCE) {
+    const ses = (state.nationalData[state.currentDisease] || []).filter(c => c.latest).map(c => c.latest.SE);
+    return exportMeta({
+        source,
+        geocode: 'BR',
+        range: ses.length > 0 ? `${Math.min(...ses)}-${Math.max(...ses)}` : '',
+        fetchedAt: getNationalOverviewFetchedAt(state.currentDisease),
+    });
+}
+
+const SANITATION_SOURCE = `SNIS 2022/2023; ${INFODENGUE_SOURCE}`;
+
+function initDataExports() {
+    initExportMenus({
+        'epidemic-curve': () => trackerChartExport('epidemic-curve-chart', 'curva-epidemica'),
+        'nowcast': () => trackerChartExport('nowcast-chart', 'nowcasting'),
+        'rt': () => trackerChartExport('rt-chart', 'rt'),
+        'climate': () => trackerChartExport('climate-chart', 'clima'),
+        'sanitation-comparison': () => trackerChartExport('sanitation-chart', 'saneamento-incidencia', SANITATION_SOURCE),
+        'sanitation-correlation': () => ({
+            filename: exportFilename('correlacao-saneamento'),
+            source: SANITATION_SOURCE,
+            rows: getChartSeries('sanitation-correlation').map(row => ({
+                ...nationalExportMeta(SANITATION_SOURCE), geocode: row.geocode, se_range: `${row.SE}-${row.SE}`, ...row,
+            })),
+        }),
+        'lag-correlation': () => ({
+            filename: exportFilename('correlacao-defasada'),
+            source: SANITATION_SOURCE,
+            rows: getLagCorrelationRows().map(row => ({ ...exportMeta({ source: SANITATION_SOURCE }), ...row })),
+        }),
+        'sanitation-trend': () => ({
+            filename: exportFilename('saneamento-por-ano'),
+            source: 'SNIS/SINISA',
+            rows: getChartSeries('lag-trend-chart').map(row => ({ ...exportMeta({ source: 'SNIS/SINISA' }), ...row })),
+        }),
+        'hotspots': () => ({
+            filename: exportFilename('maiores-incidencias'),
+            source: INFODENGUE_SOURCE,
+            rows: state.hotspots.map((cap, idx) => ({
+                ...nationalExportMeta(), geocode: cap.geocode, se_range: `${cap.latest.SE}-${cap.latest.SE}`,
+                posicao: idx + 1,
+                capital: cap.name,
+                uf: cap.uf,
+                SE: cap.latest.SE,
+                p_inc100k: cap.latest.p_inc100k,
+                nivel: cap.latest.nivel,
+            })),
+        }),
+        'national-summary': () => {
+            const summary = state.nationalSummary;
+            if (!summary) return null;
+            const meta = nationalExportMeta();
+            return {
+                filename: exportFilename('resumo-nacional'),
+                source: INFODENGUE_SOURCE,
+                rows: [
+                    ['casos_totais_ano', summary.totalCases],
+                    ['capitais_em_alerta', summary.alertCities],
+                    [summary.rtIsWeighted ? 'rt_medio_ponderado_populacao' : 'rt_medio', parseFloat(summary.avgRt.toFixed(3))],
+                    ['populacao_capitais', summary.population],
+                    ['incidencia_100k_capitais', summary.incidence === null ? null : parseFloat(summary.incidence.toFixed(2))],
+                    ['incidencia_acumulada_100k_capitais', summary.cumulativeIncidence === null ? null : parseFloat(summary.cumulativeIncidence.toFixed(2))],
+                    ['maior_incidencia_100k', summary.maxInc],
+                    ['maior_incidencia_capital', summary.maxIncCity],
+                    ['maior_incidencia_acumulada_100k', parseFloat(summary.maxCumInc.toFixed(2))],
+                    ['maior_incidencia_acumulada_capital', summary.maxCumIncCity],
+                    ['capitais_nivel_1', summary.levels[1]],
+                    ['capitais_nivel_2', summary.levels[2]],
+                    ['capitais_nivel_3', summary.levels[3]],
+                    ['capitais_nivel_4', summary.levels[4]],
+                ].map(([indicador, valor]) => ({ ...meta, indicador, valor })),
+            };
+        },
+    });
+}
 
-        setTrackerState('profile');
+// ===== Situation Report (PDF) =====
+async function downloadReport() {
+    const btn = document.getElementById('btn-report');
+    btn.disabled = true;
+    try {
+        // Tracker charts currently drawn, in page order, titled like their panels
+        const charts = [...document.querySelectorAll('.tracker-charts [data-export-chart]')]
+            .filter(el => !el.closest('.chart-panel.hidden') && getChartSeries(el.dataset.exportChart).length > 0)
+            .map(el => ({
+                canvas: document.getElementById(el.dataset.exportChart),
+                ...chartHeading(el),
+                source: el.dataset.export === 'sanitation-comparison' ? SANITATION_SOURCE : INFODENGUE_SOURCE,
+            }));
 
+        await generateSituationReport({
+            disease: state.currentDisease,
+            nationalData: state.nationalData,
+            summary: state.nationalSummary,
+            hotspots: state.hotspots,
+            mapLayer: state.mapLayer,
+            locations: state.locations,
+            periodLabel: periodRangeLabel(getPeriod()),
+            charts,
+        });
     } catch (err) {
-        console.error(`Erro ao carregar perfil de ${name}:`, err);
-        setTrackerState('empty');
+        console.error('Erro ao gerar boletim:', err);
+    } finally {
+        btn.disabled = false;
     }
 }
 
 // ===== Init Map Search → Switch to Tracker =====
 function initMapSearchToTracker(geocode, name) {
     switchView('tracker');
-    loadCityProfile(geocode, name);
+    addLocation({ type: 'municipio', id: Number(geocode), name });
 }
 
 // ===== App Init =====
@@ -273,13 +1281,35 @@ async function init() {
     console.log('VigiSaude Brasil — Inicializando...');
 
     initNavigation();
+    initDataExports();
+    setCardMeasure(state.measure, state.population);
+    applyPopulation();
+    initAlertDrawer();
+    registerServiceWorker();
 
-    // Map view
+    window.addEventListener('offline', updateOfflineBanner);
+    // Also covers failed requests while navigator.onLine still says online
+    onConnectivityChange(updateOfflineBanner);
+    window.addEventListener('online', () => {
+        updateOfflineBanner();
+        loadNationalData(state.currentDisease);
+    });
+
+    // Map view — clicking a state opens its aggregated profile in the tracker
     initMap('map', (ufId, ufAbbr, ufName) => {
-        console.log(`Estado clicado: ${ufName} (${ufAbbr})`);
+        switchView('tracker');
+        addLocation({ type: 'uf', id: Number(ufId), name: `${ufName} (${ufAbbr})` });
     });
+    setMapMeasure(state.measure, state.population);
+    initMapPlayback({ getCurrentDisease: () => state.currentDisease });
+    initLagCorrelation({ getCurrentDisease: () => state.currentDisease });
+    initCorrelationControls();
 
-    initRegionFilters((region) => { fitRegion(region); });
+    initRegionFilters((region) => {
+        state.region = region;
+        fitRegion(region);
+        updateUrl();
+    });
 
     // Map layer toggles
     const layerBtns = document.querySelectorAll('.layer-btn');
@@ -287,47 +1317,66 @@ async function init() {
         btn.addEventListener('click', (e) => {
             layerBtns.forEach(b => b.classList.remove('active'));
             e.currentTarget.classList.add('active');
-            setMapLayer(e.currentTarget.dataset.layer);
+            state.mapLayer = e.currentTarget.dataset.layer;
+            resetMapPlayback();
+            document.getElementById('map-playback')?.classList.toggle('hidden', state.mapLayer !== 'disease');
+            setMapLayer(state.mapLayer);
+            updateUrl();
+        });
+    });
+
+    // Case measure toggles (map sidebar and tracker options)
+    document.querySelectorAll('.measure-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (btn.dataset.measure === state.measure) return;
+            selectMeasure(btn.dataset.measure);
+            updateUrl();
+            if (state.locations.length > 0) loadTrackerProfile();
         });
     });
 
+    // Pan/zoom only replaces the current history entry
+    getMap().on('moveend', () => updateUrl());
+
     // Map search
     initSearch(initMapSearchToTracker);
 
     // Disease cards (map view)
     const cardsContainer = document.getElementById('disease-cards');
-    initCards(cardsContainer, async (disease) => {
-        state.currentDisease = disease;
-        setMapDisease(disease);
-        await loadNationalData(disease);
-    });
+    initCards(cardsContainer, changeDisease);
 
-    // Tracker — city selector
-    await initTrackerSelectors(loadCityProfile);
+    // Tracker — location selector adds to the comparison set
+    await initTrackerSelectors(addLocation);
 
     // Tracker — disease toggle
-    initPathogenTags(async (disease) => {
-        state.currentDisease = disease;
-        setActiveDisease(disease);
-        const info = getDiseaseInfo(disease);
-        const titleEl = document.getElementById('chart-main-title');
-        if (state.currentCity) {
-            if (titleEl) titleEl.textContent = `${info.name} — ${state.currentCity.name}`;
-            await loadCityProfile(state.currentCity.geocode, state.currentCity.name);
-        } else {
-            if (titleEl) titleEl.textContent = 'Selecione um município';
-        }
+    initPathogenTags(changeDisease);
+
+    // Tracker — period picker drives every chart and KPI
+    initPeriodControls(() => {
+        updateUrl();
+        loadTrackerProfile();
+    });
+
+    // Tracker — forecast and endemic channel options
+    ['forecast-toggle', 'forecast-horizon', 'endemic-toggle', 'endemic-seasons', 'endemic-method'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', () => loadTrackerProfile());
+    });
+
+    // Tracker — nowcasting location picker
+    document.getElementById('nowcast-location')?.addEventListener('change', (e) => {
+        state.nowcast.locationKey = e.target.value;
+        renderNowcast();
     });
 
     // Tracker — compare previous year toggle
     document.getElementById('compare-prev-year')?.addEventListener('change', () => {
-        if (state.currentCity) {
-            loadCityProfile(state.currentCity.geocode, state.currentCity.name);
-        }
+        updateUrl();
+        loadTrackerProfile();
     });
 
-    // Share button
+    // Share button — the URL always reflects the current state
     document.getElementById('btn-share')?.addEventListener('click', () => {
+        updateUrl();
         navigator.clipboard?.writeText(window.location.href).then(() => {
             const btn = document.getElementById('btn-share');
             const orig = btn.innerHTML;
@@ -336,8 +1385,44 @@ async function init() {
         });
     });
 
-    // Load initial map data
-    await loadNationalData('dengue');
+    document.getElementById('btn-report')?.addEventListener('click', downloadReport);
+
+    // Refresh — manual, and the auto-refresh interval for wall displays
+    document.getElementById('btn-refresh')?.addEventListener('click', refreshNationalData);
+    document.getElementById('auto-refresh')?.addEventListener('change', (e) => {
+        setAutoRefresh(Number(e.target.value));
+        updateUrl();
+    });
+    // Kiosk mode — the exit button and Esc are handled by the component
+    document.getElementById('nav-kiosk')?.addEventListener('click', () => {
+        const dwell = Number(document.getElementById('kiosk-dwell')?.value) || KIOSK_DEFAULT_DWELL;
+        enterKiosk(dwell, { fullscreen: true });
+    });
+    document.getElementById('kiosk-exit')?.addEventListener('click', stopKiosk);
+
+    document.getElementById('refresh-changes-close')?.addEventListener('click', () => {
+        document.getElementById('refresh-changes')?.classList.add('hidden');
+    });
+
+    // Cached overviews are shown immediately; re-render when the background refresh lands
+    onNationalOverviewRevalidated((disease, data) => {
+        state.nationalData[disease] = data;
+        loadNationalData(state.currentDisease);
+    });
+
+    // Back/forward restores the state stored in the URL
+    window.addEventListener('popstate', async () => {
+        if (await applyUrlState(parseUrlState())) await loadNationalData(state.currentDisease);
+    });
+
+    // Restore a shared link, then load the map data for its disease
+    const urlState = parseUrlState();
+    await applyUrlState(urlState);
+    await loadNationalData(state.currentDisease);
+
+    // ?kiosk=… boots a display straight into the situation-room mode
+    initKioskDwell(urlState.kiosk || KIOSK_DEFAULT_DWELL);
+    if (urlState.kiosk) enterKiosk(urlState.kiosk);
 
     console.log('✅ VigiSaúde Brasil — Pronto!');
 }
@@ -0,0 +1,249 @@
+/**
+ * VigiSaúde Brasil — Alert Rules
+ * User-defined watch rules ("Rt > 1.2 por 2 semanas em Campinas", "qualquer
+ * capital em nível 4 de chikungunya"), evaluated against the InfoDengue data
+ * on every refresh. Rules, triggered notifications and the set of already
+ * notified (rule, place, SE) keys persist in localStorage.
+ *
+ * Rule sets are shared as JSON:
+ *   { "format": "vigisaude-alert-rules", "version": 1, "rules": [ ... ] }
+ */
+import { fetchNationalOverview, fetchDiseaseData } from './api.js';
+import { recentEpiWeeks } from './epiweek.js';
+
+export const RULE_METRICS = {
+    Rt: 'Rt',
+    nivel: 'Nível de alerta',
+    casos: 'Casos notificados',
+    casos_est: 'Casos estimados',
+    p_inc100k: 'Incidência/100k',
+};
+export const RULE_OPERATORS = ['>', '>=', '<', '<='];
+export const RULE_DISEASES = ['dengue', 'chikungunya', 'zika'];
+export const MAX_RULE_WEEKS = 5;   // the national overview carries the last 5 SEs
+
+const RULESET_FORMAT = 'vigisaude-alert-rules';
+const RULESET_VERSION = 1;
+const STORAGE_KEYS = {
+    rules: 'vsb-alert-rules',
+    notifications: 'vsb-alert-notifications',
+    fired: 'vsb-alert-fired',
+};
+const MAX_NOTIFICATIONS = 100;
+const MAX_FIRED_KEYS = 1000;
+
+// ===== Storage =====
+function load(key, fallback) {
+    try {
+        const raw = localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch {
+        return fallback;
+    }
+}
+
+function save(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+        console.warn(`Falha ao salvar ${key}:`, err.message);
+    }
+}
+
+// ===== Rules =====
+/**
+ * Rule shape:
+ * { id, name, disease, scope: { type: 'capitals' } | { type: 'municipio', id, name },
+ *   metric, operator, value, weeks, enabled }
+ * Returns the normalized rule, or throws with a message for the user.
+ */
+export function validateRule(input) {
+    const rule = { ...input };
+    if (!RULE_DISEASES.includes(rule.disease)) throw new Error(`Doença inválida: ${rule.disease}`);
+    if (!RULE_METRICS[rule.metric]) throw new Error(`Métrica inválida: ${rule.metric}`);
+    if (!RULE_OPERATORS.includes(rule.operator)) throw new Error(`Operador inválido: ${rule.operator}`);
+    rule.value = Number(rule.value);
+    if (!Number.isFinite(rule.value)) throw new Error('Valor de referência inválido');
+    rule.weeks = Math.round(Number(rule.weeks) || 1);
+    if (rule.weeks < 1 || rule.weeks > MAX_RULE_WEEKS) throw new Error(`Semanas consecutivas deve estar entre 1 e ${MAX_RULE_WEEKS}`);
+
+    const scope = rule.scope || {};
+    if (scope.type === 'capitals') {
+        rule.scope = { type: 'capitals' };
+    } else if (scope.type === 'municipio' && /^\d{7}$/.test(String(scope.id))) {
+        rule.scope = { type: 'municipio', id: Number(scope.id), name: String(scope.name || scope.id) };
+    } else {
+        throw new Error('Local inválido: use "capitals" ou um município com geocódigo IBGE de 7 dígitos');
+    }
+
+    rule.id = rule.id || `r${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    rule.enabled = rule.enabled !== false;
+    rule.name = String(rule.name || '').trim() || describeRule(rule);
+    return rule;
+}
+
+export function describeRule({ disease, scope, metric, operator, value, weeks }) {
+    const where = scope.type === 'capitals' ? 'qualquer capital' : scope.name;
+    const span = weeks > 1 ? ` por ${weeks} semanas seguidas` : '';
+    return `${RULE_METRICS[metric]} ${operator} ${value}${span} — ${where} (${disease})`;
+}
+
+export function getRules() {
+    return load(STORAGE_KEYS.rules, []);
+}
+
+export function saveRule(input) {
+    const rule = validateRule(input);
+    const rules = getRules().filter(r => r.id !== rule.id);
+    rules.push(rule);
+    save(STORAGE_KEYS.rules, rules);
+    return rule;
+}
+
+export function removeRule(id) {
+    save(STORAGE_KEYS.rules, getRules().filter(r => r.id !== id));
+}
+
+export function setRuleEnabled(id, enabled) {
+    save(STORAGE_KEYS.rules, getRules().map(r => (r.id === id ? { ...r, enabled } : r)));
+}
+
+// ===== Import / Export =====
+export function exportRuleSet() {
+    const rules = getRules().map(({ id, ...rule }) => rule);
+    return JSON.stringify({ format: RULESET_FORMAT, version: RULESET_VERSION, exportedAt: new Date().toISOString(), rules }, null, 2);
+}
+
+/**
+ * Merge a shared rule set into the local rules. Imported rules get new ids;
+ * rules identical to an existing one are skipped.
+ * @returns {{ added: number, skipped: number, errors: string[] }}
+ */
+export function importRuleSet(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        throw new Error('Arquivo não é um JSON válido');
+    }
+    if (parsed?.format !== RULESET_FORMAT || !Array.isArray(parsed.rules)) {
+        throw new Error('Formato de regras não reconhecido');
+    }
+    if (parsed.version > RULESET_VERSION) {
+        throw new Error(`Versão ${parsed.version} do formato não suportada`);
+    }
+
+    const rules = getRules();
+    const signature = r => JSON.stringify([r.disease, r.scope, r.metric, r.operator, r.value, r.weeks]);
+    const existing = new Set(rules.map(signature));
+    const result = { added: 0, skipped: 0, errors: [] };
+
+    parsed.rules.forEach((input, idx) => {
+        try {
+            const rule = validateRule({ ...input, id: null });
+            if (existing.has(signature(rule))) {
+                result.skipped++;
+                return;
+            }
+            existing.add(signature(rule));
+            rules.push(rule);
+            result.added++;
+        } catch (err) {
+            result.errors.push(`Regra ${idx + 1}: ${err.message}`);
+        }
+    });
+
+    save(STORAGE_KEYS.rules, rules);
+    return result;
+}
+
+// ===== Evaluation =====
+const COMPARE = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+};
+
+// The last `weeks` rows must all match; returns the latest matching row
+export function matchSeries(rule, rows) {
+    const recent = [...rows].sort((a, b) => a.SE - b.SE).slice(-rule.weeks);
+    if (recent.length < rule.weeks) return null;
+    const matches = recent.every(r => {
+        const value = r[rule.metric];
+        return value !== null && value !== undefined && COMPARE[rule.operator](value, rule.value);
+    });
+    return matches ? recent[recent.length - 1] : null;
+}
+
+// [{ geocode, name, rows }] the rule applies to
+async function seriesForRule(rule) {
+    if (rule.scope.type === 'capitals') {
+        const capitals = await fetchNationalOverview(rule.disease);
+        return capitals.map(c => ({ geocode: c.geocode, name: c.name, rows: c.data || [] }));
+    }
+    const { ewStart, ewEnd, eyStart, eyEnd } = recentEpiWeeks(MAX_RULE_WEEKS);
+    const rows = await fetchDiseaseData(rule.scope.id, rule.disease, ewStart, ewEnd, eyStart, eyEnd);
+    return [{ geocode: rule.scope.id, name: rule.scope.name, rows }];
+}
+
+/**
+ * Evaluate every enabled rule and return notifications that were not issued
+ * before for the same rule, place and SE. New notifications are stored.
+ */
+export async function evaluateRules() {
+    const rules = getRules().filter(r => r.enabled);
+    if (rules.length === 0) return [];
+
+    const fired = new Set(load(STORAGE_KEYS.fired, []));
+    const triggered = [];
+
+    for (const rule of rules) {
+        let targets;
+        try {
+            targets = await seriesForRule(rule);
+        } catch (err) {
+            console.warn(`Falha ao avaliar regra "${rule.name}":`, err.message);
+            continue;
+        }
+        targets.forEach(({ geocode, name, rows }) => {
+            const row = matchSeries(rule, rows);
+            if (!row) return;
+            const key = `${rule.id}|${geocode}|${row.SE}`;
+            if (fired.has(key)) return;
+            fired.add(key);
+            triggered.push({
+                id: key,
+                ruleId: rule.id,
+                ruleName: rule.name,
+                disease: rule.disease,
+                geocode,
+                place: name,
+                SE: row.SE,
+                metric: rule.metric,
+                value: row[rule.metric],
+                at: Date.now(),
+                read: false,
+            });
+        });
+    }
+
+    if (triggered.length > 0) {
+        save(STORAGE_KEYS.fired, [...fired].slice(-MAX_FIRED_KEYS));
+        save(STORAGE_KEYS.notifications, [...triggered, ...getNotifications()].slice(0, MAX_NOTIFICATIONS));
+    }
+    return triggered;
+}
+
+// ===== Notifications =====
+export function getNotifications() {
+    return load(STORAGE_KEYS.notifications, []);
+}
+
+export function markNotificationsRead() {
+    save(STORAGE_KEYS.notifications, getNotifications().map(n => ({ ...n, read: true })));
+}
+
+export function clearNotifications() {
+    save(STORAGE_KEYS.notifications, []);
+}
@@ -1,139 +1,219 @@
 /**
  * VigiSaúde Brasil — API Service
- * Integrates: InfoDengue, IBGE Localidades, IBGE Malhas, SNIS (Saneamento)
+ * Integrates: InfoDengue, IBGE Localidades, IBGE Malhas, IBGE População, SNIS (Saneamento)
  */
 
-// ===== Cache =====
-const cache = new Map();
+import { cachedFetch, readEntry, writeEntry, isFresh, getFetchedAt, onRevalidated, TTL } from './cache.js';
+import { dateToEpiWeek, epiWeeksInYear, recentEpiWeeks } from './epiweek.js';
+import { trackedFetch } from './network.js';
 
+// ===== Cache =====
 function cacheKey(...args) {
     return args.join('|');
 }
 
-async function cachedFetch(key, fetcher) {
-    if (cache.has(key)) return cache.get(key);
-    const data = await fetcher();
-    cache.set(key, data);
-    return data;
-}
-
 // ===== IBGE Localidades =====
 
 export async function fetchStates() {
     return cachedFetch('states', async () => {
-        const res = await fetch('https://servicodados.ibge.gov.br/api/v1/localidades/estados?orderBy=nome');
+        const res = await trackedFetch('https://servicodados.ibge.gov.br/api/v1/localidades/estados?orderBy=nome');
         if (!res.ok) throw new Error('Falha ao carregar estados');
         return res.json();
-    });
+    }, TTL.ibge);
 }
 
 export async function fetchMunicipios(ufId) {
     return cachedFetch(`municipios-${ufId}`, async () => {
-        const res = await fetch(`https://servicodados.ibge.gov.br/api/v1/localidades/estados/${ufId}/municipios?orderBy=nome`);
+        const res = await trackedFetch(`https://servicodados.ibge.gov.br/api/v1/localidades/estados/${ufId}/municipios?orderBy=nome`);
         if (!res.ok) throw new Error('Falha ao carregar municípios');
         return res.json();
-    });
+    }, TTL.ibge);
+}
+
+// Every municipality in Brazil (search, alert rules)
+export async function fetchAllMunicipios() {
+    return cachedFetch('municipios-all', async () => {
+        const res = await trackedFetch('https://servicodados.ibge.gov.br/api/v1/localidades/municipios?orderBy=nome');
+        if (!res.ok) throw new Error('Falha ao carregar municípios');
+        return res.json();
+    }, TTL.ibge);
 }
 
 // ===== IBGE Malhas (GeoJSON) =====
 
 export async function fetchBrazilGeoJSON() {
     return cachedFetch('brazil-geo', async () => {
-        const res = await fetch('https://servicodados.ibge.gov.br/api/v3/malhas/paises/BR?formato=application/vnd.geo+json&qualidade=minima&intrarregiao=UF');
+        const res = await trackedFetch('https://servicodados.ibge.gov.br/api/v3/malhas/paises/BR?formato=application/vnd.geo+json&qualidade=minima&intrarregiao=UF');
         if (!res.ok) throw new Error('Falha ao carregar malha geográfica');
         return res.json();
-    });
+    }, TTL.mesh);
 }
 
 // ===== InfoDengue API =====
 
-export async function fetchDiseaseData(geocode, disease = 'dengue', ewStart = 1, ewEnd = 52, eyStart = 2025, eyEnd = 2025) {
+// Asks the server proxy to revalidate its cached copy too (see server/infodengue.js),
+// so a forced reload can see a newly published SE
+const REVALIDATE_HEADERS = { 'Cache-Control': 'no-cache' };
+
+export async function fetchDiseaseData(geocode, disease = 'dengue', ewStart = 1, ewEnd = 52, eyStart = 2025, eyEnd = 2025, { force = false } = {}) {
     const key = cacheKey('disease', geocode, disease, ewStart, ewEnd, eyStart, eyEnd);
     return cachedFetch(key, async () => {
         // Always use relative proxy path — handled by Vite in dev, Express in production
         const baseUrl = '/api/infodengue';
         const url = `${baseUrl}/alertcity?geocode=${geocode}&disease=${disease}&format=json&ew_start=${ewStart}&ew_end=${ewEnd}&ey_start=${eyStart}&ey_end=${eyEnd}`;
-        const res = await fetch(url);
+        const res = await trackedFetch(url, force ? { headers: REVALIDATE_HEADERS } : undefined);
         if (!res.ok) throw new Error(`Falha ao carregar dados de ${disease}`);
         const data = await res.json();
         // Sort by epidemiological week
         return data.sort((a, b) => a.SE - b.SE);
+    }, TTL.infodengue, { force });
+}
+
+// ===== Batch alerts (server-side fan-out) =====
+// One POST to /api/alerts/batch instead of one alertcity request per geocode.
+// Results are stored under the same cache keys as fetchDiseaseData, so the
+// tracker reuses them. Stale entries are re-requested. Falls back to per-city
+// requests (which may serve stale data) when the endpoint is unavailable
+// (e.g. static hosting). Returns { geocode: data[] }. `force` re-requests
+// every geocode regardless of freshness, in the browser and on the server.
+export async function fetchAlertBatch(geocodes, disease = 'dengue', ewStart = 1, ewEnd = 52, eyStart = 2025, eyEnd = 2025, options = {}) {
+    const { series } = await fetchAlertBatchResult(geocodes, disease, ewStart, ewEnd, eyStart, eyEnd, options);
+    return series;
+}
+
+// Same as fetchAlertBatch, plus the geocodes that failed (returned empty and
+// not cached): { series: { geocode: data[] }, errors: { geocode: message } }
+export async function fetchAlertBatchResult(geocodes, disease = 'dengue', ewStart = 1, ewEnd = 52, eyStart = 2025, eyEnd = 2025, { force = false } = {}) {
+    const keyFor = (geocode) => cacheKey('disease', geocode, disease, ewStart, ewEnd, eyStart, eyEnd);
+    const series = {};
+    const errors = {};
+    const missing = [];
+    const entries = await Promise.all(geocodes.map(geocode => readEntry(keyFor(geocode))));
+    geocodes.forEach((geocode, idx) => {
+        if (!force && isFresh(entries[idx])) series[geocode] = entries[idx].data;
+        else missing.push(geocode);
     });
+    if (missing.length === 0) return { series, errors };
+
+    try {
+        const res = await trackedFetch('/api/alerts/batch', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(force ? REVALIDATE_HEADERS : {}) },
+            body: JSON.stringify({ geocodes: missing.map(Number), disease, ewStart, ewEnd, eyStart, eyEnd }),
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const body = await res.json();
+        missing.forEach(geocode => {
+            const data = (body.alerts[geocode] || []).sort((a, b) => a.SE - b.SE);
+            // Failed geocodes are returned empty but not cached, so a later call retries them
+            if (body.errors[geocode]) errors[geocode] = body.errors[geocode];
+            else writeEntry(keyFor(geocode), data, TTL.infodengue);
+            series[geocode] = data;
+        });
+        return { series, errors };
+    } catch (err) {
+        console.warn('Batch de alertas indisponível, usando requisições individuais:', err.message);
+    }
+
+    const results = await Promise.allSettled(
+        missing.map(geocode => fetchDiseaseData(geocode, disease, ewStart, ewEnd, eyStart, eyEnd, { force }))
+    );
+    results.forEach((r, idx) => {
+        series[missing[idx]] = r.status === 'fulfilled' ? r.value : [];
+        if (r.status === 'rejected') errors[missing[idx]] = r.reason?.message || String(r.reason);
+    });
+    return { series, errors };
 }
 
+// Brazilian state capitals with their IBGE geocodes
+export const STATE_CAPITALS = [
+    { name: 'São Paulo', geocode: 3550308, uf: 'SP' },
+    { name: 'Rio de Janeiro', geocode: 3304557, uf: 'RJ' },
+    { name: 'Belo Horizonte', geocode: 3106200, uf: 'MG' },
+    { name: 'Salvador', geocode: 2927408, uf: 'BA' },
+    { name: 'Brasília', geocode: 5300108, uf: 'DF' },
+    { name: 'Fortaleza', geocode: 2304400, uf: 'CE' },
+    { name: 'Manaus', geocode: 1302603, uf: 'AM' },
+    { name: 'Curitiba', geocode: 4106902, uf: 'PR' },
+    { name: 'Recife', geocode: 2611606, uf: 'PE' },
+    { name: 'Goiânia', geocode: 5208707, uf: 'GO' },
+    { name: 'Belém', geocode: 1501402, uf: 'PA' },
+    { name: 'Porto Alegre', geocode: 4314902, uf: 'RS' },
+    { name: 'São Luís', geocode: 2111300, uf: 'MA' },
+    { name: 'Maceió', geocode: 2704302, uf: 'AL' },
+    { name: 'Campo Grande', geocode: 5002704, uf: 'MS' },
+    { name: 'Natal', geocode: 2408102, uf: 'RN' },
+    { name: 'Teresina', geocode: 2211001, uf: 'PI' },
+    { name: 'João Pessoa', geocode: 2507507, uf: 'PB' },
+    { name: 'Aracaju', geocode: 2800308, uf: 'SE' },
+    { name: 'Cuiabá', geocode: 5103403, uf: 'MT' },
+    { name: 'Florianópolis', geocode: 4205407, uf: 'SC' },
+    { name: 'Vitória', geocode: 3205309, uf: 'ES' },
+    { name: 'Porto Velho', geocode: 1100205, uf: 'RO' },
+    { name: 'Macapá', geocode: 1600303, uf: 'AP' },
+    { name: 'Rio Branco', geocode: 1200401, uf: 'AC' },
+    { name: 'Boa Vista', geocode: 1400100, uf: 'RR' },
+    { name: 'Palmas', geocode: 1721000, uf: 'TO' },
+];
+
 // Fetch alert data for multiple capital cities (for national overview)
-// Falls back to previous years if no data found (e.g. Zika)
-export async function fetchNationalOverview(disease = 'dengue') {
+// Falls back to previous years if no data found (e.g. Zika).
+// `force` bypasses the browser and server caches (auto-refresh).
+export async function fetchNationalOverview(disease = 'dengue', { force = false } = {}) {
     const key = cacheKey('national', disease);
     return cachedFetch(key, async () => {
-        // Brazilian state capitals with their IBGE geocodes
-        const capitals = [
-            { name: 'São Paulo', geocode: 3550308, uf: 'SP' },
-            { name: 'Rio de Janeiro', geocode: 3304557, uf: 'RJ' },
-            { name: 'Belo Horizonte', geocode: 3106200, uf: 'MG' },
-            { name: 'Salvador', geocode: 2927408, uf: 'BA' },
-            { name: 'Brasília', geocode: 5300108, uf: 'DF' },
-            { name: 'Fortaleza', geocode: 2304400, uf: 'CE' },
-            { name: 'Manaus', geocode: 1302603, uf: 'AM' },
-            { name: 'Curitiba', geocode: 4106902, uf: 'PR' },
-            { name: 'Recife', geocode: 2611606, uf: 'PE' },
-            { name: 'Goiânia', geocode: 5208707, uf: 'GO' },
-            { name: 'Belém', geocode: 1501402, uf: 'PA' },
-            { name: 'Porto Alegre', geocode: 4314902, uf: 'RS' },
-            { name: 'São Luís', geocode: 2111300, uf: 'MA' },
-            { name: 'Maceió', geocode: 2704302, uf: 'AL' },
-            { name: 'Campo Grande', geocode: 5002704, uf: 'MS' },
-            { name: 'Natal', geocode: 2408102, uf: 'RN' },
-            { name: 'Teresina', geocode: 2211001, uf: 'PI' },
-            { name: 'João Pessoa', geocode: 2507507, uf: 'PB' },
-            { name: 'Aracaju', geocode: 2800308, uf: 'SE' },
-            { name: 'Cuiabá', geocode: 5103403, uf: 'MT' },
-            { name: 'Florianópolis', geocode: 4205407, uf: 'SC' },
-            { name: 'Vitória', geocode: 3205309, uf: 'ES' },
-            { name: 'Porto Velho', geocode: 1100205, uf: 'RO' },
-            { name: 'Macapá', geocode: 1600303, uf: 'AP' },
-            { name: 'Rio Branco', geocode: 1200401, uf: 'AC' },
-            { name: 'Boa Vista', geocode: 1400100, uf: 'RR' },
-            { name: 'Palmas', geocode: 1721000, uf: 'TO' },
-        ];
-
-        const currentDate = new Date();
-        const currentYear = currentDate.getFullYear();
-        const startOfYear = new Date(currentYear, 0, 1);
-        const dayOfYear = Math.floor((currentDate - startOfYear) / 86400000);
-        const currentEW = Math.min(Math.ceil(dayOfYear / 7), 52);
-        const startEW = Math.max(1, currentEW - 4);
-
-        // Helper: fetch all capitals for a given year
-        async function fetchForYear(year, ewStart, ewEnd) {
-            const results = await Promise.allSettled(
-                capitals.map(async (cap) => {
-                    try {
-                        const data = await fetchDiseaseData(cap.geocode, disease, ewStart, ewEnd, year, year);
-                        const latest = data.length > 0 ? data[data.length - 1] : null;
-                        return { ...cap, data, latest, dataYear: year };
-                    } catch {
-                        return { ...cap, data: [], latest: null, dataYear: year };
-                    }
-                })
-            );
-            return results.filter(r => r.status === 'fulfilled').map(r => r.value);
+        const capitals = STATE_CAPITALS;
+        const currentYear = dateToEpiWeek().year;
+
+        // Helper: fetch all capitals for a period (one batch request)
+        async function fetchForYear(year, { ewStart, ewEnd, eyStart, eyEnd }) {
+            const series = await fetchAlertBatch(capitals.map(c => c.geocode), disease, ewStart, ewEnd, eyStart, eyEnd, { force });
+            return capitals.map(cap => {
+                const data = series[cap.geocode] || [];
+                const latest = data.length > 0 ? data[data.length - 1] : null;
+                return { ...cap, data, latest, dataYear: year };
+            });
         }
 
-        // Try current year first
-        let data = await fetchForYear(currentYear, startEW, currentEW);
+        // Try the last 5 SEs first (may start in the previous epi year in early January)
+        let data = await fetchForYear(currentYear, recentEpiWeeks(5));
         let hasData = data.some(d => d.latest !== null);
 
         // If no data, try previous years (up to 3 years back)
         if (!hasData) {
             for (let y = currentYear - 1; y >= currentYear - 3; y--) {
-                data = await fetchForYear(y, 1, 52);
+                data = await fetchForYear(y, { ewStart: 1, ewEnd: epiWeeksInYear(y), eyStart: y, eyEnd: y });
                 hasData = data.some(d => d.latest !== null);
                 if (hasData) break;
             }
         }
 
         return data;
+    }, TTL.infodengue, { force });
+}
+
+// When a tracker location's series was fetched (ms timestamp) — same cache
+// keys as fetchDiseaseData / fetchStateData / fetchRegionData / fetchBrazilData
+export function getLocationFetchedAt({ type, id }, disease, { ewStart, ewEnd, eyStart, eyEnd }) {
+    const period = [disease, ewStart, ewEnd, eyStart, eyEnd];
+    switch (type) {
+        case 'uf': return getFetchedAt(cacheKey('uf', id, ...period));
+        case 'region': return getFetchedAt(cacheKey('region', id, ...period));
+        case 'brasil': return getFetchedAt(cacheKey('brasil', ...period));
+        default: return getFetchedAt(cacheKey('disease', id, ...period));
+    }
+}
+
+// When the national overview was fetched (ms timestamp), for "last update" labels
+export function getNationalOverviewFetchedAt(disease = 'dengue') {
+    return getFetchedAt(cacheKey('national', disease));
+}
+
+// Called with (disease, data) when a stale national overview is refreshed in the background
+export function onNationalOverviewRevalidated(callback) {
+    return onRevalidated((key, data) => {
+        const [prefix, disease] = key.split('|');
+        if (prefix === 'national') callback(disease, data);
     });
 }
 
@@ -141,14 +221,15 @@ export async function fetchNationalOverview(disease = 'dengue') {
 
 export async function fetchStateGeoJSON(ufId) {
     return cachedFetch(`state-geo-${ufId}`, async () => {
-        const res = await fetch(`https://servicodados.ibge.gov.br/api/v3/malhas/estados/${ufId}?formato=application/vnd.geo+json&qualidade=minima&intrarregiao=municipio`);
+        const res = await trackedFetch(`https://servicodados.ibge.gov.br/api/v3/malhas/estados/${ufId}?formato=application/vnd.geo+json&qualidade=minima&intrarregiao=municipio`);
         if (!res.ok) throw new Error(`Falha ao carregar malha de municípios (UF ${ufId})`);
         return res.json();
-    });
+    }, TTL.mesh);
 }
 
-// ===== Major cities per UF (geocode list for bulk alerts) =====
-// ~10–15 largest cities per state to avoid excessive API calls
+// ===== Major cities per UF =====
+// ~10 largest cities per state — loaded first so the municipal layer
+// colours the most relevant areas before the rest of the state
 export const MAJOR_CITIES_BY_UF = {
     11: [1100205, 1100023, 1100015, 1100122, 1100114, 1100049, 1100304, 1100320, 1100155, 1100189], // RO
     12: [1200401, 1200104, 1200203, 1200302, 1200500, 1200609, 1200138, 1200179, 1200013, 1200054], // AC
@@ -180,46 +261,139 @@ export const MAJOR_CITIES_BY_UF = {
 };
 
 // ===== Fetch disease alerts for multiple municipalities =====
-export async function fetchBulkMunicipioAlerts(geocodes, disease = 'dengue') {
-    const currentDate = new Date();
-    const currentYear = currentDate.getFullYear();
-    const startOfYear = new Date(currentYear, 0, 1);
-    const dayOfYear = Math.floor((currentDate - startOfYear) / 86400000);
-    const currentEW = Math.min(Math.ceil(dayOfYear / 7), 52);
-    const startEW = Math.max(1, currentEW - 2);
+// Loads in chunks so callers can render progressively. onChunk(alertMap, loaded, total)
+// receives each chunk's { geocode: latestWeek }; returning false stops loading.
+const MUNICIPIO_CHUNK_SIZE = 100;
 
-    const results = await Promise.allSettled(
-        geocodes.map(async (geocode) => {
-            try {
-                const data = await fetchDiseaseData(geocode, disease, startEW, currentEW, currentYear, currentYear);
-                const latest = data.length > 0 ? data[data.length - 1] : null;
-                return { geocode, data, latest };
-            } catch {
-                return { geocode, data: [], latest: null };
-            }
-        })
-    );
+export async function fetchBulkMunicipioAlerts(geocodes, disease = 'dengue', onChunk = null) {
+    // Last 3 SEs — the same window server/prefetch.js warms up
+    const { ewStart, ewEnd, eyStart, eyEnd } = recentEpiWeeks(3);
 
     const alertMap = {};
-    results
-        .filter(r => r.status === 'fulfilled')
-        .forEach(r => {
-            const val = r.value;
-            if (val.latest) {
-                alertMap[val.geocode] = val.latest;
-            }
-        });
+    for (let i = 0; i < geocodes.length; i += MUNICIPIO_CHUNK_SIZE) {
+        const chunk = geocodes.slice(i, i + MUNICIPIO_CHUNK_SIZE);
+        const series = await fetchAlertBatch(chunk, disease, ewStart, ewEnd, eyStart, eyEnd);
+
+        const chunkAlerts = {};
+        for (const [geocode, data] of Object.entries(series)) {
+            if (data.length > 0) chunkAlerts[geocode] = data[data.length - 1];
+        }
+        Object.assign(alertMap, chunkAlerts);
+
+        const loaded = Math.min(i + MUNICIPIO_CHUNK_SIZE, geocodes.length);
+        if (onChunk && onChunk(chunkAlerts, loaded, geocodes.length) === false) break;
+    }
 
     return alertMap;
 }
 
+// ===== Aggregated series (many municipalities → one location) =====
+// Sums weekly counts per SE; rates are weighted so the result has the same
+// row shape as fetchDiseaseData. Aggregated rows can be aggregated again
+// (municipality → UF → region/Brasil), since they carry summed `pop`:
+//   p_inc100k — population-weighted (InfoDengue rows carry `pop`)
+//   Rt, p_rt1 — weighted by estimated cases (only where Rt > 0)
+//   nivel     — population-weighted mean level, rounded
+//   tempmed, umidmed — population-weighted over municipalities reporting climate
+const SUMMED_FIELDS = ['casos', 'casos_est', 'casos_est_min', 'casos_est_max', 'notif_accum_year'];
+
+export function aggregateSeries(seriesList) {
+    const bySE = new Map();
+    for (const data of seriesList) {
+        for (const row of data) {
+            if (!bySE.has(row.SE)) bySE.set(row.SE, []);
+            bySE.get(row.SE).push(row);
+        }
+    }
+
+    // Zero Rt / climate readings mean "not computed", so only positive values count
+    const weightedMean = (rows, field, weightOf) => {
+        let sum = 0, weight = 0;
+        rows.forEach(r => {
+            const w = weightOf(r);
+            if (r[field] > 0 && w > 0) { sum += r[field] * w; weight += w; }
+        });
+        return weight > 0 ? sum / weight : null;
+    };
+    const popOf = r => r.pop || 1;
+    const casesOf = r => r.casos_est || r.casos || 0;
+
+    return [...bySE.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([SE, rows]) => {
+            const row = {
+                SE,
+                municipios: rows.reduce((s, r) => s + (r.municipios || 1), 0),
+                pop: rows.reduce((s, r) => s + (r.pop || 0), 0),
+            };
+            SUMMED_FIELDS.forEach(field => {
+                row[field] = rows.reduce((s, r) => s + (r[field] || 0), 0);
+            });
+            const totalPop = rows.reduce((s, r) => s + popOf(r), 0);
+            row.p_inc100k = rows.reduce((s, r) => s + (r.p_inc100k || 0) * popOf(r), 0) / totalPop;
+            const withRt = rows.filter(r => r.Rt > 0);
+            const rtWeight = withRt.reduce((s, r) => s + casesOf(r), 0);
+            row.Rt = weightedMean(withRt, 'Rt', casesOf);
+            row.p_rt1 = rtWeight > 0 ? withRt.reduce((s, r) => s + (r.p_rt1 || 0) * casesOf(r), 0) / rtWeight : null;
+            row.nivel = Math.round(rows.reduce((s, r) => s + (r.nivel || 1) * popOf(r), 0) / totalPop);
+            row.tempmed = weightedMean(rows, 'tempmed', popOf);
+            row.umidmed = weightedMean(rows, 'umidmed', popOf);
+            return row;
+        });
+}
+
+// Aggregated series for a whole state (all of its municipalities).
+// `force` re-requests every municipal series, as in fetchAlertBatch.
+export async function fetchStateData(ufId, disease = 'dengue', ewStart = 1, ewEnd = 52, eyStart = 2025, eyEnd = 2025, { force = false } = {}) {
+    const key = cacheKey('uf', ufId, disease, ewStart, ewEnd, eyStart, eyEnd);
+    return cachedFetch(key, async () => {
+        const municipios = await fetchMunicipios(ufId);
+        const geocodes = municipios.map(m => m.id);
+        const seriesList = [];
+        for (let i = 0; i < geocodes.length; i += MUNICIPIO_CHUNK_SIZE) {
+            const chunk = geocodes.slice(i, i + MUNICIPIO_CHUNK_SIZE);
+            const series = await fetchAlertBatch(chunk, disease, ewStart, ewEnd, eyStart, eyEnd, { force });
+            seriesList.push(...Object.values(series));
+        }
+        return aggregateSeries(seriesList);
+    }, TTL.infodengue, { force });
+}
+
+// Built from the per-UF aggregates, so a region or the whole country reuses
+// (and warms) the cached state series. UFs are loaded one at a time to keep
+// the batch endpoint's load bounded.
+async function fetchUFGroupData(ufIds, disease, ewStart, ewEnd, eyStart, eyEnd, options) {
+    const seriesList = [];
+    for (const ufId of ufIds) {
+        seriesList.push(await fetchStateData(ufId, disease, ewStart, ewEnd, eyStart, eyEnd, options));
+    }
+    return aggregateSeries(seriesList);
+}
+
+// Aggregated series for a macro-region (keys of REGION_NAMES)
+export async function fetchRegionData(region, disease = 'dengue', ewStart = 1, ewEnd = 52, eyStart = 2025, eyEnd = 2025, { force = false } = {}) {
+    if (!REGIONS[region]) throw new Error(`Região desconhecida: ${region}`);
+    const key = cacheKey('region', region, disease, ewStart, ewEnd, eyStart, eyEnd);
+    return cachedFetch(key, () => fetchUFGroupData(getUFIdsForRegion(region), disease, ewStart, ewEnd, eyStart, eyEnd, { force }), TTL.infodengue, { force });
+}
+
+// Aggregated series for Brazil (all 5.570 municipalities)
+export async function fetchBrazilData(disease = 'dengue', ewStart = 1, ewEnd = 52, eyStart = 2025, eyEnd = 2025, { force = false } = {}) {
+    const key = cacheKey('brasil', disease, ewStart, ewEnd, eyStart, eyEnd);
+    return cachedFetch(key, () => fetchUFGroupData(getUFIdsForRegion('all'), disease, ewStart, ewEnd, eyStart, eyEnd, { force }), TTL.infodengue, { force });
+}
+
 // ===== SNIS — Sanitation (Sewage) Data =====
 // We use pre-built data representing sewage coverage by state
 // Source: SNIS 2023 / Atlas Esgotos - ANA
 // Columns: % population with sewage collection, % sewage treated
 
+// Year the state table below describes, for panels that line it up with
+// yearly series (the lagged correlation by UF)
+export const STATE_SANITATION_YEAR = 2022;
+
 export function getSanitationData() {
-    // Latest available SNIS data (reference year 2022/2023)
+    // Latest available SNIS data (reference year 2022, published in 2023)
     // Source: SNIS - Diagnóstico Temático Serviços de Água e Esgoto
     return {
         AC: { coletaEsgoto: 14.4, tratamentoEsgoto: 20.8, idh: 0.663, nome: 'Acre' },
@@ -252,33 +426,156 @@ export function getSanitationData() {
     };
 }
 
+// ===== Static datasets (public/data) =====
+// Not kept in the IndexedDB cache: the service worker already serves /data/
+// stale-while-revalidate, so a new edition shows up on the next page load
+// instead of after a TTL. Fetched once per page load.
+const staticDatasets = new Map();   // url → Promise
+
+function fetchStaticDataset(url, schema, label) {
+    if (!staticDatasets.has(url)) {
+        const request = trackedFetch(url)
+            .then(async res => {
+                if (!res.ok) throw new Error(`Falha ao carregar a base municipal de ${label}`);
+                const dataset = await res.json();
+                if (dataset.schema !== schema) {
+                    throw new Error(`Base de ${label} com versão ${dataset.schema}; esperada ${schema}`);
+                }
+                return dataset;
+            })
+            .catch(err => {
+                staticDatasets.delete(url);   // retried on the next call
+                throw err;
+            });
+        staticDatasets.set(url, request);
+    }
+    return staticDatasets.get(url);
+}
+
+// ===== SNIS/SINISA — Municipal Sanitation Dataset =====
+// Static, versioned file in public/data: one row per IBGE geocode and year,
+// with the indicators in the order of `indicators`. The file name carries the
+// schema version; `edition` names the SNIS/SINISA release it was built from.
+// { schema, edition, source, indicators: ['IN015', ...], municipios: { geocode: { year: [values] } } }
+export const SANITATION_DATASET_URL = '/data/saneamento-municipios.v1.json';
+export const SANITATION_SCHEMA = 1;
+
+export const SANITATION_INDICATORS = {
+    IN015: 'Índice de coleta de esgoto (%)',
+    IN016: 'Índice de tratamento de esgoto (%)',
+    IN046: 'Esgoto tratado referido à água consumida (%)',
+    IN055: 'Atendimento total de água (%)',
+};
+
+export function fetchMunicipalSanitation() {
+    return fetchStaticDataset(SANITATION_DATASET_URL, SANITATION_SCHEMA, 'saneamento');
+}
+
+/**
+ * Indicators of one municipality for a year (or the latest year before it).
+ * @returns {{ year: number, IN015, IN016, IN046, IN055 } | null}
+ */
+export function getMunicipalSanitation(dataset, geocode, year = Infinity) {
+    const byYear = dataset?.municipios?.[geocode];
+    if (!byYear) return null;
+    const available = Object.keys(byYear).map(Number).filter(y => y <= year);
+    if (available.length === 0) return null;
+    const latest = Math.max(...available);
+    const row = { year: latest };
+    dataset.indicators.forEach((code, i) => { row[code] = byYear[latest][i] ?? null; });
+    return row;
+}
+
+/**
+ * Sewage coverage used by the correlation charts: the municipality's own
+ * IN015/IN016 when the dataset has it, otherwise the state average.
+ * @returns {{ coletaEsgoto, tratamentoEsgoto, escopo: 'municipal' | 'estadual', ano?, IN046?, IN055? } | null}
+ */
+export function getSanitationFor({ geocode, uf }, dataset, year) {
+    const municipal = geocode ? getMunicipalSanitation(dataset, geocode, year) : null;
+    if (municipal && municipal.IN015 !== null) {
+        return {
+            coletaEsgoto: municipal.IN015,
+            tratamentoEsgoto: municipal.IN016,
+            escopo: 'municipal',
+            ano: municipal.year,
+            IN046: municipal.IN046,
+            IN055: municipal.IN055,
+        };
+    }
+    const state = uf ? getSanitationData()[uf] : null;
+    return state ? { coletaEsgoto: state.coletaEsgoto, tratamentoEsgoto: state.tratamentoEsgoto, escopo: 'estadual' } : null;
+}
+
+// ===== IBGE — Municipal Population Dataset =====
+// Static, versioned file in public/data built by scripts/ingest-population.js
+// from the IBGE population estimates (SIDRA): residents per geocode and year.
+// { schema, source, years: [...], municipios: { geocode: { year: population } } }
+export const POPULATION_DATASET_URL = '/data/populacao-municipios.v1.json';
+export const POPULATION_SCHEMA = 1;
+
+export function fetchPopulation() {
+    return fetchStaticDataset(POPULATION_DATASET_URL, POPULATION_SCHEMA, 'população');
+}
+
+/**
+ * Population of one municipality in a year: that year's estimate, the latest
+ * one before it, or the earliest one for years before the series starts.
+ * @returns {number | null}
+ */
+export function getMunicipalPopulation(dataset, geocode, year = Infinity) {
+    const byYear = dataset?.municipios?.[geocode];
+    if (!byYear) return null;
+    const years = Object.keys(byYear).map(Number).sort((a, b) => a - b);
+    if (years.length === 0) return null;
+    const before = years.filter(y => y <= year);
+    return byYear[before.length > 0 ? before[before.length - 1] : years[0]];
+}
+
 // ===== UF code to abbreviation mapping =====
+const UF_ABBREVIATIONS = {
+    11: 'RO', 12: 'AC', 13: 'AM', 14: 'RR', 15: 'PA', 16: 'AP', 17: 'TO',
+    21: 'MA', 22: 'PI', 23: 'CE', 24: 'RN', 25: 'PB', 26: 'PE', 27: 'AL', 28: 'SE', 29: 'BA',
+    31: 'MG', 32: 'ES', 33: 'RJ', 35: 'SP',
+    41: 'PR', 42: 'SC', 43: 'RS',
+    50: 'MS', 51: 'MT', 52: 'GO', 53: 'DF'
+};
+
 export function getUFAbbreviation(ufId) {
-    const map = {
-        11: 'RO', 12: 'AC', 13: 'AM', 14: 'RR', 15: 'PA', 16: 'AP', 17: 'TO',
-        21: 'MA', 22: 'PI', 23: 'CE', 24: 'RN', 25: 'PB', 26: 'PE', 27: 'AL', 28: 'SE', 29: 'BA',
-        31: 'MG', 32: 'ES', 33: 'RJ', 35: 'SP',
-        41: 'PR', 42: 'SC', 43: 'RS',
-        50: 'MS', 51: 'MT', 52: 'GO', 53: 'DF'
-    };
-    return map[ufId] || '';
+    return UF_ABBREVIATIONS[ufId] || '';
 }
 
 // ===== Region mapping =====
+const REGIONS = {
+    norte: ['AC', 'AM', 'AP', 'PA', 'RO', 'RR', 'TO'],
+    nordeste: ['AL', 'BA', 'CE', 'MA', 'PB', 'PE', 'PI', 'RN', 'SE'],
+    sudeste: ['ES', 'MG', 'RJ', 'SP'],
+    sul: ['PR', 'RS', 'SC'],
+    'centro-oeste': ['DF', 'GO', 'MS', 'MT']
+};
+
+export const REGION_NAMES = {
+    norte: 'Norte',
+    nordeste: 'Nordeste',
+    sudeste: 'Sudeste',
+    sul: 'Sul',
+    'centro-oeste': 'Centro-Oeste',
+};
+
 export function getRegionForUF(ufAbbr) {
-    const regions = {
-        norte: ['AC', 'AM', 'AP', 'PA', 'RO', 'RR', 'TO'],
-        nordeste: ['AL', 'BA', 'CE', 'MA', 'PB', 'PE', 'PI', 'RN', 'SE'],
-        sudeste: ['ES', 'MG', 'RJ', 'SP'],
-        sul: ['PR', 'RS', 'SC'],
-        'centro-oeste': ['DF', 'GO', 'MS', 'MT']
-    };
-    for (const [region, ufs] of Object.entries(regions)) {
+    for (const [region, ufs] of Object.entries(REGIONS)) {
         if (ufs.includes(ufAbbr)) return region;
     }
     return 'all';
 }
 
+// IBGE UF ids of a region ('all' = every UF)
+export function getUFIdsForRegion(region) {
+    return Object.entries(UF_ABBREVIATIONS)
+        .filter(([, abbr]) => region === 'all' || REGIONS[region]?.includes(abbr))
+        .map(([id]) => Number(id));
+}
+
 // ===== Alert Level helpers =====
 export function getAlertLevel(nivel) {
     const levels = {
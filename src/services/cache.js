@@ -0,0 +1,120 @@
+/**
+ * VigiSaúde Brasil — Persistent Cache
+ * IndexedDB-backed cache with per-source TTLs and stale-while-revalidate.
+ * Falls back to memory only when IndexedDB is unavailable (e.g. private mode).
+ */
+
+const DB_NAME = 'vsb-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+// Freshness per data source. Stale entries are still served immediately
+// while a background request refreshes them.
+export const TTL = {
+    ibge: 30 * DAY,        // Estados / municípios (raramente mudam)
+    mesh: 90 * DAY,        // Malhas GeoJSON
+    infodengue: 6 * HOUR,  // Alertas semanais
+};
+
+const memory = new Map();    // key → { data, fetchedAt, expiresAt }
+const pending = new Map();   // key → Promise (in-flight fetches)
+const listeners = new Set();
+
+// ===== IndexedDB helpers =====
+let dbPromise = null;
+
+function openDB() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve) => {
+            try {
+                const req = indexedDB.open(DB_NAME, DB_VERSION);
+                req.onupgradeneeded = () => req.result.createObjectStore(STORE_NAME);
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => resolve(null);
+            } catch {
+                resolve(null);
+            }
+        });
+    }
+    return dbPromise;
+}
+
+async function idbRequest(mode, operation) {
+    const db = await openDB();
+    if (!db) return undefined;
+    return new Promise((resolve) => {
+        try {
+            const req = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => resolve(undefined);
+        } catch {
+            resolve(undefined);
+        }
+    });
+}
+
+// ===== Entries =====
+export async function readEntry(key) {
+    if (memory.has(key)) return memory.get(key);
+    const entry = await idbRequest('readonly', store => store.get(key));
+    if (entry) memory.set(key, entry);
+    return entry || null;
+}
+
+export function writeEntry(key, data, ttl = TTL.infodengue) {
+    const fetchedAt = Date.now();
+    const entry = { data, fetchedAt, expiresAt: fetchedAt + ttl };
+    memory.set(key, entry);
+    idbRequest('readwrite', store => store.put(entry, key));
+    return entry;
+}
+
+export function isFresh(entry) {
+    return !!entry && Date.now() < entry.expiresAt;
+}
+
+// Timestamp (ms) of when the data under `key` was fetched, or null
+export function getFetchedAt(key) {
+    return memory.get(key)?.fetchedAt ?? null;
+}
+
+// Subscribe to background revalidations: callback(key, data)
+export function onRevalidated(callback) {
+    listeners.add(callback);
+    return () => listeners.delete(callback);
+}
+
+function revalidate(key, fetcher, ttl, background) {
+    if (pending.has(key)) return pending.get(key);
+    const request = fetcher()
+        .then(data => {
+            writeEntry(key, data, ttl);
+            if (background) listeners.forEach(cb => cb(key, data));
+            return data;
+        })
+        .finally(() => pending.delete(key));
+    pending.set(key, request);
+    return request;
+}
+
+/**
+ * Return cached data for `key`, fetching it when absent.
+ * Fresh entries are returned as is; stale entries are returned immediately
+ * and refreshed in the background (listeners are notified on success).
+ * With `force`, the cache is skipped and the caller waits for the network.
+ */
+export async function cachedFetch(key, fetcher, ttl = TTL.infodengue, { force = false } = {}) {
+    if (force) return revalidate(key, fetcher, ttl, false);
+    const entry = await readEntry(key);
+    if (isFresh(entry)) return entry.data;
+    if (entry) {
+        revalidate(key, fetcher, ttl, true).catch(err => {
+            console.warn(`Falha ao revalidar cache (${key}):`, err.message);
+        });
+        return entry.data;
+    }
+    return revalidate(key, fetcher, ttl, false);
+}
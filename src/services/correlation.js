@@ -0,0 +1,103 @@
+/**
+ * VigiSaúde Brasil — Sanitation × incidence analysis (view Info)
+ * Builds one observation per capital (sewage coverage, incidence and the
+ * confounders already at hand: the state's IDH and the recent weeks'
+ * temperature and humidity), then runs the correlation tests and an OLS
+ * regression of incidence on coverage, optionally adjusted for confounders.
+ */
+import { getSanitationFor, getSanitationData } from './api.js';
+import { mean, correlationTest, ols, outlierIndices } from './stats.js';
+
+export const CORRELATION_X_METRICS = {
+    coletaEsgoto: 'Coleta de esgoto (%)',
+    tratamentoEsgoto: 'Tratamento de esgoto (%)',
+};
+
+export const CONFOUNDERS = {
+    idh: 'IDH da UF',
+    tempmed: 'Temperatura média (°C)',
+    umidmed: 'Umidade média (%)',
+};
+
+const LINE_STEPS = 40;
+
+// Mean of a climate field over the weeks that have it (InfoDengue sends 0 when missing)
+function climateMean(rows, field) {
+    const values = (rows || []).map(r => r[field]).filter(v => v > 0);
+    return values.length > 0 ? mean(values) : null;
+}
+
+/**
+ * @param {Array} capitalData – national overview ({ name, uf, geocode, data, latest })
+ * @param {Object} [sanitation] – municipal dataset (fetchMunicipalSanitation)
+ */
+export function capitalObservations(capitalData, sanitation = null) {
+    const states = getSanitationData();
+    return (capitalData || [])
+        .filter(c => c.latest)
+        .map(c => {
+            const san = getSanitationFor(c, sanitation, Math.floor(c.latest.SE / 100));
+            if (!san) return null;
+            return {
+                name: c.name,
+                uf: c.uf,
+                geocode: c.geocode,
+                SE: c.latest.SE,
+                coletaEsgoto: san.coletaEsgoto,
+                tratamentoEsgoto: san.tratamentoEsgoto,
+                escopo: san.escopo,
+                p_inc100k: c.latest.p_inc100k || 0,
+                idh: states[c.uf]?.idh ?? null,
+                tempmed: climateMean(c.data, 'tempmed'),
+                umidmed: climateMean(c.data, 'umidmed'),
+            };
+        })
+        .filter(Boolean);
+}
+
+export function incidenceScale(value, logScale) {
+    return logScale ? Math.log10(1 + value) : value;
+}
+
+/**
+ * @param {Array} observations – from capitalObservations
+ * @param {Object} opts
+ * @param {string} opts.xMetric – key of CORRELATION_X_METRICS
+ * @param {boolean} [opts.logScale] – model log10(1 + incidence)
+ * @param {string[]} [opts.controls] – keys of CONFOUNDERS
+ * @returns {{
+ *   points: Array<{ obs, x, y, outlier }>, excluded, pearson, spearman,
+ *   model, slope, line: Array<{ x, fit, lower, upper }>
+ * }} – model/slope/line null when the regression can't be fitted
+ */
+export function analyzeSanitation(observations, { xMetric, logScale = false, controls = [] }) {
+    // Confounder adjustment needs every control; others are left out and counted
+    const usable = observations.filter(o => o[xMetric] !== null && controls.every(k => o[k] !== null));
+    const x = usable.map(o => o[xMetric]);
+    const y = usable.map(o => incidenceScale(o.p_inc100k, logScale));
+
+    const model = ols(usable.map((o, i) => [x[i], ...controls.map(k => o[k])]), y);
+    const outliers = new Set(outlierIndices(model));
+
+    let line = null;
+    if (model) {
+        // Fitted mean across the observed coverage range, controls at their means
+        const controlMeans = controls.map(k => mean(usable.map(o => o[k])));
+        const min = Math.min(...x);
+        const max = Math.max(...x);
+        line = Array.from({ length: LINE_STEPS + 1 }, (_, i) => {
+            const xi = min + (max - min) * i / LINE_STEPS;
+            return { x: xi, ...model.predict([xi, ...controlMeans]) };
+        });
+    }
+
+    return {
+        points: usable.map((obs, i) => ({ obs, x: x[i], y: y[i], outlier: outliers.has(i) })),
+        excluded: observations.length - usable.length,
+        pearson: correlationTest(x, y, 'pearson'),
+        spearman: correlationTest(x, y, 'spearman'),
+        model,
+        slope: model ? model.coefficients[1] : null,
+        line,
+    };
+}
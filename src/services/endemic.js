@@ -0,0 +1,76 @@
+/**
+ * VigiSaúde Brasil — Endemic Channel (diagrama de controle)
+ * Expected weekly cases per epidemiological week, built from previous
+ * seasons and independent of InfoDengue's `nivel`:
+ * - 'quartis':   Q1 / median / Q3 of the same SE across seasons
+ * - 'media2dp':  mean ± 2 standard deviations
+ * Weeks above the upper band are flagged as possible outbreaks.
+ *
+ * Seasons are calendar epidemiological years; SE 53 uses SE 52 of years
+ * that have no week 53.
+ */
+import { quantile } from './stats.js';
+
+export const ENDEMIC_METHODS = ['quartis', 'media2dp'];
+export const ENDEMIC_SEASON_OPTIONS = [5, 7, 10];
+const MIN_SEASONS = 3;
+
+function band(values, method) {
+    if (method === 'media2dp') {
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / Math.max(1, values.length - 1));
+        return { lower: Math.max(0, mean - 2 * sd), center: mean, upper: mean + 2 * sd };
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    return { lower: quantile(sorted, 0.25), center: quantile(sorted, 0.5), upper: quantile(sorted, 0.75) };
+}
+
+/**
+ * @param {Array} rows – weekly series covering the reference seasons (SE, casos)
+ * @param {Object} options
+ * @param {number} options.firstYear – first epidemiological year NOT used (the monitored period starts here)
+ * @param {number} options.seasons – how many years before firstYear to use
+ * @param {string} options.method – 'quartis' | 'media2dp'
+ * @returns {null|{ method, years: number[], weeks: Map<number, { lower, center, upper }> }}
+ */
+export function computeEndemicChannel(rows, { firstYear, seasons = 5, method = 'quartis' }) {
+    const byYear = new Map();
+    rows.forEach(r => {
+        const year = Math.floor(r.SE / 100);
+        if (year >= firstYear || year < firstYear - seasons) return;
+        if (!byYear.has(year)) byYear.set(year, new Map());
+        byYear.get(year).set(r.SE % 100, r.casos || 0);
+    });
+
+    const years = [...byYear.keys()].sort((a, b) => a - b);
+    if (years.length < MIN_SEASONS) return null;
+
+    const weeks = new Map();
+    for (let week = 1; week <= 53; week++) {
+        const values = years
+            .map(y => byYear.get(y).get(week) ?? (week === 53 ? byYear.get(y).get(52) : undefined))
+            .filter(v => v !== undefined);
+        if (values.length >= MIN_SEASONS) weeks.set(week, band(values, method));
+    }
+    return { method, years, weeks };
+}
+
+// Band for a given SE code, or null when the channel has no such week
+export function channelForSE(channel, se) {
+    return channel?.weeks.get(se % 100) ?? null;
+}
+
+/**
+ * SE codes whose cases are above the channel's upper band. Recent weeks use
+ * the nowcast (`casos_est`) so reporting delay doesn't hide an outbreak.
+ */
+export function weeksAboveChannel(rows, channel) {
+    if (!channel) return [];
+    return rows
+        .filter(r => {
+            const b = channelForSE(channel, r.SE);
+            return b && (r.casos_est ?? r.casos ?? 0) > b.upper;
+        })
+        .map(r => r.SE)
+        .sort((a, b) => a - b);
+}
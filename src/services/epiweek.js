@@ -0,0 +1,92 @@
+/**
+ * VigiSaúde Brasil — Epidemiological Week Calendar
+ * Semanas epidemiológicas (SE) as used by SINAN / MMWR: weeks run Sunday to
+ * Saturday and SE 1 is the first such week with at least four days in January.
+ * Some years therefore have 53 weeks.
+ * Converts between dates, { year, week } pairs, SE codes (YYYYWW) and months.
+ * Pure functions only — shared by the browser and the server (server/prefetch.js).
+ */
+
+const DAY_MS = 86400000;
+
+// Dates are handled at local midnight; rounding absorbs DST shifts
+function daysBetween(a, b) {
+    return Math.round((b - a) / DAY_MS);
+}
+
+// Sunday that starts SE 1 of `year`
+export function epiYearStart(year) {
+    const jan4 = new Date(year, 0, 4);
+    return new Date(year, 0, 4 - jan4.getDay());
+}
+
+export function epiWeeksInYear(year) {
+    return daysBetween(epiYearStart(year), epiYearStart(year + 1)) / 7;
+}
+
+// Sunday that starts the given SE
+export function epiWeekStart(year, week) {
+    const start = epiYearStart(year);
+    return new Date(start.getFullYear(), start.getMonth(), start.getDate() + (week - 1) * 7);
+}
+
+// { year, week } for a date — early January may belong to the previous epi year
+export function dateToEpiWeek(date = new Date()) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    let year = day.getFullYear() + 1;
+    while (day < epiYearStart(year)) year--;
+    return { year, week: Math.floor(daysBetween(epiYearStart(year), day) / 7) + 1 };
+}
+
+// Shift an SE by n weeks (negative goes back), crossing year boundaries
+export function addEpiWeeks({ year, week }, n) {
+    const start = epiWeekStart(year, week);
+    return dateToEpiWeek(new Date(start.getFullYear(), start.getMonth(), start.getDate() + n * 7));
+}
+
+// Saturday that ends the given SE
+export function epiWeekEnd(year, week) {
+    const start = epiWeekStart(year, week);
+    return new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6);
+}
+
+// ===== SE codes (YYYYWW, as in InfoDengue's `SE` field) =====
+export function toSECode({ year, week }) {
+    return year * 100 + week;
+}
+
+export function fromSECode(se) {
+    return { year: Math.floor(se / 100), week: se % 100 };
+}
+
+export function dateToSECode(date = new Date()) {
+    return toSECode(dateToEpiWeek(date));
+}
+
+export function seCodeToDate(se) {
+    const { year, week } = fromSECode(se);
+    return epiWeekStart(year, week);
+}
+
+// ===== Months =====
+// A week belongs to the month holding most of its days, i.e. its Wednesday.
+// SE 1 may start in December and SE 52/53 may end in January.
+export function epiWeekToMonth(year, week) {
+    const start = epiWeekStart(year, week);
+    const wednesday = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 3);
+    return { year: wednesday.getFullYear(), month: wednesday.getMonth() };
+}
+
+export function seCodeToMonth(se) {
+    const { year, week } = fromSECode(se);
+    return epiWeekToMonth(year, week);
+}
+
+// ===== Periods =====
+// The last `count` weeks up to the SE containing `date`, in the
+// { ewStart, ewEnd, eyStart, eyEnd } shape used by InfoDengue queries
+export function recentEpiWeeks(count, date = new Date()) {
+    const end = dateToEpiWeek(date);
+    const start = addEpiWeeks(end, -(count - 1));
+    return { ewStart: start.week, ewEnd: end.week, eyStart: start.year, eyEnd: end.year };
+}
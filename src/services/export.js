@@ -0,0 +1,294 @@
+/**
+ * VigiSaúde Brasil — Data Export
+ * Writes tables (arrays of flat row objects) as CSV, XLSX or JSON and
+ * triggers the download. XLSX is a minimal single-sheet workbook zipped
+ * with fflate — no spreadsheet library needed.
+ *
+ * Charts export as PNG, SVG or PDF with title, legend and source drawn in.
+ * jsPDF is loaded on demand; the build precaches its chunk for offline use.
+ *
+ * Animations (map playback) export as GIF, encoded with gifenc (also loaded
+ * on demand), or WebM, recorded from a canvas with MediaRecorder.
+ */
+import { zipSync, strToU8 } from 'fflate';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+export const IMAGE_FORMATS = ['png', 'svg', 'pdf'];
+export const ANIMATION_FORMATS = ['gif', 'webm'];
+
+// Union of keys in first-seen order, so sparse rows still line up
+function columnsOf(rows) {
+    const columns = [];
+    rows.forEach(row => Object.keys(row).forEach(k => { if (!columns.includes(k)) columns.push(k); }));
+    return columns;
+}
+
+// ===== CSV =====
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV(rows) {
+    const columns = columnsOf(rows);
+    const lines = [columns.map(csvCell).join(',')];
+    rows.forEach(row => lines.push(columns.map(c => csvCell(row[c])).join(',')));
+    // BOM so Excel opens accented names as UTF-8
+    return '\uFEFF' + lines.join('\r\n');
+}
+
+// ===== XLSX =====
+function xmlEscape(text) {
+    return String(text).replace(/[<>&"']/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[ch]))
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function columnLetter(index) {
+    let letter = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+    }
+    return letter;
+}
+
+function xlsxCell(value, ref) {
+    if (value === null || value === undefined || value === '') return '';
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+    if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+}
+
+export function toXLSX(rows, sheetName = 'Dados') {
+    const columns = columnsOf(rows);
+    const sheetRows = [columns, ...rows.map(row => columns.map(c => row[c]))].map((values, r) =>
+        `<row r="${r + 1}">${values.map((v, c) => xlsxCell(v, `${columnLetter(c)}${r + 1}`)).join('')}</row>`
+    );
+
+    const files = {
+        '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`,
+        '_rels/.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+        'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${xmlEscape(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+        'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+        'xl/worksheets/sheet1.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows.join('')}</sheetData></worksheet>`,
+    };
+
+    return zipSync(Object.fromEntries(Object.entries(files).map(([name, xml]) => [name, strToU8(xml)])));
+}
+
+// ===== JSON =====
+export function toJSON(rows) {
+    return JSON.stringify(rows, null, 2);
+}
+
+// ===== Download =====
+const MIME_TYPES = {
+    csv: 'text/csv;charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    json: 'application/json',
+    png: 'image/png',
+    svg: 'image/svg+xml',
+    pdf: 'application/pdf',
+    gif: 'image/gif',
+    webm: 'video/webm',
+};
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// filename without extension; e.g. "curva-epidemica-dengue-202601-202642"
+export function exportRows(rows, format, filename) {
+    if (!EXPORT_FORMATS.includes(format)) throw new Error(`Formato de exportação desconhecido: ${format}`);
+    const content = format === 'csv' ? toCSV(rows) : format === 'xlsx' ? toXLSX(rows) : toJSON(rows);
+    downloadBlob(new Blob([content], { type: MIME_TYPES[format] }), `${filename}.${format}`);
+}
+
+// ===== Chart images =====
+const FIGURE_FONT = '"Ubuntu Mono", monospace';
+
+export function exportFooter(source) {
+    const stamp = new Date().toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+    return `Fonte: ${source} · VigiSaúde Brasil · ${stamp}`;
+}
+
+// Chart.js draws at devicePixelRatio; text sizes follow the same scale
+function figureLayout(canvas) {
+    const scale = canvas.width / (canvas.clientWidth || canvas.width);
+    const pad = Math.round(16 * scale);
+    const header = Math.round(52 * scale);
+    const footer = Math.round(28 * scale);
+    return {
+        scale, pad, header, footer,
+        width: canvas.width + 2 * pad,
+        height: header + canvas.height + footer,
+    };
+}
+
+/**
+ * Chart canvas framed with a title, subtitle and source line on white.
+ * The chart's own legend is part of the canvas.
+ * @returns {HTMLCanvasElement}
+ */
+export function composeChartImage(canvas, { title, subtitle = '', source }) {
+    const { scale, pad, header, width, height } = figureLayout(canvas);
+    const out = document.createElement('canvas');
+    out.width = width;
+    out.height = height;
+    const ctx = out.getContext('2d');
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.textBaseline = 'alphabetic';
+
+    ctx.fillStyle = '#1e293b';
+    ctx.font = `700 ${15 * scale}px ${FIGURE_FONT}`;
+    ctx.fillText(title, pad, pad + 12 * scale, width - 2 * pad);
+    ctx.fillStyle = '#64748b';
+    ctx.font = `${11 * scale}px ${FIGURE_FONT}`;
+    ctx.fillText(subtitle, pad, pad + 30 * scale, width - 2 * pad);
+
+    ctx.drawImage(canvas, pad, header);
+
+    ctx.fillStyle = '#94a3b8';
+    ctx.font = `${10 * scale}px ${FIGURE_FONT}`;
+    ctx.fillText(exportFooter(source), pad, height - 10 * scale, width - 2 * pad);
+    return out;
+}
+
+// Text stays vector; Chart.js only renders to canvas, so the plot is an embedded PNG
+function toSVG(canvas, { title, subtitle = '', source }) {
+    const { scale, pad, header, width, height } = figureLayout(canvas);
+    const text = (y, size, color, content, weight = 400) =>
+        `<text x="${pad}" y="${y}" font-family='${FIGURE_FONT}' font-size="${size}" font-weight="${weight}" fill="${color}">${xmlEscape(content)}</text>`;
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<rect width="100%" height="100%" fill="#ffffff"/>
+${text(pad + 12 * scale, 15 * scale, '#1e293b', title, 700)}
+${text(pad + 30 * scale, 11 * scale, '#64748b', subtitle)}
+<image x="${pad}" y="${header}" width="${canvas.width}" height="${canvas.height}" href="${canvas.toDataURL('image/png')}"/>
+${text(height - 10 * scale, 10 * scale, '#94a3b8', exportFooter(source))}
+</svg>`;
+}
+
+export async function loadJsPDF() {
+    const { jsPDF } = await import('jspdf');
+    return jsPDF;
+}
+
+// Image fitted inside a box, keeping its aspect ratio; returns the height used
+export function addImageFitted(doc, image, x, y, maxWidth, maxHeight) {
+    const ratio = Math.min(maxWidth / image.width, maxHeight / image.height);
+    const w = image.width * ratio;
+    const h = image.height * ratio;
+    doc.addImage(image.toDataURL('image/png'), 'PNG', x + (maxWidth - w) / 2, y, w, h);
+    return h;
+}
+
+async function toPDF(canvas, meta) {
+    const jsPDF = await loadJsPDF();
+    const doc = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+    const margin = 12;
+    const page = { width: doc.internal.pageSize.getWidth(), height: doc.internal.pageSize.getHeight() };
+    addImageFitted(doc, composeChartImage(canvas, meta), margin, margin, page.width - 2 * margin, page.height - 2 * margin);
+    return doc.output('blob');
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas – rendered Chart.js canvas
+ * @param {string} format – 'png' | 'svg' | 'pdf'
+ * @param {string} filename – without extension
+ * @param {{ title: string, subtitle?: string, source: string }} meta
+ */
+export async function exportChartImage(canvas, format, filename, meta) {
+    if (!IMAGE_FORMATS.includes(format)) throw new Error(`Formato de exportação desconhecido: ${format}`);
+    let blob;
+    if (format === 'png') {
+        blob = await new Promise(resolve => composeChartImage(canvas, meta).toBlob(resolve, 'image/png'));
+    } else if (format === 'svg') {
+        blob = new Blob([toSVG(canvas, meta)], { type: MIME_TYPES.svg });
+    } else {
+        blob = await toPDF(canvas, meta);
+    }
+    downloadBlob(blob, `${filename}.${format}`);
+}
+
+// ===== Animations =====
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+async function toGIF(frameCount, drawFrame, fps, onProgress) {
+    const { GIFEncoder, quantize, applyPalette } = await import('gifenc');
+    const gif = GIFEncoder();
+    const delay = Math.round(1000 / fps);
+    for (let i = 0; i < frameCount; i++) {
+        const canvas = await drawFrame(i);
+        const { data, width, height } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+        const palette = quantize(data, 256);
+        gif.writeFrame(applyPalette(data, palette), width, height, { palette, delay });
+        onProgress(i + 1, frameCount);
+        await nextTick();   // keep the page responsive between frames
+    }
+    gif.finish();
+    return new Blob([gif.bytes()], { type: MIME_TYPES.gif });
+}
+
+// Real-time recording: each frame stays on the canvas for 1/fps seconds
+async function toWebM(frameCount, drawFrame, fps, onProgress) {
+    const mimeType = typeof MediaRecorder !== 'undefined' && WEBM_TYPES.find(t => MediaRecorder.isTypeSupported(t));
+    if (!mimeType) throw new Error('Este navegador não grava vídeo WebM');
+
+    const first = await drawFrame(0);
+    const canvas = document.createElement('canvas');
+    canvas.width = first.width;
+    canvas.height = first.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(first, 0, 0);
+
+    const stream = canvas.captureStream(fps);
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 4000000 });
+    const chunks = [];
+    recorder.ondataavailable = e => { if (e.data.size > 0) chunks.push(e.data); };
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+    recorder.start();
+    for (let i = 0; i < frameCount; i++) {
+        if (i > 0) ctx.drawImage(await drawFrame(i), 0, 0);
+        onProgress(i + 1, frameCount);
+        await new Promise(resolve => setTimeout(resolve, 1000 / fps));
+    }
+    recorder.stop();
+    await stopped;
+    stream.getTracks().forEach(track => track.stop());
+    return new Blob(chunks, { type: MIME_TYPES.webm });
+}
+
+/**
+ * @param {number} frameCount
+ * @param {Function} drawFrame – async (index) => canvas; every frame the same size
+ * @param {string} format – 'gif' | 'webm'
+ * @param {string} filename – without extension
+ * @param {{ fps?: number, onProgress?: Function }} [options] – onProgress(done, total)
+ */
+export async function exportAnimation(frameCount, drawFrame, format, filename, { fps = 2, onProgress = () => {} } = {}) {
+    if (!ANIMATION_FORMATS.includes(format)) throw new Error(`Formato de exportação desconhecido: ${format}`);
+    if (frameCount === 0) throw new Error('Nenhum quadro para exportar');
+    const blob = format === 'gif'
+        ? await toGIF(frameCount, drawFrame, fps, onProgress)
+        : await toWebM(frameCount, drawFrame, fps, onProgress);
+    downloadBlob(blob, `${filename}.${format}`);
+}
@@ -0,0 +1,160 @@
+/**
+ * VigiSaúde Brasil — Short-term Forecasting
+ * Projects weekly cases 1–8 SE ahead from the InfoDengue series.
+ *
+ * Model (deliberately simple, so it can be explained on a bulletin):
+ * 1. Level: the last week's nowcast (`casos_est`), which already corrects
+ *    for reporting delay.
+ * 2. Growth: weekly log-growth g = ln(Rt) / G, with Rt the mean of the last
+ *    3 weeks and G = 3 weeks the approximate arbovirus generation interval
+ *    (renewal equation with a constant Rt). Without Rt, the log-slope of the
+ *    3-week moving average over the last 2 weeks is used instead.
+ * 3. Damping: growth fades by PHI per week ahead (Rt drifts back to 1), so
+ *    C(t+h) = C(t) · exp(g · (φ + φ² + … + φʰ)).
+ * 4. Uncertainty: empirical quantiles of the log errors the same model made
+ *    at each horizon when replayed over the history (backtest below).
+ *
+ * Backtesting replays the model from every past week (using only rows up
+ * to that week) and compares with the cases later notified. Coverage of
+ * the 80% band is measured with bands built from earlier origins only.
+ * Historical `casos_est` of old weeks equals the consolidated count, so the
+ * backtest is slightly optimistic about the nowcast level.
+ */
+import { fromSECode, toSECode, addEpiWeeks } from './epiweek.js';
+import { incompleteWeeks } from './nowcast.js';
+import { quantile } from './stats.js';
+
+export const FORECAST_HORIZONS = [4, 6, 8];
+const GENERATION_WEEKS = 3;
+const PHI = 0.85;
+const MAX_WEEKLY_LOG_GROWTH = 0.7;
+const BAND_QUANTILES = [0.1, 0.9];          // 80% band
+const MIN_ERRORS_FOR_BANDS = 20;
+const FALLBACK_LOG_SD = 0.35;               // per √week, when the history is too short
+const MIN_HISTORY_WEEKS = 8;
+
+// ===== Model =====
+function level(row) {
+    return Math.max(0, row.casos_est ?? row.casos ?? 0);
+}
+
+function weeklyLogGrowth(rows) {
+    const recentRt = rows.slice(-3).map(r => r.Rt).filter(rt => rt > 0);
+    if (recentRt.length > 0) {
+        const rt = recentRt.reduce((a, b) => a + b, 0) / recentRt.length;
+        return { growth: Math.log(rt) / GENERATION_WEEKS, method: 'rt' };
+    }
+    // 3-week moving average, slope over its last 2 weeks
+    const avg = i => rows.slice(Math.max(0, i - 2), i + 1).reduce((sum, r) => sum + level(r), 0) / Math.min(3, i + 1);
+    const n = rows.length;
+    const growth = n >= 3 ? (Math.log(avg(n - 1) + 1) - Math.log(avg(n - 3) + 1)) / 2 : 0;
+    return { growth, method: 'tendencia' };
+}
+
+// Central projection for horizons 1..H from the last row of `rows`
+function project(rows, horizon) {
+    const base = level(rows[rows.length - 1]);
+    const { growth, method } = weeklyLogGrowth(rows);
+    const g = Math.max(-MAX_WEEKLY_LOG_GROWTH, Math.min(MAX_WEEKLY_LOG_GROWTH, growth));
+    const values = [];
+    let damping = 0;
+    for (let h = 1; h <= horizon; h++) {
+        damping += PHI ** h;
+        values.push(base * Math.exp(g * damping));
+    }
+    return { values, growth: g, method };
+}
+
+// Log-error quantiles → multiplicative band around a prediction
+function bandFor(errors, h) {
+    if (errors.length >= MIN_ERRORS_FOR_BANDS) {
+        const sorted = [...errors].sort((a, b) => a - b);
+        return BAND_QUANTILES.map(q => quantile(sorted, q));
+    }
+    const spread = 1.2816 * FALLBACK_LOG_SD * Math.sqrt(h);   // z(0.9)
+    return [-spread, spread];
+}
+
+function applyBand(pred, [lowErr, highErr]) {
+    return {
+        lower: Math.max(0, (pred + 1) * Math.exp(lowErr) - 1),
+        upper: Math.max(0, (pred + 1) * Math.exp(highErr) - 1),
+    };
+}
+
+// ===== Backtest =====
+/**
+ * Replay the model over the consolidated part of the series.
+ * @returns {{ errors: Object<number, number[]>, metrics: Object<number, Object> }}
+ *   errors: horizon → log errors in origin order
+ *   metrics: horizon → { n, mae, wape, coverage, skill } (skill vs. repeating the last week)
+ */
+export function backtest(rows, horizon = 8) {
+    const incomplete = new Set(incompleteWeeks(rows));
+    const consolidated = rows.filter(r => !incomplete.has(r.SE));
+    const errors = {};
+    const metrics = {};
+
+    for (let h = 1; h <= horizon; h++) {
+        const logErrors = [];
+        let absError = 0;
+        let naiveAbsError = 0;
+        let observedSum = 0;
+        let covered = 0;
+        let coverageN = 0;
+
+        for (let t = MIN_HISTORY_WEEKS - 1; t + h < consolidated.length; t++) {
+            const history = consolidated.slice(0, t + 1);
+            const pred = project(history, h).values[h - 1];
+            const observed = consolidated[t + h].casos || 0;
+
+            // Band from errors of earlier origins only
+            if (logErrors.length >= MIN_ERRORS_FOR_BANDS) {
+                const { lower, upper } = applyBand(pred, bandFor(logErrors, h));
+                if (observed >= lower && observed <= upper) covered++;
+                coverageN++;
+            }
+
+            logErrors.push(Math.log(observed + 1) - Math.log(pred + 1));
+            absError += Math.abs(observed - pred);
+            naiveAbsError += Math.abs(observed - level(history[history.length - 1]));
+            observedSum += observed;
+        }
+
+        const n = logErrors.length;
+        errors[h] = logErrors;
+        metrics[h] = {
+            n,
+            mae: n > 0 ? absError / n : null,
+            wape: observedSum > 0 ? absError / observedSum : null,
+            coverage: coverageN > 0 ? covered / coverageN : null,
+            skill: naiveAbsError > 0 ? 1 - absError / naiveAbsError : null,
+        };
+    }
+    return { errors, metrics };
+}
+
+// ===== Forecast =====
+/**
+ * @param {Array} rows – weekly series (SE, casos, casos_est, Rt), any order
+ * @param {number} horizon – weeks ahead (1–8)
+ * @returns {null|{ points: Array<{ SE, casos, lower, upper }>, growth, method, metrics }}
+ */
+export function forecastSeries(rows, horizon = 8) {
+    const sorted = [...rows].sort((a, b) => a.SE - b.SE);
+    if (sorted.length < MIN_HISTORY_WEEKS) return null;
+
+    const { errors, metrics } = backtest(sorted, horizon);
+    const { values, growth, method } = project(sorted, horizon);
+    const last = fromSECode(sorted[sorted.length - 1].SE);
+
+    const points = values.map((pred, i) => {
+        const h = i + 1;
+        return {
+            SE: toSECode(addEpiWeeks(last, h)),
+            casos: pred,
+            ...applyBand(pred, bandFor(errors[h] || [], h)),
+        };
+    });
+    return { points, growth, method, metrics };
+}
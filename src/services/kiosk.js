@@ -0,0 +1,46 @@
+/**
+ * VigiSaúde Brasil — Kiosk playlist
+ * What the "sala de situação" mode cycles through, per disease: the national
+ * map, each region, then the tracker profile of the top hotspot capitals.
+ * Rebuilt at the start of every cycle so hotspots follow the latest data.
+ */
+import { REGION_NAMES, getDiseaseInfo } from './api.js';
+import { rankHotspots } from './refresh.js';
+
+export const KIOSK_DWELL_SECONDS = [15, 30, 60, 120];
+export const KIOSK_DEFAULT_DWELL = 30;
+export const KIOSK_DISEASES = ['dengue', 'chikungunya', 'zika'];
+const KIOSK_HOTSPOTS = 3;
+
+/**
+ * @param {Object} nationalData – { disease: [capitalData] }
+ * @returns {Array<{ view: 'map', disease, region, label } | { view: 'tracker', disease, location, label }>}
+ */
+export function buildKioskPlaylist(nationalData) {
+    const steps = [];
+    KIOSK_DISEASES.forEach(disease => {
+        const name = getDiseaseInfo(disease).name;
+        steps.push({ view: 'map', disease, region: 'all', label: `${name} — Brasil` });
+        Object.entries(REGION_NAMES).forEach(([region, regionName]) => {
+            steps.push({ view: 'map', disease, region, label: `${name} — Região ${regionName}` });
+        });
+        rankHotspots(nationalData[disease], KIOSK_HOTSPOTS).forEach((cap, idx) => {
+            steps.push({
+                view: 'tracker',
+                disease,
+                location: { type: 'municipio', id: cap.geocode, name: `${cap.name}, ${cap.uf}` },
+                label: `${name} — ${idx + 1}ª maior incidência: ${cap.name}`,
+            });
+        });
+    });
+    return steps;
+}
+
+// Capitals per alert level in their latest week: { counts: { 1..4 }, total }
+export function alertDistribution(overview) {
+    const counts = { 1: 0, 2: 0, 3: 0, 4: 0 };
+    (overview || []).forEach(c => {
+        if (c.latest) counts[c.latest.nivel || 1]++;
+    });
+    return { counts, total: Object.values(counts).reduce((a, b) => a + b, 0) };
+}
@@ -0,0 +1,165 @@
+/**
+ * VigiSaúde Brasil — Lagged sanitation × incidence correlation
+ * Does sewage coverage in year Y go with lower arbovirus incidence in the
+ * same year or the following ones? For each indicator and lag L (0–3), the
+ * coverage of every unit in year Y is correlated with its
+ * annual incidence in year Y + L, across units (municipalities or states).
+ */
+import {
+    SANITATION_INDICATORS, STATE_SANITATION_YEAR, getSanitationData, getUFAbbreviation, getUFIdsForRegion, getMunicipalPopulation,
+} from './api.js';
+import { dateToEpiWeek } from './epiweek.js';
+import { correlation, correlationCI, median } from './stats.js';
+
+export const LAG_YEARS = [0, 1, 2, 3];
+const MIN_WEEKS_PER_YEAR = 48;   // years with gaps in the series are left out
+const MIN_UNITS = 5;
+
+// Last epidemiological year with every week already published
+export function lastCompleteYear(date = new Date()) {
+    return dateToEpiWeek(date).year - 1;
+}
+
+/**
+ * Annual incidence (sum of weekly p_inc100k) per year with a full series.
+ * @returns {Map<number, number>} year → cases per 100k
+ */
+export function yearlyIncidence(rows, maxYear = lastCompleteYear()) {
+    const totals = new Map();
+    (rows || []).forEach(r => {
+        const year = Math.floor(r.SE / 100);
+        if (year > maxYear) return;
+        const t = totals.get(year) || { sum: 0, weeks: 0 };
+        t.sum += r.p_inc100k || 0;
+        t.weeks++;
+        totals.set(year, t);
+    });
+    return new Map([...totals].filter(([, t]) => t.weeks >= MIN_WEEKS_PER_YEAR).map(([y, t]) => [y, t.sum]));
+}
+
+/**
+ * Exact-year indicator rows of the given municipalities in the sanitation dataset.
+ * @returns {Map<string, Map<number, Object>>} geocode → year → { IN015, ... }
+ */
+export function sanitationHistory(dataset, geocodes) {
+    const history = new Map();
+    geocodes.forEach(geocode => {
+        const byYear = dataset?.municipios?.[geocode];
+        if (!byYear) return;
+        history.set(String(geocode), new Map(Object.entries(byYear).map(([year, values]) => [
+            Number(year),
+            Object.fromEntries(dataset.indicators.map((code, i) => [code, values[i] ?? null])),
+        ])));
+    });
+    return history;
+}
+
+/**
+ * Yearly indicator rows per state, keyed by IBGE UF id. Years in the
+ * municipal dataset average the state's municipalities, weighted by
+ * population when the IBGE dataset has it; the state table fills IN015/IN016
+ * for its reference year when the dataset doesn't cover that year.
+ * @returns {Map<string, Map<number, Object>>} UF id → year → { IN015, ... }
+ */
+export function stateSanitationHistory(dataset, population = null) {
+    const totals = new Map();   // UF id → year → code → { sum, weight }
+    Object.entries(dataset?.municipios || {}).forEach(([geocode, byYear]) => {
+        const ufId = geocode.slice(0, 2);
+        if (!totals.has(ufId)) totals.set(ufId, new Map());
+        Object.entries(byYear).forEach(([year, values]) => {
+            const weight = getMunicipalPopulation(population, geocode, Number(year)) || 1;
+            const byCode = totals.get(ufId).get(Number(year)) || {};
+            dataset.indicators.forEach((code, i) => {
+                if (values[i] === null || values[i] === undefined) return;
+                const t = byCode[code] || { sum: 0, weight: 0 };
+                t.sum += values[i] * weight;
+                t.weight += weight;
+                byCode[code] = t;
+            });
+            totals.get(ufId).set(Number(year), byCode);
+        });
+    });
+
+    const table = getSanitationData();
+    const history = new Map();
+    getUFIdsForRegion('all').forEach(id => {
+        const ufId = String(id);
+        const byYear = new Map([...(totals.get(ufId) || [])].map(([year, byCode]) => [
+            year,
+            Object.fromEntries(Object.keys(SANITATION_INDICATORS).map(code => [
+                code, byCode[code] ? byCode[code].sum / byCode[code].weight : null,
+            ])),
+        ]));
+        const state = table[getUFAbbreviation(id)];
+        if (state && !byYear.has(STATE_SANITATION_YEAR)) {
+            byYear.set(STATE_SANITATION_YEAR, {
+                ...Object.fromEntries(Object.keys(SANITATION_INDICATORS).map(code => [code, null])),
+                IN015: state.coletaEsgoto,
+                IN016: state.tratamentoEsgoto,
+            });
+        }
+        if (byYear.size > 0) history.set(ufId, byYear);
+    });
+    return history;
+}
+
+export function historyYears(history) {
+    const years = new Set();
+    history.forEach(byYear => byYear.forEach((_, year) => years.add(year)));
+    return [...years].sort((a, b) => a - b);
+}
+
+// Median of each indicator per year across units, for the trend chart
+export function indicatorTrend(history) {
+    const years = historyYears(history);
+    const series = Object.fromEntries(Object.keys(SANITATION_INDICATORS).map(code => [code, years.map(year => {
+        const values = [];
+        history.forEach(byYear => {
+            const v = byYear.get(year)?.[code];
+            if (v !== null && v !== undefined) values.push(v);
+        });
+        return values.length > 0 ? median(values) : null;
+    })]));
+    return { years, series };
+}
+
+/**
+ * @param {Object} opts
+ * @param {Map} opts.history – from sanitationHistory or stateSanitationHistory
+ * @param {Map<string, Map<number, number>>} opts.incidence – unit (geocode or UF id) → yearlyIncidence
+ * @param {number} opts.baseYear – Y, the sanitation year
+ * @param {string} [opts.method] – 'spearman' | 'pearson'
+ * @returns {Array<{ indicator, lag, year, n, r, lower, upper, significant }>}
+ */
+export function lagCorrelationMatrix({ history, incidence, baseYear, method = 'spearman', lags = LAG_YEARS }) {
+    const cells = [];
+    Object.keys(SANITATION_INDICATORS).forEach(indicator => {
+        lags.forEach(lag => {
+            const year = baseYear + lag;
+            const x = [];
+            const y = [];
+            history.forEach((byYear, unit) => {
+                const coverage = byYear.get(baseYear)?.[indicator];
+                const inc = incidence.get(unit)?.get(year);
+                if (coverage === null || coverage === undefined || inc === undefined) return;
+                x.push(coverage);
+                y.push(inc);
+            });
+            const n = x.length;
+            const r = n >= MIN_UNITS ? correlation(x, y, method) : null;
+            const ci = correlationCI(r, n, method);
+            cells.push({
+                indicator,
+                lag,
+                year,
+                n,
+                r,
+                lower: ci?.lower ?? null,
+                upper: ci?.upper ?? null,
+                // Interval excludes zero
+                significant: !!ci && (ci.lower > 0 || ci.upper < 0),
+            });
+        });
+    });
+    return cells;
+}
@@ -0,0 +1,45 @@
+/**
+ * VigiSaúde Brasil — Connectivity
+ * navigator.onLine only reflects the local network interface: a dead uplink
+ * or a captive portal still reads as online. Requests made through
+ * trackedFetch also count as offline when they fail outright or when the
+ * service worker answers with a cached copy because the network failed.
+ */
+
+// Set by public/sw.js on cached copies: 'hit', or 'offline' for a fallback
+// served because the network failed
+const CACHE_HEADER = 'X-VSB-Cache';
+
+let reachable = true;
+const listeners = new Set();
+
+function setReachable(value) {
+    if (value === reachable) return;
+    reachable = value;
+    listeners.forEach(cb => cb(isOffline()));
+}
+
+export function isOffline() {
+    return !navigator.onLine || !reachable;
+}
+
+// Called with (offline) when a request changes what isOffline() reports
+export function onConnectivityChange(callback) {
+    listeners.add(callback);
+    return () => listeners.delete(callback);
+}
+
+// fetch() that records whether the request reached the network. HTTP errors
+// count as reachable (the server answered); a plain cache hit says nothing.
+export async function trackedFetch(input, init) {
+    try {
+        const res = await fetch(input, init);
+        const source = res.headers.get(CACHE_HEADER);
+        if (source === 'offline') setReachable(false);
+        else if (source !== 'hit') setReachable(true);
+        return res;
+    } catch (err) {
+        if (err.name !== 'AbortError') setReachable(false);
+        throw err;
+    }
+}
@@ -0,0 +1,94 @@
+/**
+ * VigiSaúde Brasil — Nowcasting
+ * InfoDengue corrects the most recent weeks for reporting delay: `casos_est`
+ * (with the credible interval `casos_est_min`/`casos_est_max`) runs ahead of
+ * the notified `casos` until the week is consolidated.
+ *
+ * Each load is also recorded as a snapshot of the estimates, so the tracker
+ * can show how much an estimate moved since it was first seen.
+ */
+import { readEntry, writeEntry } from './cache.js';
+
+const MAX_INCOMPLETE_WEEKS = 8;
+const HISTORY_WEEKS = 26;           // SEs kept per location
+const HISTORY_SNAPSHOTS = 12;       // estimates kept per SE
+const HISTORY_TTL = 365 * 24 * 3600000;
+
+// A week is still being consolidated while the interval sits above the notified count
+function isIncomplete(row) {
+    const upper = row.casos_est_max ?? row.casos_est;
+    return upper !== null && upper !== undefined && upper > (row.casos || 0);
+}
+
+/**
+ * Trailing weeks still under consolidation (at most MAX_INCOMPLETE_WEEKS).
+ * @returns {number[]} SE codes, ascending
+ */
+export function incompleteWeeks(rows) {
+    const sorted = [...rows].sort((a, b) => a.SE - b.SE);
+    const weeks = [];
+    for (let i = sorted.length - 1; i >= 0 && weeks.length < MAX_INCOMPLETE_WEEKS; i--) {
+        if (!isIncomplete(sorted[i])) break;
+        weeks.unshift(sorted[i].SE);
+    }
+    return weeks;
+}
+
+// ===== Estimate history =====
+function historyKey(locationKey, disease) {
+    return `nowcast|${locationKey}|${disease}`;
+}
+
+/**
+ * Store this load's estimates and return the history:
+ * { [SE]: [{ at, casos, casos_est, casos_est_min, casos_est_max }] }.
+ * A snapshot is only added when the estimate changed.
+ */
+export async function recordEstimates(locationKey, disease, rows) {
+    const key = historyKey(locationKey, disease);
+    const entry = await readEntry(key);
+    const history = { ...(entry?.data || {}) };
+    const at = Date.now();
+
+    rows.filter(r => r.casos_est !== null && r.casos_est !== undefined).forEach(r => {
+        const snapshots = history[r.SE] ? [...history[r.SE]] : [];
+        const last = snapshots[snapshots.length - 1];
+        if (last && last.casos_est === r.casos_est && last.casos === r.casos) return;
+        snapshots.push({
+            at,
+            casos: r.casos,
+            casos_est: r.casos_est,
+            casos_est_min: r.casos_est_min ?? null,
+            casos_est_max: r.casos_est_max ?? null,
+        });
+        history[r.SE] = snapshots.slice(-HISTORY_SNAPSHOTS);
+    });
+
+    const kept = Object.keys(history).map(Number).sort((a, b) => b - a).slice(0, HISTORY_WEEKS);
+    const trimmed = Object.fromEntries(kept.map(se => [se, history[se]]));
+    writeEntry(key, trimmed, HISTORY_TTL);
+    return trimmed;
+}
+
+/**
+ * Revision of each SE's estimate since it was first recorded.
+ * @returns {Map<number, { since, from, to, delta, pct }>} only SEs whose estimate changed
+ */
+export function estimateRevisions(history) {
+    const revisions = new Map();
+    for (const [se, snapshots] of Object.entries(history)) {
+        if (snapshots.length < 2) continue;
+        const first = snapshots[0];
+        const latest = snapshots[snapshots.length - 1];
+        const delta = latest.casos_est - first.casos_est;
+        if (delta === 0) continue;
+        revisions.set(Number(se), {
+            since: first.at,
+            from: first.casos_est,
+            to: latest.casos_est,
+            delta,
+            pct: first.casos_est > 0 ? (delta / first.casos_est) * 100 : null,
+        });
+    }
+    return revisions;
+}
@@ -0,0 +1,58 @@
+/**
+ * VigiSaúde Brasil — Map playback
+ * Week-by-week frames for animating the choropleth over a season:
+ * season periods, the SE codes in a period and per-place lookups of the
+ * row shown in each frame.
+ */
+import { dateToEpiWeek, addEpiWeeks, toSECode, fromSECode } from './epiweek.js';
+
+export const PLAYBACK_METRICS = {
+    nivel: 'Nível de alerta',
+    p_inc100k: 'Incidência/100k',
+};
+export const PLAYBACK_SPEEDS = [0.5, 1, 2, 4];   // frames per second
+const PLAYBACK_SEASONS = 4;
+
+/**
+ * The current arbovirus season (SE 40 → SE 39, up to the current week)
+ * and the complete ones before it.
+ * @returns {Array<{ label, period: { ewStart, ewEnd, eyStart, eyEnd } }>}
+ */
+export function seasonPeriods(count = PLAYBACK_SEASONS, date = new Date()) {
+    const current = dateToEpiWeek(date);
+    const latestStart = current.week >= 40 ? current.year : current.year - 1;
+    const seasons = [];
+    for (let i = 0; i < count; i++) {
+        const startYear = latestStart - i;
+        const ongoing = i === 0;
+        seasons.push({
+            label: `${startYear}/${String(startYear + 1).slice(-2)}${ongoing ? ' (atual)' : ''}`,
+            period: { ewStart: 40, ewEnd: ongoing ? current.week : 39, eyStart: startYear, eyEnd: ongoing ? current.year : startYear + 1 },
+        });
+    }
+    return seasons;
+}
+
+// Every SE code from the start to the end of a period, ascending
+export function periodFrames({ ewStart, ewEnd, eyStart, eyEnd }) {
+    const end = toSECode({ year: eyEnd, week: ewEnd });
+    const frames = [];
+    for (let w = { year: eyStart, week: ewStart }; toSECode(w) <= end; w = addEpiWeeks(w, 1)) {
+        frames.push(toSECode(w));
+    }
+    return frames;
+}
+
+// { key: rows[] } → Map(key → Map(SE → row)), for O(1) lookups per frame
+export function indexSeries(seriesByKey) {
+    const index = new Map();
+    for (const [key, rows] of Object.entries(seriesByKey)) {
+        index.set(key, new Map((rows || []).map(r => [r.SE, r])));
+    }
+    return index;
+}
+
+export function formatFrame(se) {
+    const { year, week } = fromSECode(se);
+    return `SE ${week}/${year}`;
+}
@@ -0,0 +1,90 @@
+/**
+ * VigiSaúde Brasil — Population and per-capita measures
+ * Population of a place (IBGE dataset, falling back to the `pop` InfoDengue
+ * sends with each row) and the three case measures the map, cards and
+ * tracker switch between: absolute cases, incidence per 100k and incidence
+ * accumulated over the year (or the period shown).
+ */
+import { getMunicipalPopulation, getUFIdsForRegion } from './api.js';
+
+export const MEASURES = {
+    casos: 'Casos',
+    incidencia: 'Incidência/100k',
+    acumulada: 'Incidência acumulada/100k',
+};
+
+export function per100k(count, pop) {
+    return pop > 0 ? (count / pop) * 100000 : null;
+}
+
+export function formatMeasure(value, measure) {
+    if (value === null || value === undefined || !Number.isFinite(value)) return '--';
+    return measure === 'casos'
+        ? Math.round(value).toLocaleString('pt-BR')
+        : value.toLocaleString('pt-BR', { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+}
+
+// Population of a municipality in a row's year: IBGE dataset, else the row's own `pop`
+export function municipalPopulation(dataset, geocode, row = null) {
+    const year = row?.SE ? Math.floor(row.SE / 100) : Infinity;
+    return getMunicipalPopulation(dataset, String(geocode), year) ?? (row?.pop > 0 ? row.pop : null);
+}
+
+// Dataset total over the municipalities of some UFs (null = every UF)
+function datasetTotal(dataset, ufIds, year) {
+    const prefixes = ufIds?.map(String) ?? null;
+    let total = 0;
+    Object.keys(dataset?.municipios || {}).forEach(geocode => {
+        if (prefixes && !prefixes.some(p => geocode.startsWith(p))) return;
+        total += getMunicipalPopulation(dataset, geocode, year) || 0;
+    });
+    return total > 0 ? total : null;
+}
+
+/**
+ * Population of a tracker location ({ type, id }) in a year. Aggregated
+ * series fall back to their rows' `pop`, which is summed over municipalities.
+ */
+export function locationPopulation(dataset, { type, id }, year, rows = []) {
+    let pop = null;
+    if (type === 'municipio') pop = getMunicipalPopulation(dataset, String(id), year);
+    else if (type === 'uf') pop = datasetTotal(dataset, [id], year);
+    else if (type === 'region') pop = datasetTotal(dataset, getUFIdsForRegion(id), year);
+    else if (type === 'brasil') pop = datasetTotal(dataset, null, year);
+    if (pop) return pop;
+    const last = [...(rows || [])].reverse().find(r => r.pop > 0);
+    return last ? last.pop : null;
+}
+
+// Cases behind the weekly incidence: the nowcast estimate when there is one
+// (as in InfoDengue's p_inc100k), else the notified cases
+function incidenceCases(row) {
+    return row.casos_est || row.casos || 0;
+}
+
+/**
+ * One week's row in a measure: notified cases in the week, estimated cases
+ * per 100k in the week, or notified cases per 100k since the start of the year.
+ */
+export function rowMeasure(row, measure, pop) {
+    if (!row) return null;
+    if (measure === 'acumulada') return per100k(row.notif_accum_year || 0, pop);
+    if (measure === 'incidencia') return per100k(incidenceCases(row), pop) ?? row.p_inc100k ?? null;
+    return row.casos || 0;
+}
+
+/**
+ * A series' weekly values in a measure (charts), defined as in rowMeasure:
+ * notified cases, estimated cases per 100k, or notified cases per 100k
+ * accumulated since the first week of the series.
+ * @returns {number[] | null} – null when the population is unknown
+ */
+export function seriesMeasure(rows, measure, pop) {
+    if (measure === 'casos') return rows.map(r => r.casos || 0);
+    if (!(pop > 0)) return null;
+    let total = 0;
+    return rows.map(r => {
+        total += r.casos || 0;
+        return per100k(measure === 'acumulada' ? total : incidenceCases(r), pop);
+    });
+}
@@ -0,0 +1,61 @@
+/**
+ * VigiSaúde Brasil — Auto-refresh
+ * Periodic reload of the national overview for long-running wall displays,
+ * and what changed between two overviews: a newly published SE, capitals
+ * whose alert level moved and capitals that entered the hotspot ranking.
+ */
+export const AUTO_REFRESH_MINUTES = [5, 15, 30, 60];
+export const HOTSPOT_LIMIT = 5;
+
+// Most recent SE among the capitals' latest rows, or null
+export function latestSE(overview) {
+    const codes = (overview || []).map(c => c.latest?.SE).filter(Boolean);
+    return codes.length > 0 ? Math.max(...codes) : null;
+}
+
+// Capitals with the highest incidence in their latest week
+export function rankHotspots(overview, limit = HOTSPOT_LIMIT) {
+    return (overview || [])
+        .filter(c => c.latest && c.latest.p_inc100k > 0)
+        .sort((a, b) => (b.latest.p_inc100k || 0) - (a.latest.p_inc100k || 0))
+        .slice(0, limit);
+}
+
+/**
+ * @returns {{ previousSE, currentSE, newSE: boolean,
+ *   levelChanges: Array<{ geocode, name, uf, from, to }>, newHotspots: number[] }}
+ */
+export function diffOverview(previous, current) {
+    const previousSE = latestSE(previous);
+    const currentSE = latestSE(current);
+    const before = new Map((previous || []).map(c => [c.geocode, c]));
+
+    const levelChanges = (current || [])
+        .map(c => ({ c, old: before.get(c.geocode) }))
+        .filter(({ c, old }) => old?.latest && c.latest && (old.latest.nivel || 1) !== (c.latest.nivel || 1))
+        .map(({ c, old }) => ({ geocode: c.geocode, name: c.name, uf: c.uf, from: old.latest.nivel || 1, to: c.latest.nivel || 1 }))
+        .sort((a, b) => (b.to - b.from) - (a.to - a.from));
+
+    const wasHotspot = new Set(rankHotspots(previous).map(c => c.geocode));
+    const newHotspots = rankHotspots(current).map(c => c.geocode).filter(g => !wasHotspot.has(g));
+
+    return {
+        previousSE,
+        currentSE,
+        newSE: previousSE !== null && currentSE !== null && currentSE > previousSE,
+        levelChanges,
+        newHotspots,
+    };
+}
+
+/**
+ * Call `refresh` every `minutes` while the browser is online.
+ * @returns {Function} stops the timer
+ */
+export function startAutoRefresh(minutes, refresh) {
+    if (!minutes || minutes <= 0) return () => {};
+    const timer = setInterval(() => {
+        if (navigator.onLine) refresh();
+    }, minutes * 60000);
+    return () => clearInterval(timer);
+}
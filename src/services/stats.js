@@ -0,0 +1,273 @@
+/**
+ * VigiSaúde Brasil — Statistics
+ * Small, dependency-free helpers shared by the analysis panels and models:
+ * - descriptive: mean, quantiles, median
+ * - correlation: Pearson, Spearman, Fisher-z intervals, t-test p-values
+ * - OLS regression (one or more predictors) with coefficient tests,
+ *   confidence band of the fitted mean and influence measures for outliers
+ * Pure functions on plain arrays; nothing here touches the DOM.
+ */
+const Z_95 = 1.959964;
+
+export function mean(values) {
+    return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// Linear interpolation between order statistics of an ascending array
+export function quantile(sorted, q) {
+    if (sorted.length === 0) return null;
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+export function median(values) {
+    return quantile([...values].sort((a, b) => a - b), 0.5);
+}
+
+// Average ranks (1-based), ties share the mean of their positions
+export function ranks(values) {
+    const order = values.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]);
+    const result = new Array(values.length);
+    for (let i = 0; i < order.length;) {
+        let j = i;
+        while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+        const rank = (i + j) / 2 + 1;
+        for (let k = i; k <= j; k++) result[order[k][1]] = rank;
+        i = j + 1;
+    }
+    return result;
+}
+
+// null when undefined (fewer than 3 pairs or a constant variable)
+export function pearson(x, y) {
+    const n = x.length;
+    if (n < 3 || y.length !== n) return null;
+    const mx = mean(x);
+    const my = mean(y);
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+    for (let i = 0; i < n; i++) {
+        sxy += (x[i] - mx) * (y[i] - my);
+        sxx += (x[i] - mx) ** 2;
+        syy += (y[i] - my) ** 2;
+    }
+    if (sxx === 0 || syy === 0) return null;
+    return sxy / Math.sqrt(sxx * syy);
+}
+
+export function spearman(x, y) {
+    return pearson(ranks(x), ranks(y));
+}
+
+export const CORRELATION_METHODS = {
+    spearman: 'Spearman (postos)',
+    pearson: 'Pearson',
+};
+
+export function correlation(x, y, method = 'spearman') {
+    return method === 'pearson' ? pearson(x, y) : spearman(x, y);
+}
+
+/**
+ * 95% interval for a correlation coefficient (Fisher z). Spearman uses the
+ * Fieller–Hartley–Pearson variance 1.06 / (n − 3).
+ * @returns {{ lower, upper } | null} – null with fewer than 4 pairs
+ */
+export function correlationCI(r, n, method = 'spearman') {
+    if (r === null || n < 4) return null;
+    const z = Math.atanh(Math.max(-0.999999, Math.min(0.999999, r)));
+    const se = Math.sqrt((method === 'spearman' ? 1.06 : 1) / (n - 3));
+    return { lower: Math.tanh(z - Z_95 * se), upper: Math.tanh(z + Z_95 * se) };
+}
+
+// ===== Student's t distribution =====
+// log Γ(x), Lanczos approximation (g = 7)
+const LANCZOS = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+function logGamma(x) {
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    x -= 1;
+    let a = LANCZOS[0];
+    const t = x + 7.5;
+    for (let i = 1; i < 9; i++) a += LANCZOS[i] / (x + i);
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// Continued fraction for the regularized incomplete beta (modified Lentz)
+function betaContinuedFraction(x, a, b) {
+    const TINY = 1e-300;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < TINY) d = TINY;
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m <= 200; m++) {
+        const m2 = 2 * m;
+        let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 + aa * d; if (Math.abs(d) < TINY) d = TINY;
+        c = 1 + aa / c; if (Math.abs(c) < TINY) c = TINY;
+        d = 1 / d;
+        h *= d * c;
+        aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 + aa * d; if (Math.abs(d) < TINY) d = TINY;
+        c = 1 + aa / c; if (Math.abs(c) < TINY) c = TINY;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-12) break;
+    }
+    return h;
+}
+
+// Regularized incomplete beta I_x(a, b)
+function incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2)
+        ? front * betaContinuedFraction(x, a, b) / a
+        : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+// Two-sided p-value of a t statistic
+export function tTestPValue(t, df) {
+    if (!Number.isFinite(t)) return 0;
+    return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// t such that P(|T| <= t) = level, by bisection on the p-value
+export function tCritical(df, level = 0.95) {
+    let lo = 0;
+    let hi = 1000;
+    for (let i = 0; i < 100; i++) {
+        const mid = (lo + hi) / 2;
+        if (tTestPValue(mid, df) > 1 - level) lo = mid;
+        else hi = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+/**
+ * Coefficient with its two-sided p-value (t with n − 2 df; for Spearman
+ * this is the usual large-sample approximation) and 95% interval.
+ * @returns {{ r, n, p, lower, upper } | null}
+ */
+export function correlationTest(x, y, method = 'spearman') {
+    const r = correlation(x, y, method);
+    if (r === null) return null;
+    const n = x.length;
+    const t = Math.abs(r) >= 1 ? Infinity : r * Math.sqrt((n - 2) / (1 - r * r));
+    const ci = correlationCI(r, n, method);
+    return { r, n, p: tTestPValue(t, n - 2), lower: ci?.lower ?? null, upper: ci?.upper ?? null };
+}
+
+// ===== OLS regression =====
+// Inverse of a small symmetric matrix (Gauss–Jordan with partial pivoting);
+// null when singular (e.g. a predictor is constant or collinear)
+function invert(matrix) {
+    const n = matrix.length;
+    const a = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+        if (Math.abs(a[pivot][col]) < 1e-12) return null;
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        const div = a[col][col];
+        for (let j = 0; j < 2 * n; j++) a[col][j] /= div;
+        for (let r = 0; r < n; r++) {
+            if (r === col) continue;
+            const f = a[r][col];
+            if (f !== 0) for (let j = 0; j < 2 * n; j++) a[r][j] -= f * a[col][j];
+        }
+    }
+    return a.map(row => row.slice(n));
+}
+
+function quadForm(v, m) {
+    return v.reduce((sum, vi, i) => sum + vi * m[i].reduce((s, mij, j) => s + mij * v[j], 0), 0);
+}
+
+/**
+ * Ordinary least squares with an intercept.
+ * @param {number[][]} X – one row per observation, one column per predictor
+ * @param {number[]} y
+ * @returns {null | {
+ *   n, df, coefficients: Array<{ estimate, se, t, p, lower, upper }>,  // [intercept, ...predictors]
+ *   r2, adjR2, sigma, fitted, residuals, leverage, studentized, cooks,
+ *   predict: (x: number[]) => { fit, lower, upper }                    // 95% band of the mean
+ * }} – null with too few observations or collinear predictors
+ */
+export function ols(X, y) {
+    const n = y.length;
+    const k = (X[0]?.length ?? 0) + 1;
+    const df = n - k;
+    if (n !== X.length || df < 1) return null;
+
+    const design = X.map(row => [1, ...row]);
+    const xtx = Array.from({ length: k }, (_, i) => Array.from({ length: k }, (_, j) =>
+        design.reduce((sum, row) => sum + row[i] * row[j], 0)));
+    const xtxInv = invert(xtx);
+    if (!xtxInv) return null;
+    const xty = Array.from({ length: k }, (_, i) => design.reduce((sum, row, r) => sum + row[i] * y[r], 0));
+    const beta = xtxInv.map(row => row.reduce((sum, v, j) => sum + v * xty[j], 0));
+
+    const fitted = design.map(row => row.reduce((sum, v, j) => sum + v * beta[j], 0));
+    const residuals = y.map((v, i) => v - fitted[i]);
+    const sse = residuals.reduce((sum, e) => sum + e * e, 0);
+    const my = mean(y);
+    const sst = y.reduce((sum, v) => sum + (v - my) ** 2, 0);
+    const sigma2 = sse / df;
+    const sigma = Math.sqrt(sigma2);
+    const tCrit = tCritical(df);
+
+    const coefficients = beta.map((estimate, j) => {
+        const se = Math.sqrt(sigma2 * xtxInv[j][j]);
+        const t = se > 0 ? estimate / se : Infinity;
+        return { estimate, se, t, p: tTestPValue(t, df), lower: estimate - tCrit * se, upper: estimate + tCrit * se };
+    });
+
+    const leverage = design.map(row => quadForm(row, xtxInv));
+    const studentized = residuals.map((e, i) => (sigma > 0 && leverage[i] < 1 ? e / (sigma * Math.sqrt(1 - leverage[i])) : 0));
+    const cooks = residuals.map((e, i) => (sigma2 > 0 && leverage[i] < 1
+        ? (e * e * leverage[i]) / (k * sigma2 * (1 - leverage[i]) ** 2)
+        : 0));
+
+    const r2 = sst > 0 ? 1 - sse / sst : 0;
+    return {
+        n,
+        df,
+        coefficients,
+        r2,
+        adjR2: 1 - (1 - r2) * (n - 1) / df,
+        sigma,
+        fitted,
+        residuals,
+        leverage,
+        studentized,
+        cooks,
+        predict(x) {
+            const row = [1, ...x];
+            const fit = row.reduce((sum, v, j) => sum + v * beta[j], 0);
+            const half = tCrit * Math.sqrt(sigma2 * quadForm(row, xtxInv));
+            return { fit, lower: fit - half, upper: fit + half };
+        },
+    };
+}
+
+/**
+ * Indices of influential observations: |studentized residual| > 2 or
+ * Cook's distance > 4 / n.
+ */
+export function outlierIndices(model) {
+    if (!model) return [];
+    const cut = 4 / model.n;
+    return model.studentized
+        .map((r, i) => (Math.abs(r) > 2 || model.cooks[i] > cut ? i : -1))
+        .filter(i => i !== -1);
+}
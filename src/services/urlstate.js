@@ -0,0 +1,118 @@
+/**
+ * VigiSaúde Brasil — URL State
+ * Encodes the dashboard state in the query string so links can be shared
+ * and back/forward moves between views. Defaults are left out of the URL.
+ *
+ *   ?view=tracker&disease=zika&region=sul&layer=coletaEsgoto&measure=acumulada
+ *   &map=-27.600,-50.400,6&loc=m:4205407,uf:43,r:sul,br
+ *   &se=202540-202639&prev=1&refresh=15&kiosk=30
+ */
+import { toSECode, fromSECode } from './epiweek.js';
+import { AUTO_REFRESH_MINUTES } from './refresh.js';
+import { KIOSK_DWELL_SECONDS, KIOSK_DEFAULT_DWELL } from './kiosk.js';
+
+const VIEWS = ['map', 'tracker', 'info'];
+const DISEASES = ['dengue', 'chikungunya', 'zika'];
+const REGIONS = ['all', 'norte', 'nordeste', 'sudeste', 'sul', 'centro-oeste'];
+const LAYERS = ['disease', 'coletaEsgoto', 'tratamentoEsgoto'];
+const MEASURES = ['casos', 'incidencia', 'acumulada'];
+
+export const DEFAULT_URL_STATE = {
+    view: 'map',
+    disease: 'dengue',
+    region: 'all',
+    layer: 'disease',
+    measure: 'casos',   // case measure of the map, cards and tracker
+    mapView: null,      // { center: [lat, lng], zoom }
+    locations: [],      // [{ type, id }]
+    period: null,       // { ewStart, ewEnd, eyStart, eyEnd }
+    comparePrev: false,
+    refresh: 0,         // auto-refresh interval (minutes), 0 = off
+    kiosk: 0,           // kiosk mode seconds per step, 0 = off
+};
+
+// Location types ↔ short URL prefixes ("m:3550308", "uf:35", "r:sul", "br")
+const LOCATION_PREFIXES = { municipio: 'm', uf: 'uf', region: 'r', brasil: 'br' };
+
+function encodeLocation({ type, id }) {
+    return type === 'brasil' ? 'br' : `${LOCATION_PREFIXES[type]}:${id}`;
+}
+
+function decodeLocation(token) {
+    if (token === 'br') return { type: 'brasil', id: 'BR' };
+    const [prefix, value] = token.split(':');
+    if (prefix === 'm' && /^\d{7}$/.test(value)) return { type: 'municipio', id: Number(value) };
+    if (prefix === 'uf' && /^\d{2}$/.test(value)) return { type: 'uf', id: Number(value) };
+    if (prefix === 'r' && REGIONS.includes(value) && value !== 'all') return { type: 'region', id: value };
+    return null;
+}
+
+export function serializeUrlState(urlState) {
+    const s = { ...DEFAULT_URL_STATE, ...urlState };
+    const params = new URLSearchParams();
+
+    if (s.view !== DEFAULT_URL_STATE.view) params.set('view', s.view);
+    if (s.disease !== DEFAULT_URL_STATE.disease) params.set('disease', s.disease);
+    if (s.region !== DEFAULT_URL_STATE.region) params.set('region', s.region);
+    if (s.layer !== DEFAULT_URL_STATE.layer) params.set('layer', s.layer);
+    if (s.measure !== DEFAULT_URL_STATE.measure) params.set('measure', s.measure);
+    if (s.mapView) {
+        const [lat, lng] = s.mapView.center;
+        params.set('map', `${lat.toFixed(3)},${lng.toFixed(3)},${s.mapView.zoom}`);
+    }
+    if (s.locations.length > 0) params.set('loc', s.locations.map(encodeLocation).join(','));
+    if (s.period) {
+        const { ewStart, ewEnd, eyStart, eyEnd } = s.period;
+        params.set('se', `${toSECode({ year: eyStart, week: ewStart })}-${toSECode({ year: eyEnd, week: ewEnd })}`);
+    }
+    if (s.comparePrev) params.set('prev', '1');
+    if (s.refresh) params.set('refresh', String(s.refresh));
+    if (s.kiosk) params.set('kiosk', s.kiosk === KIOSK_DEFAULT_DWELL ? '1' : String(s.kiosk));
+
+    // ',' and ':' are valid in a query string; keep them readable
+    return params.toString().replace(/%2C/gi, ',').replace(/%3A/gi, ':');
+}
+
+// "kiosk=1" uses the default dwell time; "kiosk=60" sets it in seconds
+function parseKiosk(value) {
+    if (value === '1') return KIOSK_DEFAULT_DWELL;
+    return KIOSK_DWELL_SECONDS.includes(Number(value)) ? Number(value) : 0;
+}
+
+// Unknown or malformed values fall back to defaults instead of failing
+export function parseUrlState(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const pick = (key, allowed) => (allowed.includes(params.get(key)) ? params.get(key) : DEFAULT_URL_STATE[key]);
+
+    const urlState = {
+        ...DEFAULT_URL_STATE,
+        view: pick('view', VIEWS),
+        disease: pick('disease', DISEASES),
+        region: pick('region', REGIONS),
+        layer: pick('layer', LAYERS),
+        measure: pick('measure', MEASURES),
+        comparePrev: params.get('prev') === '1',
+        refresh: AUTO_REFRESH_MINUTES.includes(Number(params.get('refresh'))) ? Number(params.get('refresh')) : 0,
+        kiosk: parseKiosk(params.get('kiosk')),
+    };
+
+    const mapMatch = /^(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?),(\d{1,2})$/.exec(params.get('map') || '');
+    if (mapMatch) {
+        urlState.mapView = { center: [Number(mapMatch[1]), Number(mapMatch[2])], zoom: Number(mapMatch[3]) };
+    }
+
+    if (params.get('loc')) {
+        urlState.locations = params.get('loc').split(',').map(decodeLocation).filter(Boolean);
+    }
+
+    const seMatch = /^(\d{6})-(\d{6})$/.exec(params.get('se') || '');
+    if (seMatch) {
+        const start = fromSECode(Number(seMatch[1]));
+        const end = fromSECode(Number(seMatch[2]));
+        if (start.week >= 1 && start.week <= 53 && end.week >= 1 && end.week <= 53) {
+            urlState.period = { ewStart: start.week, ewEnd: end.week, eyStart: start.year, eyEnd: end.year };
+        }
+    }
+
+    return urlState;
+}
@@ -0,0 +1,145 @@
+/**
+ * VigiSaúde Brasil — Epidemiological week calendar tests
+ * Expected values are taken from the SINAN epidemiological calendars
+ * (Ministério da Saúde), one table per year.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    epiYearStart, epiWeeksInYear, epiWeekStart, epiWeekEnd, dateToEpiWeek, addEpiWeeks,
+    toSECode, fromSECode, dateToSECode, seCodeToDate, seCodeToMonth, recentEpiWeeks,
+} from '../src/services/epiweek.js';
+
+// Local-midnight date from 'YYYY-MM-DD', matching how the module builds dates
+function day(iso) {
+    const [y, m, d] = iso.split('-').map(Number);
+    return new Date(y, m - 1, d);
+}
+
+function iso(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// SINAN calendar: first day of SE 1 and number of weeks per year
+const CALENDAR = [
+    { year: 2008, start: '2007-12-30', weeks: 53 },
+    { year: 2009, start: '2009-01-04', weeks: 52 },
+    { year: 2010, start: '2010-01-03', weeks: 52 },
+    { year: 2014, start: '2013-12-29', weeks: 53 },
+    { year: 2015, start: '2015-01-04', weeks: 52 },
+    { year: 2019, start: '2018-12-30', weeks: 52 },
+    { year: 2020, start: '2019-12-29', weeks: 53 },
+    { year: 2021, start: '2021-01-03', weeks: 52 },
+    { year: 2022, start: '2022-01-02', weeks: 52 },   // Jan 1 on a Saturday
+    { year: 2023, start: '2023-01-01', weeks: 52 },   // Jan 1 on a Sunday
+    { year: 2024, start: '2023-12-31', weeks: 52 },
+    { year: 2025, start: '2024-12-29', weeks: 53 },
+    { year: 2026, start: '2026-01-04', weeks: 52 },
+];
+
+test('epiYearStart matches the first day of SE 1', () => {
+    CALENDAR.forEach(({ year, start }) => {
+        const date = epiYearStart(year);
+        assert.equal(iso(date), start, `SE 1/${year}`);
+        assert.equal(date.getDay(), 0, `SE 1/${year} starts on a Sunday`);
+    });
+});
+
+test('epiWeeksInYear has 53 weeks in 2008, 2014, 2020 and 2025', () => {
+    CALENDAR.forEach(({ year, weeks }) => assert.equal(epiWeeksInYear(year), weeks, String(year)));
+});
+
+test('epiWeekStart and epiWeekEnd bound the last week of 53-week years', () => {
+    assert.equal(iso(epiWeekStart(2014, 53)), '2014-12-28');
+    assert.equal(iso(epiWeekEnd(2014, 53)), '2015-01-03');
+    assert.equal(iso(epiWeekStart(2020, 53)), '2020-12-27');
+    assert.equal(iso(epiWeekEnd(2020, 53)), '2021-01-02');
+    assert.equal(iso(epiWeekStart(2025, 53)), '2025-12-28');
+    assert.equal(iso(epiWeekEnd(2025, 53)), '2026-01-03');
+    assert.equal(iso(epiWeekStart(2024, 24)), '2024-06-09');
+    assert.equal(iso(epiWeekEnd(2024, 24)), '2024-06-15');
+});
+
+test('dateToEpiWeek assigns year-boundary days to the right epi year', () => {
+    const cases = [
+        ['2013-12-28', 2013, 52],
+        ['2013-12-29', 2014, 1],
+        ['2014-12-31', 2014, 53],
+        ['2015-01-03', 2014, 53],
+        ['2015-01-04', 2015, 1],
+        ['2021-01-01', 2020, 53],
+        ['2021-01-03', 2021, 1],
+        ['2022-01-01', 2021, 52],   // Saturday: last day of SE 52/2021
+        ['2022-01-02', 2022, 1],
+        ['2022-12-31', 2022, 52],
+        ['2023-01-01', 2023, 1],    // Sunday: first day of SE 1/2023
+        ['2023-12-30', 2023, 52],
+        ['2023-12-31', 2024, 1],
+        ['2024-06-15', 2024, 24],
+        ['2025-12-31', 2025, 53],
+        ['2026-01-03', 2025, 53],
+        ['2026-01-04', 2026, 1],
+    ];
+    cases.forEach(([date, year, week]) => assert.deepEqual(dateToEpiWeek(day(date)), { year, week }, date));
+});
+
+test('dateToEpiWeek ignores the time of day', () => {
+    assert.deepEqual(dateToEpiWeek(new Date(2022, 0, 1, 23, 59)), { year: 2021, week: 52 });
+    assert.deepEqual(dateToEpiWeek(new Date(2023, 0, 1, 0, 1)), { year: 2023, week: 1 });
+});
+
+test('every day of a year maps back into its own SE', () => {
+    for (const year of [2020, 2022, 2023, 2025]) {
+        for (let week = 1; week <= epiWeeksInYear(year); week++) {
+            const start = epiWeekStart(year, week);
+            for (let d = 0; d < 7; d++) {
+                const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + d);
+                assert.deepEqual(dateToEpiWeek(date), { year, week }, iso(date));
+            }
+        }
+    }
+});
+
+test('addEpiWeeks crosses 52- and 53-week years', () => {
+    assert.deepEqual(addEpiWeeks({ year: 2020, week: 52 }, 1), { year: 2020, week: 53 });
+    assert.deepEqual(addEpiWeeks({ year: 2020, week: 52 }, 2), { year: 2021, week: 1 });
+    assert.deepEqual(addEpiWeeks({ year: 2022, week: 52 }, 1), { year: 2023, week: 1 });
+    assert.deepEqual(addEpiWeeks({ year: 2026, week: 1 }, -1), { year: 2025, week: 53 });
+    assert.deepEqual(addEpiWeeks({ year: 2024, week: 10 }, -62), { year: 2022, week: 52 });
+});
+
+test('toSECode and fromSECode round-trip YYYYWW codes', () => {
+    assert.equal(toSECode({ year: 2020, week: 53 }), 202053);
+    assert.equal(toSECode({ year: 2023, week: 1 }), 202301);
+    assert.deepEqual(fromSECode(202053), { year: 2020, week: 53 });
+    assert.deepEqual(fromSECode(202201), { year: 2022, week: 1 });
+    CALENDAR.forEach(({ year, weeks }) => {
+        assert.deepEqual(fromSECode(toSECode({ year, week: weeks })), { year, week: weeks });
+    });
+    assert.equal(dateToSECode(day('2022-01-01')), 202152);
+    assert.equal(dateToSECode(day('2021-01-02')), 202053);
+    assert.equal(iso(seCodeToDate(202501)), '2024-12-29');
+    assert.equal(iso(seCodeToDate(202553)), '2025-12-28');
+});
+
+test('seCodeToMonth uses the month of the week\'s Wednesday', () => {
+    const cases = [
+        [202001, 2020, 0],    // 29/12/2019–04/01/2020
+        [202053, 2020, 11],   // 27/12/2020–02/01/2021
+        [202152, 2021, 11],   // 26/12/2021–01/01/2022
+        [202201, 2022, 0],
+        [202301, 2023, 0],
+        [202401, 2024, 0],    // 31/12/2023–06/01/2024
+        [202501, 2025, 0],    // 29/12/2024–04/01/2025
+        [202553, 2025, 11],   // 28/12/2025–03/01/2026
+        [202409, 2024, 1],    // 25/02–02/03/2024
+        [202410, 2024, 2],
+    ];
+    cases.forEach(([se, year, month]) => assert.deepEqual(seCodeToMonth(se), { year, month }, String(se)));
+});
+
+test('recentEpiWeeks spans the year boundary', () => {
+    assert.deepEqual(recentEpiWeeks(4, day('2026-01-10')), { ewStart: 51, ewEnd: 1, eyStart: 2025, eyEnd: 2026 });
+    assert.deepEqual(recentEpiWeeks(1, day('2023-01-01')), { ewStart: 1, ewEnd: 1, eyStart: 2023, eyEnd: 2023 });
+});
@@ -0,0 +1,226 @@
+/**
+ * VigiSaúde Brasil — InfoDengue proxy cache tests
+ * server/cache.js on a temporary directory, and server/infodengue.js against
+ * a local stub upstream that counts requests and can be told to fail.
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createResponseCache, nextWeekBoundary } from '../server/cache.js';
+
+const HOUR = 3600000;
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vsb-cache-'));
+const RESPONSE = { status: 200, contentType: 'application/json', body: '[{"SE":202501}]' };
+
+// ===== Stub upstream =====
+const hits = new Map();   // path → request count
+let failing = false;
+let delayMs = 0;
+let server;
+let infodengue;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        hits.set(req.url, (hits.get(req.url) || 0) + 1);
+        setTimeout(() => {
+            if (failing) {
+                res.writeHead(503, { 'Content-Type': 'text/plain' });
+                res.end('indisponível');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify([{ SE: 202501, path: req.url }]));
+        }, delayMs);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    // The client reads its upstream and cache settings once, on import
+    process.env.INFODENGUE_URL = `http://127.0.0.1:${server.address().port}`;
+    process.env.INFODENGUE_CACHE_DIR = path.join(tmpDir, 'infodengue');
+    process.env.INFODENGUE_TIMEOUT_MS = '2000';
+    process.env.INFODENGUE_REVALIDATE_MINUTES = '0.001';   // 60 ms
+    infodengue = await import('../server/infodengue.js');
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function reset() {
+    hits.clear();
+    failing = false;
+    delayMs = 0;
+}
+
+// ===== server/cache.js =====
+test('nextWeekBoundary is the following Sunday 00:00', () => {
+    const boundary = new Date(nextWeekBoundary(new Date(2025, 5, 11, 15, 30).getTime()));   // Wednesday
+    assert.equal(boundary.getDay(), 0);
+    assert.deepEqual([boundary.getFullYear(), boundary.getMonth(), boundary.getDate(), boundary.getHours()], [2025, 5, 15, 0]);
+    // On a Sunday the boundary is the next one, not the current day
+    assert.equal(nextWeekBoundary(new Date(2025, 5, 15, 8).getTime()), new Date(2025, 5, 22).getTime());
+});
+
+test('entries are kept in memory and on disk, and survive a new cache', async () => {
+    const dir = path.join(tmpDir, 'tiers');
+    const cache = createResponseCache({ dir, ttlMs: HOUR });
+    assert.equal(await cache.get('/alertcity?a'), null);
+    const entry = await cache.set('/alertcity?a', RESPONSE);
+    assert.equal(await cache.get('/alertcity?a'), entry);
+    assert.equal(fs.readdirSync(dir).length, 1);
+
+    const restarted = createResponseCache({ dir, ttlMs: HOUR });
+    assert.deepEqual(await restarted.get('/alertcity?a'), entry);
+    assert.ok(restarted.isFresh(entry));
+    assert.ok(entry.expiresAt <= Math.min(entry.storedAt + HOUR, nextWeekBoundary(entry.storedAt)));
+});
+
+test('memory tier drops the oldest entry when full; disk still has it', async () => {
+    const dir = path.join(tmpDir, 'evict');
+    const cache = createResponseCache({ dir, ttlMs: HOUR, maxMemoryEntries: 2 });
+    await cache.set('/a', RESPONSE);
+    await cache.set('/b', RESPONSE);
+    await cache.set('/c', RESPONSE);
+    // '/a' left memory but comes back from disk, pushing out '/b'
+    assert.equal((await cache.get('/a')).body, RESPONSE.body);
+    fs.rmSync(dir, { recursive: true });
+    assert.equal(await cache.get('/b'), null);
+    assert.ok(await cache.get('/c'));
+    assert.ok(await cache.get('/a'));
+});
+
+test('expired entries are kept but not fresh', async () => {
+    const cache = createResponseCache({ dir: path.join(tmpDir, 'expired'), ttlMs: -1 });
+    const entry = await cache.set('/x', RESPONSE);
+    assert.equal(cache.isFresh(entry), false);
+    assert.equal(cache.isFresh(null), false);
+    assert.ok(await cache.get('/x'));
+    assert.equal(cache.ageSeconds({ storedAt: Date.now() - 90000 }), 90);
+});
+
+// ===== server/infodengue.js =====
+test('a miss goes upstream once and the next request is a hit', async () => {
+    reset();
+    const apiPath = '/alertcity?geocode=3304557&disease=dengue&format=json';
+    const miss = await infodengue.fetchInfoDengue(apiPath);
+    assert.equal(miss.cacheStatus, 'MISS');
+    assert.equal(JSON.parse(miss.entry.body)[0].path, `/api${apiPath}`);
+
+    const hit = await infodengue.fetchInfoDengue(apiPath);
+    assert.equal(hit.cacheStatus, 'HIT');
+    assert.equal(hit.entry.body, miss.entry.body);
+    assert.equal(hits.get(`/api${apiPath}`), 1);
+});
+
+test('concurrent misses for the same query share one upstream request', async () => {
+    reset();
+    delayMs = 100;
+    const apiPath = '/alertcity?geocode=3550308&disease=zika&format=json';
+    const results = await Promise.all([1, 2, 3, 4].map(() => infodengue.fetchInfoDengue(apiPath)));
+    assert.deepEqual(results.map(r => r.cacheStatus), ['MISS', 'MISS', 'MISS', 'MISS']);
+    assert.ok(results.every(r => r.entry === results[0].entry));
+    assert.equal(hits.get(`/api${apiPath}`), 1);
+
+    // A different query is not merged into the pending one
+    await Promise.all([
+        infodengue.fetchInfoDengue('/alertcity?geocode=1&disease=zika'),
+        infodengue.fetchInfoDengue('/alertcity?geocode=2&disease=zika'),
+    ]);
+    assert.equal(hits.size, 3);
+});
+
+test('an expired entry is served stale when upstream fails', async () => {
+    reset();
+    const apiPath = '/alertcity?geocode=5300108&disease=chikungunya&format=json';
+    // Same directory as the client's cache, written already expired
+    const expired = createResponseCache({ dir: process.env.INFODENGUE_CACHE_DIR, ttlMs: -1 });
+    await expired.set(apiPath, RESPONSE);
+
+    failing = true;
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        const stale = await infodengue.fetchInfoDengue(apiPath);
+        assert.equal(stale.cacheStatus, 'STALE');
+        assert.equal(stale.entry.body, RESPONSE.body);
+    } finally {
+        console.warn = warn;
+    }
+    assert.equal(hits.get(`/api${apiPath}`), 1);
+
+    // Once upstream is back the entry is replaced
+    failing = false;
+    const fresh = await infodengue.fetchInfoDengue(apiPath);
+    assert.equal(fresh.cacheStatus, 'MISS');
+    assert.notEqual(fresh.entry.body, RESPONSE.body);
+});
+
+test('revalidation refetches fresh entries past the minimum age', async () => {
+    reset();
+    const apiPath = '/alertcity?geocode=3106200&disease=dengue&format=json';
+    assert.ok(infodengue.wantsRevalidation('no-cache'));
+    assert.ok(infodengue.wantsRevalidation('max-age=0, No-Cache'));
+    assert.ok(!infodengue.wantsRevalidation(undefined));
+    assert.ok(!infodengue.wantsRevalidation('max-age=60'));
+
+    await infodengue.fetchInfoDengue(apiPath);
+    // Too recent to go upstream again
+    assert.equal((await infodengue.fetchInfoDengue(apiPath, { revalidate: true })).cacheStatus, 'HIT');
+    await new Promise(resolve => setTimeout(resolve, 80));
+    assert.equal((await infodengue.fetchInfoDengue(apiPath)).cacheStatus, 'HIT');
+    assert.equal((await infodengue.fetchInfoDengue(apiPath, { revalidate: true })).cacheStatus, 'MISS');
+    assert.equal(hits.get(`/api${apiPath}`), 2);
+
+    // Upstream down: the fresh copy is still served
+    await new Promise(resolve => setTimeout(resolve, 80));
+    failing = true;
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.equal((await infodengue.fetchInfoDengue(apiPath, { revalidate: true })).cacheStatus, 'STALE');
+    } finally {
+        console.warn = warn;
+    }
+    assert.equal(hits.get(`/api${apiPath}`), 3);
+
+    // Batches pass it on to every series
+    failing = false;
+    await new Promise(resolve => setTimeout(resolve, 80));
+    const period = { ewStart: 1, ewEnd: 10, eyStart: 2025, eyEnd: 2025 };
+    const batchPath = `/api${infodengue.alertcityPath(1100205, 'dengue', period)}`;
+    await infodengue.fetchAlertBatch([1100205], 'dengue', period);
+    await new Promise(resolve => setTimeout(resolve, 80));
+    await infodengue.fetchAlertBatch([1100205], 'dengue', period);
+    assert.equal(hits.get(batchPath), 1);
+    await infodengue.fetchAlertBatch([1100205], 'dengue', period, 8, { revalidate: true });
+    assert.equal(hits.get(batchPath), 2);
+});
+
+test('a failure with nothing cached rejects with the upstream response', async () => {
+    reset();
+    failing = true;
+    await assert.rejects(infodengue.fetchInfoDengue('/alertcity?geocode=9999999&disease=dengue'), err => {
+        assert.equal(err.response.status, 503);
+        assert.equal(err.response.body, 'indisponível');
+        return true;
+    });
+    // Failures are not cached: the next request tries upstream again
+    failing = false;
+    assert.equal((await infodengue.fetchInfoDengue('/alertcity?geocode=9999999&disease=dengue')).cacheStatus, 'MISS');
+});
+
+test('fetchAlertBatch reports failed geocodes in errors', async () => {
+    reset();
+    const period = { ewStart: 1, ewEnd: 10, eyStart: 2025, eyEnd: 2025 };
+    const { alerts } = await infodengue.fetchAlertBatch([2927408, 2927408], 'dengue', period);
+    assert.deepEqual(Object.keys(alerts), ['2927408']);
+
+    failing = true;
+    const result = await infodengue.fetchAlertBatch([2304400], 'dengue', period);
+    assert.deepEqual(result.alerts, { 2304400: [] });
+    assert.match(result.errors[2304400], /503/);
+});
@@ -0,0 +1,174 @@
+/**
+ * VigiSaúde Brasil — SNIS/SINISA ingestion tests
+ * Run against small spreadsheets in test/fixtures (fictitious values, real
+ * IBGE geocodes): a Latin-1 SNIS CSV with title and footer lines, and a
+ * SINISA-style XLSX with shared strings and a non-standard indicator header.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    parseCSV, parseXLSX, parseValue, readTable, findColumns, createGeocodeResolver,
+    normalizeRows, emptyDataset, mergeEdition, summarizeChanges, serializeDataset,
+} from '../scripts/snis.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const CSV_FILE = path.join(FIXTURES, 'snis-sample.csv');
+const XLSX_FILE = path.join(FIXTURES, 'sinisa-sample.xlsx');
+
+// São Paulo, Rio de Janeiro, Brasília, Salvador, Fortaleza
+const resolveGeocode = createGeocodeResolver([3550308, 3304557, 5300108, 2927408, 2304400]);
+
+const csvRows = () => readTable(CSV_FILE);
+const xlsxRows = () => readTable(XLSX_FILE);
+
+// ===== Reading =====
+test('parseCSV handles quotes, escaped quotes, CRLF and the delimiter', () => {
+    assert.deepEqual(parseCSV('a;b;c\r\n"x;y";"say ""hi""";3\r\n'), [['a', 'b', 'c'], ['x;y', 'say "hi"', '3']]);
+    assert.deepEqual(parseCSV('a,b\n1,2'), [['a', 'b'], ['1', '2']]);
+    // Decimal commas don't outvote the ';' separator
+    assert.deepEqual(parseCSV('cod;valor\n355030;96,31\n330455;85,4'), [['cod', 'valor'], ['355030', '96,31'], ['330455', '85,4']]);
+});
+
+test('readTable decodes the Latin-1 CSV export', () => {
+    const rows = csvRows();
+    assert.equal(rows.length, 10);
+    assert.equal(rows[1][0], 'Código do Município');
+    assert.deepEqual(rows[2], ['355030', 'São Paulo', 'SP', '2022', '96,31', '70,12', '68,5', '99,1']);
+    assert.equal(rows[3][1], 'Rio de Janeiro');
+});
+
+test('parseXLSX reads shared, rich-text, inline and numeric cells of the first sheet', () => {
+    const rows = parseXLSX(new Uint8Array(fs.readFileSync(XLSX_FILE)));
+    assert.deepEqual(rows, [
+        ['SINISA 2023 — Água & Esgoto (dados fictícios para testes)'],
+        ['Código IBGE', 'Município', 'UF', 'Ano', 'IN015', 'Índice de tratamento (%)'],
+        [3550308, 'São Paulo', 'SP', 2023, 96.5, 71],
+        [2927408, 'Salvador', 'BA', 2023, 88.25],
+        [3304557, 'Rio de Janeiro', 'RJ', '2023', 'n/d', 52.1],
+    ]);
+    assert.throws(() => parseXLSX(new Uint8Array(fs.readFileSync(CSV_FILE))));
+});
+
+test('parseValue reads Brazilian, English and plain numbers', () => {
+    assert.equal(parseValue('96,31'), 96.31);
+    assert.equal(parseValue('1.234,5'), 1234.5);
+    assert.equal(parseValue('80.5'), 80.5);
+    // English thousands separator: the last separator is the decimal mark
+    assert.equal(parseValue('1,234.5'), 1234.5);
+    assert.equal(parseValue('1,234,567.25'), 1234567.25);
+    assert.equal(parseValue('1.234.567,25'), 1234567.25);
+    assert.equal(parseValue(71), 71);
+    assert.equal(parseValue(''), null);
+    assert.equal(parseValue('-'), null);
+    assert.equal(parseValue('n/d'), null);
+    assert.ok(Number.isNaN(parseValue('x')));
+});
+
+// ===== Normalization =====
+test('findColumns skips title lines and maps indicator headers', () => {
+    assert.deepEqual(findColumns(csvRows()), {
+        headerRow: 1,
+        geocode: 0,
+        year: 3,
+        uf: 2,
+        indicators: { IN015: 4, IN016: 5, IN046: 6, IN055: 7 },
+    });
+});
+
+test('findColumns takes header overrides for non-standard indicator names', () => {
+    assert.deepEqual(findColumns(xlsxRows()).indicators, { IN015: 4 });
+    assert.deepEqual(findColumns(xlsxRows(), { IN016: 'índice de tratamento (%)' }).indicators, { IN015: 4, IN016: 5 });
+    assert.throws(() => findColumns([['Município', 'Ano'], ['São Paulo', 2022]]), /Cabeçalho não encontrado/);
+});
+
+test('normalizeRows resolves geocodes, merges duplicates and lists issues', () => {
+    const { records, issues, years } = normalizeRows(csvRows(), { resolveGeocode, maxYear: 2025 });
+    assert.deepEqual(years, [2022]);
+    assert.deepEqual([...records.keys()], ['3550308', '3304557', '5300108', '2927408']);
+    assert.deepEqual(records.get('3550308').get(2022), { IN015: 96.31, IN016: 70.12, IN046: 68.5, IN055: 99.1 });
+    assert.deepEqual(records.get('5300108').get(2022), { IN015: 90.1, IN016: 75.33, IN046: 80, IN055: 99 });
+    // Invalid IN015 is left out; the blank IN046 is an explicit null
+    assert.deepEqual(records.get('2927408').get(2022), { IN016: 45, IN046: null, IN055: 92.8 });
+    assert.deepEqual(issues, [
+        { line: 6, message: 'IN015 inválido para 2927408: x' },
+        { line: 7, message: 'código de município desconhecido: 999999' },
+        { line: 8, message: 'UF SP não corresponde ao município 3304557' },
+        { line: 9, message: 'IN015 duplicado para 3550308/2022: 96.31 × 96.9 (mantido o primeiro)' },
+    ]);
+});
+
+test('normalizeRows reads the XLSX export with a column override', () => {
+    const { records, issues, years } = normalizeRows(xlsxRows(), {
+        resolveGeocode, columns: { IN016: 'Índice de tratamento (%)' }, maxYear: 2025,
+    });
+    assert.deepEqual(years, [2023]);
+    assert.deepEqual(issues, []);
+    assert.deepEqual(records.get('3550308').get(2023), { IN015: 96.5, IN016: 71 });
+    assert.deepEqual(records.get('2927408').get(2023), { IN015: 88.25, IN016: null });
+    assert.deepEqual(records.get('3304557').get(2023), { IN015: null, IN016: 52.1 });
+});
+
+test('normalizeRows rejects years outside the accepted range', () => {
+    const { records, issues } = normalizeRows(csvRows(), { resolveGeocode, maxYear: 2021 });
+    assert.equal(records.size, 0);
+    // Rows already dropped for their geocode or UF never reach the year check
+    assert.equal(issues.filter(i => i.message.startsWith('ano inválido')).length, 5);
+    assert.throws(() => normalizeRows(xlsxRows().map(r => r.filter((_, i) => i !== 3)), { resolveGeocode }), /coluna de ano/);
+});
+
+// ===== Merging =====
+function storedDataset() {
+    const dataset = emptyDataset();
+    dataset.edition = 'SNIS 2021';
+    dataset.editions = [{ edition: 'SNIS 2021', file: 'snis-2021.csv', years: [2021, 2022], importedAt: '2024-01-01T00:00:00.000Z' }];
+    dataset.municipios = {
+        2304400: { 2022: [50, 40, 30, 95] },
+        2927408: { 2022: [40, 30, null, 90] },
+        3550308: { 2021: [94, 69, 67, 99], 2022: [95, 70.12, 68.5, 99.1] },
+    };
+    return dataset;
+}
+
+test('mergeEdition keeps stored values under invalid cells and reports the diff', () => {
+    const normalized = normalizeRows(csvRows(), { resolveGeocode, maxYear: 2025 });
+    const { dataset, changes, missing } = mergeEdition(storedDataset(), normalized, {
+        edition: 'SNIS 2022', file: 'snis-sample.csv', importedAt: '2024-06-01T00:00:00.000Z',
+    });
+
+    // Salvador's invalid IN015 keeps the stored 40 instead of being "removido"
+    assert.deepEqual(dataset.municipios['2927408'], { 2022: [40, 45, null, 92.8] });
+    assert.deepEqual(dataset.municipios['3550308'], { 2021: [94, 69, 67, 99], 2022: [96.31, 70.12, 68.5, 99.1] });
+    assert.deepEqual(dataset.municipios['3304557'], { 2022: [85.4, 50.2, 45.9, 97.03] });
+    assert.deepEqual(dataset.municipios['2304400'], { 2022: [50, 40, 30, 95] });
+    assert.equal(dataset.edition, 'SNIS 2022');
+    assert.deepEqual(dataset.editions.map(e => e.edition), ['SNIS 2021', 'SNIS 2022']);
+
+    const altered = changes.filter(c => c.tipo !== 'novo');
+    assert.deepEqual(altered, [
+        { geocode: '3550308', ano: 2022, indicador: 'IN015', anterior: 95, novo: 96.31, tipo: 'alterado' },
+        { geocode: '2927408', ano: 2022, indicador: 'IN016', anterior: 30, novo: 45, tipo: 'alterado' },
+        { geocode: '2927408', ano: 2022, indicador: 'IN055', anterior: 90, novo: 92.8, tipo: 'alterado' },
+    ]);
+    assert.deepEqual(summarizeChanges(changes), { 2022: { novo: 8, alterado: 3, removido: 0 } });
+    assert.deepEqual(missing, [{ geocode: '2304400', ano: 2022 }]);
+});
+
+test('mergeEdition reports a blank cell over a stored value as removed', () => {
+    const stored = storedDataset();
+    const records = new Map([['2304400', new Map([[2022, { IN015: 50, IN016: null }]])]]);
+    const { dataset, changes } = mergeEdition(stored, { records, years: [2022] }, { edition: 'SINISA 2023', file: 'x.xlsx' });
+    assert.deepEqual(dataset.municipios['2304400'], { 2022: [50, null, 30, 95] });
+    assert.deepEqual(changes, [{ geocode: '2304400', ano: 2022, indicador: 'IN016', anterior: 40, novo: null, tipo: 'removido' }]);
+    assert.throws(() => mergeEdition({ ...stored, schema: 99 }, { records, years: [2022] }, { edition: 'x' }), /versão 99/);
+});
+
+test('serializeDataset writes one municipality per line and parses back', () => {
+    const dataset = storedDataset();
+    const text = serializeDataset(dataset);
+    assert.deepEqual(JSON.parse(text), JSON.parse(JSON.stringify(dataset)));
+    assert.match(text, /\n {4}"3550308": \{"2021":\[94,69,67,99\],"2022":\[95,70\.12,68\.5,99\.1\]\}\n/);
+    assert.match(serializeDataset(emptyDataset()), /"municipios": \{\}\n\}\n$/);
+});
@@ -0,0 +1,189 @@
+/**
+ * VigiSaúde Brasil — Statistics tests
+ * Expected values are what R gives (cor, cor.test, lm, hatvalues, rstandard,
+ * cooks.distance, qt/pt) on small fixed datasets chosen so the results also
+ * have closed forms, and each expectation can be checked by hand.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    mean, quantile, median, ranks, pearson, spearman, correlation, correlationCI,
+    tTestPValue, tCritical, correlationTest, ols, outlierIndices,
+} from '../src/services/stats.js';
+
+function near(actual, expected, tolerance = 1e-6, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message ? `${message}: ` : ''}${actual} ≠ ${expected}`);
+}
+
+function nearAll(actual, expected, tolerance = 1e-6) {
+    assert.equal(actual.length, expected.length);
+    expected.forEach((v, i) => near(actual[i], v, tolerance, `[${i}]`));
+}
+
+// y = 2.2 + 0.6x: SSE 2.4, SST 6, σ² = 0.8 on 3 df
+const X = [1, 2, 3, 4, 5];
+const Y = [2, 4, 5, 4, 5];
+
+// Orthogonal ±1 design: coefficients are contrasts, every SE is 0.5 on 1 df
+const DESIGN = [[-1, -1], [1, -1], [-1, 1], [1, 1]];
+const DESIGN_Y = [1, 3, 2, 6];
+
+// Closed forms of the two-sided t p-value for small df
+const pDf1 = t => 1 - (2 / Math.PI) * Math.atan(t);
+const pDf2 = t => 1 - t / Math.sqrt(2 + t * t);
+const pDf3 = t => {
+    const u = t / Math.sqrt(3);
+    return 1 - (2 / Math.PI) * (Math.atan(u) + u / (1 + u * u));
+};
+
+// ===== Descriptive =====
+test('mean, quantile and median', () => {
+    assert.equal(mean(Y), 4);
+    assert.equal(quantile([1, 2, 3, 4], 0.25), 1.75);
+    assert.equal(quantile([], 0.5), null);
+    assert.equal(median([5, 1, 4, 2]), 3);
+    assert.equal(median(Y), 4);
+});
+
+test('ranks averages ties', () => {
+    assert.deepEqual(ranks(Y), [1, 2.5, 4.5, 2.5, 4.5]);
+    assert.deepEqual(ranks([3, 1, 3, 2, 3]), [4, 1, 4, 2, 4]);
+    assert.deepEqual(ranks([7, 7, 7]), [2, 2, 2]);
+});
+
+// ===== Correlation =====
+test('pearson and spearman match cor()', () => {
+    near(pearson(X, Y), Math.sqrt(0.6));                    // 0.7745967
+    near(spearman(X, Y), 7 / Math.sqrt(90));                // 0.7378648, ties in y
+    near(pearson([1, 2, 3, 4], [8, 6, 4, 2]), -1);
+    assert.equal(correlation(X, Y, 'pearson'), pearson(X, Y));
+    assert.equal(correlation(X, Y), spearman(X, Y));
+});
+
+test('correlationCI uses Fisher z (cor.test conf.int for Pearson)', () => {
+    const ci = correlationCI(Math.sqrt(0.6), 5, 'pearson');
+    near(ci.lower, -0.3400820);
+    near(ci.upper, 0.9842358);
+    // Spearman widens the variance to 1.06 / (n − 3)
+    const rank = correlationCI(7 / Math.sqrt(90), 5, 'spearman');
+    near(rank.lower, -0.4471236);
+    near(rank.upper, 0.9827650);
+    // Perfect correlations are clamped instead of returning ±Infinity intervals
+    const perfect = correlationCI(1, 10, 'pearson');
+    assert.ok(Number.isFinite(perfect.lower) && perfect.upper <= 1);
+});
+
+test('tTestPValue matches the closed forms for 1, 2 and 3 df', () => {
+    [0.5, 1, 2.5, 6].forEach(t => {
+        near(tTestPValue(t, 1), pDf1(t), 1e-9, `df 1, t ${t}`);
+        near(tTestPValue(t, 2), pDf2(t), 1e-9, `df 2, t ${t}`);
+        near(tTestPValue(t, 3), pDf3(t), 1e-9, `df 3, t ${t}`);
+    });
+    near(tTestPValue(2.228139, 10), 0.05);                  // 2 * pt(-2.228139, 10)
+    near(tTestPValue(0, 7), 1);
+    assert.equal(tTestPValue(Infinity, 5), 0);
+});
+
+test('tCritical matches qt(0.975, df)', () => {
+    near(tCritical(1), 12.706205, 1e-5);
+    near(tCritical(3), 3.182446);
+    near(tCritical(10), 2.228139);
+    near(tCritical(30), 2.042272);
+    near(tCritical(10, 0.9), 1.812461);                     // qt(0.95, 10)
+});
+
+test('correlationTest matches cor.test()', () => {
+    const result = correlationTest(X, Y, 'pearson');
+    near(result.r, Math.sqrt(0.6));
+    near(result.p, pDf3(3 / Math.SQRT2));                   // t = 2.1213203, p = 0.1240271
+    near(result.p, 0.1240271);
+    assert.equal(result.n, 5);
+    near(result.lower, -0.3400820);
+    // Spearman: t approximation with n − 2 df
+    const rank = correlationTest(X, Y, 'spearman');
+    const r = 7 / Math.sqrt(90);
+    near(rank.p, pDf3(r * Math.sqrt(3 / (1 - r * r))));
+    // A perfect fit has p = 0
+    assert.equal(correlationTest([1, 2, 3, 4], [2, 4, 6, 8], 'pearson').p, 0);
+});
+
+// ===== OLS =====
+test('ols with one predictor matches lm()', () => {
+    const model = ols(X.map(x => [x]), Y);
+    assert.equal(model.n, 5);
+    assert.equal(model.df, 3);
+    const [intercept, slope] = model.coefficients;
+    near(intercept.estimate, 2.2);
+    near(slope.estimate, 0.6);
+    near(intercept.se, Math.sqrt(0.88));                    // 0.9380832
+    near(slope.se, Math.sqrt(0.08));                        // 0.2828427
+    near(slope.t, 3 / Math.SQRT2);
+    near(slope.p, 0.1240271);
+    near(slope.lower, 0.6 - 3.182446 * Math.sqrt(0.08), 1e-5);
+    near(slope.upper, 0.6 + 3.182446 * Math.sqrt(0.08), 1e-5);
+    near(model.r2, 0.6);
+    near(model.adjR2, 7 / 15);
+    near(model.sigma, Math.sqrt(0.8));
+    nearAll(model.fitted, [2.8, 3.4, 4, 4.6, 5.2]);
+    nearAll(model.residuals, [-0.8, 0.6, 1, -0.6, -0.2]);
+});
+
+test('ols influence measures match hatvalues, rstandard and cooks.distance', () => {
+    const model = ols(X.map(x => [x]), Y);
+    nearAll(model.leverage, [0.6, 0.3, 0.2, 0.3, 0.6]);
+    nearAll(model.studentized, [-Math.SQRT2, 0.6 / Math.sqrt(0.56), 1.25, -0.6 / Math.sqrt(0.56), -0.2 / Math.sqrt(0.32)]);
+    nearAll(model.cooks, [1.5, 0.1377551, 0.1953125, 0.1377551, 0.09375]);
+});
+
+test('ols predict gives the 95% band of the mean (predict.lm interval = "confidence")', () => {
+    const model = ols(X.map(x => [x]), Y);
+    const at3 = model.predict([3]);
+    near(at3.fit, 4);
+    near(at3.upper - at3.fit, 3.182446 * 0.4, 1e-5);        // se.fit = sqrt(0.8 · 0.2)
+    near(at3.fit - at3.lower, at3.upper - at3.fit);
+    near(model.predict([6]).fit, 5.8);
+});
+
+test('ols with two predictors matches lm() on an orthogonal design', () => {
+    const model = ols(DESIGN, DESIGN_Y);
+    assert.equal(model.df, 1);
+    nearAll(model.coefficients.map(c => c.estimate), [3, 1.5, 1]);
+    nearAll(model.coefficients.map(c => c.se), [0.5, 0.5, 0.5]);
+    near(model.coefficients[1].p, pDf1(3));                 // 0.2048328
+    near(model.coefficients[2].p, pDf1(2));                 // 0.2951672
+    near(model.coefficients[1].upper, 1.5 + 12.706205 * 0.5, 1e-4);
+    near(model.r2, 13 / 14);
+    nearAll(model.leverage, [0.75, 0.75, 0.75, 0.75]);
+    nearAll(model.residuals, [0.5, -0.5, -0.5, 0.5]);
+});
+
+test('outlierIndices flags Cook\'s distance above 4/n or |studentized| above 2', () => {
+    // Only the first point passes 4/5 = 0.8 (Cook's 1.5); no |studentized| > 2
+    assert.deepEqual(outlierIndices(ols(X.map(x => [x]), Y)), [0]);
+    // A single far point on an otherwise exact line
+    const y = [1, 2, 3, 4, 5, 6, 7, 8, 9, 30];
+    const model = ols(y.map((_, i) => [i + 1]), y);
+    assert.deepEqual(outlierIndices(model), [9]);
+    assert.deepEqual(outlierIndices(null), []);
+});
+
+// ===== Undefined results =====
+test('constant variables, too few pairs and short series give null', () => {
+    assert.equal(pearson([1, 1, 1, 1], [1, 2, 3, 4]), null);
+    assert.equal(pearson([1, 2, 3, 4], [5, 5, 5, 5]), null);
+    assert.equal(spearman([2, 2, 2], [1, 2, 3]), null);
+    assert.equal(pearson([1, 2], [3, 4]), null);
+    assert.equal(pearson([1, 2, 3], [1, 2]), null);
+    assert.equal(correlationTest([1, 1, 1, 1], [1, 2, 3, 4]), null);
+    assert.equal(correlationCI(0.5, 3), null);
+    assert.equal(correlationCI(null, 10), null);
+});
+
+test('ols returns null for collinear or constant predictors and df < 1', () => {
+    assert.equal(ols(X.map(x => [x, 2 * x]), Y), null);
+    assert.equal(ols(X.map(x => [x, 3 - x]), Y), null);     // collinear with the intercept
+    assert.equal(ols(X.map(() => [4]), Y), null);
+    assert.equal(ols([[1], [2]], [3, 5]), null);            // 2 points, 2 coefficients: df 0
+    assert.equal(ols(DESIGN.slice(0, 3), DESIGN_Y.slice(0, 3)), null);
+    assert.equal(ols([[1], [2], [3]], [1, 2]), null);       // rows and y differ in length
+});
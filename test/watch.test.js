@@ -0,0 +1,232 @@
+/**
+ * VigiSaúde Brasil — Watch rules and webhook delivery tests
+ * server/webhooks.js and server/watch.js against a local webhook receiver
+ * and a stub InfoDengue upstream, with the rule store in a temporary directory.
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { createWatchStore } from '../server/watchstore.js';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vsb-watch-'));
+const TOKEN = 'test-token';
+
+// Rt above 1.2 in the last two SEs of every series the stub returns
+const ROWS = [
+    { SE: 202539, Rt: 0.9, casos: 8, casos_est: 9, nivel: 2, p_inc100k: 4.1 },
+    { SE: 202540, Rt: 1.4, casos: 12, casos_est: 14, nivel: 3, p_inc100k: 6.2 },
+    { SE: 202541, Rt: 1.6, casos: 20, casos_est: 23, nivel: 3, p_inc100k: 10.3 },
+];
+
+let upstream;
+let receiver;
+let api;
+let receiverUrl;
+let apiUrl;
+let webhooks;
+let watch;
+const store = createWatchStore({ dir: tmpDir });
+
+// ===== Local webhook receiver =====
+// Responses per path: a list consumed one per request (the last one repeats)
+const responses = new Map();
+const received = [];   // { path, body }
+
+function respondWith(pathname, ...statuses) {
+    responses.set(pathname, statuses);
+}
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+before(async () => {
+    upstream = http.createServer((_req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(ROWS));
+    });
+    receiver = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            received.push({ path: req.url, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) });
+            const queue = responses.get(req.url) || [200];
+            const status = queue.length > 1 ? queue.shift() : queue[0];
+            res.writeHead(status);
+            res.end();
+        });
+    });
+
+    // Both modules read their settings once, on import
+    process.env.INFODENGUE_URL = await listen(upstream);
+    process.env.INFODENGUE_CACHE_DIR = path.join(tmpDir, 'infodengue');
+    process.env.WATCH_DATA_DIR = tmpDir;
+    process.env.WATCH_API_TOKEN = TOKEN;
+    process.env.WATCH_WEBHOOK_ATTEMPTS = '2';
+    process.env.WATCH_WEBHOOK_BACKOFF_MS = '1';
+    process.env.WATCH_WEBHOOK_TIMEOUT_MS = '2000';
+    receiverUrl = await listen(receiver);
+    webhooks = await import('../server/webhooks.js');
+    watch = await import('../server/watch.js');
+
+    const app = express();
+    app.use('/api/watch', watch.createWatchRouter());
+    api = http.createServer(app);
+    apiUrl = `${await listen(api)}/api/watch`;
+});
+
+after(() => {
+    [upstream, receiver, api].forEach(server => server.close());
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function bodiesFor(pathname) {
+    return received.filter(r => r.path === pathname).map(r => r.body);
+}
+
+function rule(name, hooks = [], geocode = 3304557) {
+    return watch.validateWatchRule({
+        name,
+        disease: 'dengue',
+        scope: { type: 'municipio', id: geocode, name: 'Rio de Janeiro' },
+        metric: 'Rt',
+        operator: '>',
+        value: 1.2,
+        weeks: 2,
+        webhooks: hooks.map(p => `${receiverUrl}${p}`),
+    });
+}
+
+async function quietly(fn) {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.warn = warn;
+    }
+}
+
+// ===== deliverWebhook =====
+test('deliverWebhook retries 5xx and 429 and reports every attempt', async () => {
+    respondWith('/retry', 503, 429, 200);
+    const attempts = [];
+    const result = await webhooks.deliverWebhook(`${receiverUrl}/retry`, { id: 'x' }, {
+        attempts: 3, backoffMs: 1, onAttempt: a => attempts.push(a.status),
+    });
+    assert.deepEqual(result, { ok: true, attempts: 3, status: 200, error: null });
+    assert.deepEqual(attempts, [503, 429, 200]);
+    assert.deepEqual(bodiesFor('/retry'), [{ id: 'x' }, { id: 'x' }, { id: 'x' }]);
+});
+
+test('deliverWebhook gives up at once on other 4xx', async () => {
+    respondWith('/reject', 422);
+    const result = await webhooks.deliverWebhook(`${receiverUrl}/reject`, { id: 'y' }, { attempts: 3, backoffMs: 1 });
+    assert.deepEqual(result, { ok: false, attempts: 1, status: 422, error: 'HTTP 422' });
+});
+
+test('deliverWebhook retries network errors up to the attempt limit', async () => {
+    const closed = http.createServer();
+    const url = await listen(closed);
+    await new Promise(resolve => closed.close(resolve));
+    const result = await webhooks.deliverWebhook(url, { id: 'z' }, { attempts: 2, backoffMs: 1 });
+    assert.equal(result.ok, false);
+    assert.equal(result.attempts, 2);
+    assert.equal(result.status, null);
+    assert.ok(webhooks.isRetryable(null) && webhooks.isRetryable(500) && !webhooks.isRetryable(404));
+});
+
+// ===== evaluateWatchRules =====
+test('a webhook that fails every attempt gets the match on the next run', async () => {
+    await store.saveRules(() => [rule('Rt alto', ['/flaky', '/ok', '/bad'])]);
+    respondWith('/flaky', 503);
+    respondWith('/ok', 200);
+    respondWith('/bad', 400);
+
+    const first = await quietly(() => watch.evaluateWatchRules());
+    assert.deepEqual(first, { rules: 1, triggered: 1, delivered: 1, failed: 2, errors: [] });
+    assert.equal(bodiesFor('/flaky').length, 2);
+    const payload = bodiesFor('/ok')[0];
+    assert.equal(payload.SE, 202541);
+    assert.equal(payload.value, 1.6);
+    assert.match(payload.text, /Rio de Janeiro: Rt alto/);
+
+    const fired = await store.getFired();
+    assert.ok(fired.has(`${payload.id}|${receiverUrl}/ok`));
+    assert.ok(fired.has(`${payload.id}|${receiverUrl}/bad`));   // rejected: retrying won't help
+    assert.ok(!fired.has(`${payload.id}|${receiverUrl}/flaky`));
+
+    // Receiver back up: only the failed webhook is delivered again
+    respondWith('/flaky', 200);
+    const second = await watch.evaluateWatchRules();
+    assert.deepEqual(second, { rules: 1, triggered: 1, delivered: 1, failed: 0, errors: [] });
+    assert.equal(bodiesFor('/flaky').length, 3);
+    assert.equal(bodiesFor('/ok').length, 1);
+    assert.equal(bodiesFor('/bad').length, 1);
+
+    const log = await store.getDeliveries();
+    const flaky = log.find(d => d.url === `${receiverUrl}/flaky`);
+    assert.equal(flaky.status, 'delivered');
+    assert.deepEqual(flaky.attempts.map(a => a.status), [503, 503, 200]);
+    assert.equal(log.find(d => d.url === `${receiverUrl}/bad`).willRetry, false);
+
+    // Everything notified: nothing left to trigger
+    const third = await watch.evaluateWatchRules();
+    assert.equal(third.triggered, 0);
+    assert.equal(received.filter(r => ['/flaky', '/ok', '/bad'].includes(r.path)).length, 5);
+});
+
+test('a match with no webhook is triggered once', async () => {
+    await store.saveRules(() => [rule('Sem webhook', [], 3550308)]);
+    assert.equal((await watch.evaluateWatchRules()).triggered, 1);
+    assert.equal((await watch.evaluateWatchRules()).triggered, 0);
+});
+
+// ===== Scheduler and API =====
+test('the scheduler runs at once and is off without an interval', async () => {
+    assert.equal(watch.startWatchScheduler(0), null);
+    await store.saveRules(() => [rule('Agendada', ['/scheduled'], 2927408)]);
+    const log = console.log;
+    console.log = () => {};
+    const timer = watch.startWatchScheduler(60);
+    // The run is over once the delivery is marked fired (its last step)
+    const finished = async () => [...await store.getFired()].some(k => k.endsWith(`|${receiverUrl}/scheduled`));
+    try {
+        for (let i = 0; i < 100 && !(await finished()); i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+    } finally {
+        clearInterval(timer);
+        console.log = log;
+    }
+    assert.equal(bodiesFor('/scheduled').length, 1);
+});
+
+test('the API needs the token, validates rules and shares a run between calls', async () => {
+    const auth = { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json' };
+    assert.equal((await fetch(`${apiUrl}/rules`)).status, 401);
+    assert.equal((await fetch(`${apiUrl}/rules`, { headers: { Authorization: 'Bearer wrong-token' } })).status, 401);
+
+    await store.saveRules(() => []);
+    const bad = await fetch(`${apiUrl}/rules`, { method: 'POST', headers: auth, body: JSON.stringify({ disease: 'ebola' }) });
+    assert.equal(bad.status, 400);
+
+    const input = { ...rule('Via API', ['/api'], 2304400), id: undefined };
+    const created = await fetch(`${apiUrl}/rules`, { method: 'POST', headers: auth, body: JSON.stringify(input) });
+    assert.equal(created.status, 201);
+    assert.equal((await (await fetch(`${apiUrl}/rules`, { headers: auth })).json()).length, 1);
+
+    // Two calls during one run get the same result; the webhook is called once
+    const [a, b] = await Promise.all([1, 2].map(() => fetch(`${apiUrl}/run`, { method: 'POST', headers: auth }).then(r => r.json())));
+    assert.deepEqual(a, { rules: 1, triggered: 1, delivered: 1, failed: 0, errors: [] });
+    assert.deepEqual(b, a);
+    assert.equal(bodiesFor('/api').length, 1);
+
+    const delivered = await (await fetch(`${apiUrl}/deliveries?status=delivered`, { headers: auth })).json();
+    assert.ok(delivered.some(d => d.url === `${receiverUrl}/api`));
+    assert.ok(delivered.every(d => d.status === 'delivered'));
+});
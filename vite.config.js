@@ -1,6 +1,37 @@
 import { defineConfig } from 'vite';
+import express from 'express';
+import { createAlertsRouter } from './server/alerts.js';
+
+// Mount the server-side API routes on the dev server so `npm run dev`
+// behaves like production for /api/alerts/*
+function apiRoutes() {
+    return {
+        name: 'vsb-api-routes',
+        configureServer(server) {
+            const app = express();
+            app.use('/api/alerts', createAlertsRouter());
+            server.middlewares.use(app);
+        },
+    };
+}
+
+// List the built files so public/sw.js can precache the app shell
+function precacheManifest() {
+    return {
+        name: 'vsb-precache-manifest',
+        apply: 'build',
+        generateBundle(_options, bundle) {
+            this.emitFile({
+                type: 'asset',
+                fileName: 'precache-manifest.json',
+                source: JSON.stringify(Object.keys(bundle).filter(f => f !== 'index.html')),
+            });
+        },
+    };
+}
 
 export default defineConfig({
+    plugins: [apiRoutes(), precacheManifest()],
     server: {
         port: 3000,
         open: true,